@@ -14,6 +14,12 @@ import {
   message,
   Menu,
   Tabs,
+  Switch,
+  Tag,
+  InputNumber,
+  Alert,
+  Modal,
+  Segmented,
 } from "antd";
 import {
   UploadOutlined,
@@ -26,17 +32,76 @@ import {
   DashboardOutlined,
   SettingOutlined,
   FileTextOutlined,
+  LockOutlined,
+  UnlockOutlined,
+  ScheduleOutlined,
+  FieldTimeOutlined,
+  BarsOutlined,
 } from "@ant-design/icons";
-import { format } from "date-fns";
+import { format, parseISO } from "date-fns";
 import {
   parseCadenceExcel,
+  parseRosterExcel,
   generateOutputExcel,
   downloadExcel,
 } from "./utils/excelParser";
-import { generateSchedule } from "./utils/scheduleEngine";
+import {
+  generateYearSchedule,
+  recalculateSchedule,
+} from "./utils/scheduleEngine";
+import {
+  SCHEDULING_MODES,
+  DEFAULT_MAX_ATTEMPTS,
+  optimizeYearSchedule,
+  describeOptimization,
+} from "./utils/scheduleOptimizer";
+import {
+  DEFAULT_ALTERNATIVE_COUNT,
+  MAX_ALTERNATIVE_COUNT,
+  generateAlternatives,
+  describeSeed,
+} from "./utils/scheduleAlternatives";
 import { generateReport, downloadReport } from "./utils/reportGenerator";
+import { loadSetting, saveSetting } from "./utils/settingsStorage";
+import {
+  WEEKLY_SCHEDULE,
+  DEFAULT_CAPACITY_SETTINGS,
+} from "./utils/timeSlots";
+import { DEFAULT_HOLIDAY_SETTINGS } from "./utils/holidayProvider";
+import { getQuarterForDate } from "./utils/quarterUtils";
+import { SEQUENCE_MODES } from "./utils/courseConstraints";
+import { SLOT_STRATEGIES } from "./utils/slotStrategy";
+import {
+  getInstanceKey,
+  createLockedInstance,
+  toggleInstanceLock,
+} from "./utils/lockedInstances";
+import { groupInstances } from "./utils/courseInstances";
+import {
+  getMovingSessions,
+  createMoveChecker,
+  isEmptyMove,
+  applyMove,
+} from "./utils/moveValidation";
+import {
+  convertSession,
+  formatSessionTime,
+  describeTimeZone,
+  getTemplateTimeZone,
+  getTimeZoneOptions,
+} from "./utils/timeZones";
 import AnalyticsDashboard from "./components/AnalyticsDashboard";
 import MonthlyCalendarView from "./components/MonthlyCalendarView";
+import TimeGridView from "./components/TimeGridView";
+import InstanceTimelineView from "./components/InstanceTimelineView";
+import SlotTemplateEditor from "./components/SlotTemplateEditor";
+import HolidaySettings from "./components/HolidaySettings";
+import BlackoutManager from "./components/BlackoutManager";
+import CapacitySettings from "./components/CapacitySettings";
+import ResourceManager from "./components/ResourceManager";
+import PreferenceManager from "./components/PreferenceManager";
+import ScheduleComparison from "./components/ScheduleComparison";
+import BlackoutFormModal from "./components/BlackoutFormModal";
 import "./App.css";
 
 const { Header, Content, Sider } = Layout;
@@ -46,15 +111,73 @@ const { Option } = Select;
 const App = () => {
   const [collapsed, setCollapsed] = useState(false);
   const [activeTab, setActiveTab] = useState("dashboard");
-  const [scheduleView, setScheduleView] = useState("table"); // 'table' or 'calendar'
+  const [scheduleView, setScheduleView] = useState("table"); // 'table', 'calendar', 'week', 'day' or 'timeline'
   const [selectedQuarterFilter, setSelectedQuarterFilter] = useState("all"); // Filter for viewing
+  const [tableLevel, setTableLevel] = useState("sessions"); // 'sessions' or 'instances'
   const [file, setFile] = useState(null);
+  const [rosterFile, setRosterFile] = useState(null);
   const [selectedYear, setSelectedYear] = useState("");
   const [scheduledSessions, setScheduledSessions] = useState([]);
   const [calendarData, setCalendarData] = useState(null);
   const [statistics, setStatistics] = useState(null);
+  const [quarterStatistics, setQuarterStatistics] = useState({});
+  const [spanQuarters, setSpanQuarters] = useState(true);
+  const [quarterAssignment, setQuarterAssignment] = useState("start"); // 'start' or 'session'
+  const [sequencePolicy, setSequencePolicy] = useState({
+    sequenceMode: "strict",
+    maxSkips: 1,
+  }); // Default for courses without their own policy
+  const [schedulingMode, setSchedulingMode] = useState("greedy"); // 'greedy', 'optimized' or 'alternatives'
+  const [alternativeCount, setAlternativeCount] = useState(
+    DEFAULT_ALTERNATIVE_COUNT
+  );
+  const [alternatives, setAlternatives] = useState([]); // Candidates to compare
+  const [seed, setSeed] = useState(() => loadSetting("scheduleSeed", null)); // null = standard order
+  const [slotStrategy, setSlotStrategy] = useState("firstFit"); // 'firstFit' or 'balanced'
+  const [maxAttempts, setMaxAttempts] = useState(DEFAULT_MAX_ATTEMPTS);
+  const [slotTemplate, setSlotTemplate] = useState(() =>
+    loadSetting("slotTemplate", WEEKLY_SCHEDULE)
+  );
+  const [holidaySettings, setHolidaySettings] = useState(() => ({
+    // Settings saved before observance rules existed lack the newer fields
+    ...DEFAULT_HOLIDAY_SETTINGS,
+    ...loadSetting("holidaySettings", DEFAULT_HOLIDAY_SETTINGS),
+  }));
+  const [capacitySettings, setCapacitySettings] = useState(() =>
+    loadSetting("capacitySettings", DEFAULT_CAPACITY_SETTINGS)
+  );
+  const [blackouts, setBlackouts] = useState(() =>
+    loadSetting("blackouts", [])
+  );
+  const [resources, setResources] = useState(() =>
+    loadSetting("resources", [])
+  );
+  const [preferences, setPreferences] = useState(() =>
+    loadSetting("preferences", [])
+  );
+  const [lockedInstances, setLockedInstances] = useState(() =>
+    loadSetting("lockedInstances", [])
+  ); // Instances regeneration must not move
+  const [viewTimeZone, setViewTimeZone] = useState(() =>
+    loadSetting("viewTimeZone", "")
+  ); // "" = the slot template's home zone
+  const [blackoutDate, setBlackoutDate] = useState(null); // Day clicked in the calendar
+  const [scheduleInfo, setScheduleInfo] = useState({}); // How the current schedule was generated
+  const [scheduleInputs, setScheduleInputs] = useState(null); // What the current schedule was generated from, to check moves
   const [loading, setLoading] = useState(false);
 
+  // Sessions are generated in the template's home zone and shown in the view zone
+  const homeTimeZone =
+    scheduleInfo.timeZone || getTemplateTimeZone(slotTemplate);
+  const displayTimeZone = viewTimeZone || homeTimeZone;
+  const lockedKeys = new Set(lockedInstances.map((instance) => instance.key));
+  const isLocked = (session) =>
+    Boolean(session.cadenceDate && lockedKeys.has(getInstanceKey(session)));
+  const displayedSessions = scheduledSessions.map((session) => ({
+    ...convertSession(session, homeTimeZone, displayTimeZone),
+    locked: isLocked(session),
+  }));
+
   const quarters = [
     { value: "Q1", label: "Q1 (Jan-Mar)" },
     { value: "Q2", label: "Q2 (Apr-Jun)" },
@@ -77,6 +200,181 @@ const App = () => {
     message.success(`${uploadedFile.name} uploaded successfully`);
   };
 
+  const handleRosterUpload = (info) => {
+    const uploadedFile = info.file.originFileObj || info.file;
+    setRosterFile(uploadedFile);
+    message.success(`${uploadedFile.name} uploaded successfully`);
+  };
+
+  const handleSaveSlotTemplate = (template) => {
+    setSlotTemplate(template);
+    saveSetting("slotTemplate", template);
+  };
+
+  const handleHolidaySettingsChange = (settings) => {
+    setHolidaySettings(settings);
+    saveSetting("holidaySettings", settings);
+  };
+
+  const handleCapacitySettingsChange = (settings) => {
+    setCapacitySettings(settings);
+    saveSetting("capacitySettings", settings);
+  };
+
+  const handleBlackoutsChange = (updated) => {
+    setBlackouts(updated);
+    saveSetting("blackouts", updated);
+  };
+
+  const handleResourcesChange = (updated) => {
+    setResources(updated);
+    saveSetting("resources", updated);
+  };
+
+  const handlePreferencesChange = (updated) => {
+    setPreferences(updated);
+    saveSetting("preferences", updated);
+  };
+
+  const handleLockedInstancesChange = (updated) => {
+    setLockedInstances(updated);
+    saveSetting("lockedInstances", updated);
+  };
+
+  const handleToggleLock = (session) => {
+    const wasLocked = lockedKeys.has(getInstanceKey(session));
+    // Lock the sessions as generated (home zone), not as displayed
+    handleLockedInstancesChange(
+      toggleInstanceLock(lockedInstances, session, scheduledSessions)
+    );
+    message.success(
+      wasLocked
+        ? `${session.courseName} instance unlocked`
+        : `${session.courseName} instance locked. Regenerating will keep it in place.`
+    );
+  };
+
+  // Calendar chips are also drag handles, so a click there asks first
+  const confirmToggleLock = (session) => {
+    const locked = lockedKeys.has(getInstanceKey(session));
+    Modal.confirm({
+      title: `${locked ? "Unlock" : "Lock"} this ${session.courseName} instance?`,
+      content: locked
+        ? "Regenerating may then move its sessions."
+        : "Regenerating will keep all of its sessions where they are.",
+      okText: locked ? "Unlock" : "Lock",
+      onOk: () => handleToggleLock(session),
+    });
+  };
+
+  // Check moves against the rules the current schedule was generated with
+  const getMoveChecker = (session, mode) =>
+    createMoveChecker(
+      scheduledSessions,
+      getMovingSessions(scheduledSessions, session, mode),
+      session,
+      scheduleInputs.year,
+      scheduleInputs.options,
+      scheduleInputs.courses
+    );
+
+  const applyManualMove = (moves) => {
+    const result = recalculateSchedule(
+      applyMove(scheduledSessions, moves),
+      scheduleInputs.year,
+      scheduleInputs.options
+    );
+    setScheduledSessions(result.scheduledSessions);
+    setStatistics(result.statistics);
+    setQuarterStatistics(result.quarterStatistics);
+
+    // A locked instance stays locked where it was moved to
+    const key = getInstanceKey(moves[0].session);
+    if (moves[0].session.cadenceDate && lockedKeys.has(key)) {
+      handleLockedInstancesChange(
+        lockedInstances.map((instance) =>
+          instance.key === key
+            ? createLockedInstance(
+                result.scheduledSessions.filter(
+                  (session) =>
+                    session.cadenceDate && getInstanceKey(session) === key
+                )
+              )
+            : instance
+        )
+      );
+    }
+    message.success(
+      `${moves[0].session.courseName}: ${moves.length} session${
+        moves.length === 1 ? "" : "s"
+      } moved`
+    );
+  };
+
+  const handleMoveSessions = (moves, violations) => {
+    if (isEmptyMove(moves)) return;
+    if (violations.length === 0) {
+      applyManualMove(moves);
+      return;
+    }
+    Modal.confirm({
+      title: "This move breaks scheduling rules",
+      content: (
+        <ul style={{ paddingLeft: "20px", margin: 0 }}>
+          {violations.map((violation) => (
+            <li key={violation.code}>{violation.label}</li>
+          ))}
+        </ul>
+      ),
+      okText: "Move Anyway",
+      okButtonProps: { danger: true },
+      onOk: () => applyManualMove(moves),
+    });
+  };
+
+  const handleSeedChange = (value) => {
+    const updated = value || null;
+    setSeed(updated);
+    saveSetting("scheduleSeed", updated);
+  };
+
+  const handleViewTimeZoneChange = (timeZone) => {
+    // Choosing the home zone follows the template if its zone changes later
+    const value = timeZone === homeTimeZone ? "" : timeZone;
+    setViewTimeZone(value);
+    saveSetting("viewTimeZone", value);
+  };
+
+  const handleAddBlackout = (blackout) => {
+    handleBlackoutsChange([...blackouts, blackout]);
+    setBlackoutDate(null);
+    message.success("Blackout added. Regenerate the schedule to apply it.");
+  };
+
+  // Show a generated schedule and record how it was generated
+  const applyScheduleResult = (result) => {
+    setScheduledSessions(result.scheduledSessions);
+    setStatistics(result.statistics);
+    setQuarterStatistics(result.quarterStatistics);
+    setScheduleInfo({
+      holidayCalendar: result.holidayCalendar,
+      appliedBlackouts: result.appliedBlackouts,
+      timeZone: result.timeZone,
+      optimization: result.optimization,
+      unscheduled: result.unscheduled,
+      preferences,
+      seed: result.seed,
+    });
+  };
+
+  const handleSelectAlternative = (alternative) => {
+    applyScheduleResult(alternative.result);
+    handleSeedChange(alternative.seed);
+    message.success(
+      `Using the ${describeSeed(alternative.seed).toLowerCase()} schedule`
+    );
+  };
+
   const handleGenerateSchedule = async () => {
     if (!file) {
       message.error("Please upload a cadence file");
@@ -90,72 +388,146 @@ const App = () => {
     setLoading(true);
     try {
       const courses = await parseCadenceExcel(file);
+      const instructors = rosterFile ? await parseRosterExcel(rosterFile) : [];
 
-      // Generate schedule for all 4 quarters
-      const allSessions = [];
-      const allStatistics = {
-        totalAvailableSlots: 0,
-        totalScheduledSessions: 0,
-        slotsAfterScheduling: 0,
-        utilizationPercentage: 0,
+      // Generate one schedule for all 4 quarters so cadence and rotation
+      // rules carry over from one quarter to the next
+      const engineOptions = {
+        instructors,
+        spanQuarters,
+        quarterAssignment,
+        slotTemplate,
+        holidaySettings,
+        blackouts,
+        sequencePolicy,
+        capacitySettings,
+        resources,
+        slotStrategy,
+        preferences,
+        seed,
+        lockedInstances,
       };
 
-      const quarters = ["Q1", "Q2", "Q3", "Q4"];
-      for (const quarter of quarters) {
-        const result = generateSchedule(courses, quarter, selectedYear);
-        // Add quarter property to each session
-        const sessionsWithQuarter = result.scheduledSessions.map((session) => ({
-          ...session,
-          quarter,
-        }));
-        allSessions.push(...sessionsWithQuarter);
-
-        // Aggregate statistics
-        allStatistics.totalAvailableSlots +=
-          result.statistics.totalAvailableSlots;
-        allStatistics.totalScheduledSessions +=
-          result.statistics.totalScheduledSessions;
-        allStatistics.slotsAfterScheduling +=
-          result.statistics.slotsAfterScheduling;
-      }
+      setScheduleInputs({
+        courses,
+        year: selectedYear,
+        options: engineOptions,
+      });
 
-      // Calculate overall utilization
-      allStatistics.utilizationPercentage =
-        (allStatistics.totalScheduledSessions /
-          allStatistics.totalAvailableSlots) *
-        100;
+      let result;
+      if (schedulingMode === "optimized") {
+        result = await optimizeYearSchedule(
+          courses,
+          selectedYear,
+          engineOptions,
+          {
+            maxAttempts,
+            seed: seed || 1,
+            onProgress: ({ attempts, bestInstances, baselineInstances }) =>
+              message.loading({
+                key: "optimizer",
+                content: `Optimising: ${bestInstances} instances placed (greedy: ${baselineInstances}), attempt ${attempts} of ${maxAttempts}`,
+                duration: 0,
+              }),
+          }
+        );
+        setAlternatives([]);
+      } else if (schedulingMode === "alternatives") {
+        const candidates = await generateAlternatives(
+          courses,
+          selectedYear,
+          engineOptions,
+          {
+            count: alternativeCount,
+            onProgress: ({ generated, count }) =>
+              message.loading({
+                key: "optimizer",
+                content: `Generating candidate ${generated} of ${count}`,
+                duration: 0,
+              }),
+          }
+        );
+        // Show the standard schedule until the user picks another; the
+        // saved seed only changes when a candidate is chosen
+        setAlternatives(candidates);
+        result = candidates[0].result;
+      } else {
+        result = generateYearSchedule(courses, selectedYear, engineOptions);
+        setAlternatives([]);
+      }
+      const allSessions = result.scheduledSessions;
 
-      setScheduledSessions(allSessions);
-      setStatistics(allStatistics);
+      applyScheduleResult(result);
 
       message.success(
         `Full year schedule generated! ${allSessions.length} sessions across all quarters`
       );
+      if (result.unscheduled.length > 0) {
+        message.warning(
+          `${result.unscheduled.length} course instances could not be scheduled. See the Schedule tab for reasons.`
+        );
+      }
       setActiveTab("schedule");
     } catch (error) {
       message.error(`Error: ${error.message}`);
     } finally {
+      message.destroy("optimizer");
       setLoading(false);
     }
   };
 
+  // Keep only entries in the quarter being viewed
+  const filterByQuarter = (entries) =>
+    selectedQuarterFilter === "all"
+      ? entries
+      : entries.filter((entry) => entry.quarter === selectedQuarterFilter);
+
+  // How the schedule was generated, limited to the selected quarter: its
+  // holidays, the blackouts that removed its slots and its unplaced instances
+  const filterScheduleInfo = () => {
+    const inQuarter = (dateKey) =>
+      selectedQuarterFilter === "all" ||
+      getQuarterForDate(parseISO(dateKey)) === selectedQuarterFilter;
+    return {
+      ...scheduleInfo,
+      ...(scheduleInfo.holidayCalendar && {
+        holidayCalendar: {
+          ...scheduleInfo.holidayCalendar,
+          holidays: scheduleInfo.holidayCalendar.holidays.filter(
+            ({ dateKey }) => inQuarter(dateKey)
+          ),
+        },
+      }),
+      ...(scheduleInfo.appliedBlackouts && {
+        appliedBlackouts: scheduleInfo.appliedBlackouts
+          .map((blackout) => ({
+            ...blackout,
+            dates: blackout.dates.filter(inQuarter),
+          }))
+          .filter((blackout) => blackout.dates.length > 0),
+      }),
+      unscheduled: filterByQuarter(scheduleInfo.unscheduled || []),
+    };
+  };
+
   const handleDownloadExcel = () => {
     if (!scheduledSessions.length) {
       message.warning("No schedule to download");
       return;
     }
 
-    // Filter sessions by selected quarter
+    // Filter sessions by selected quarter (times in the zone being viewed)
     const sessionsToDownload =
       selectedQuarterFilter === "all"
-        ? scheduledSessions
-        : scheduledSessions.filter((s) => s.quarter === selectedQuarterFilter);
+        ? displayedSessions
+        : displayedSessions.filter((s) => s.quarter === selectedQuarterFilter);
 
     const blob = generateOutputExcel(
       sessionsToDownload,
       null, // calendarData not needed for new format
       selectedQuarterFilter === "all" ? "Full Year" : selectedQuarterFilter,
-      selectedYear
+      selectedYear,
+      { ...filterScheduleInfo(), displayTimeZone }
     );
     const filename =
       selectedQuarterFilter === "all"
@@ -165,16 +537,19 @@ const App = () => {
     message.success("Excel file downloaded");
   };
 
-  const handleDownloadReport = () => {
+  const handleDownloadReport = async () => {
     if (!statistics) {
       message.warning("No statistics to download");
       return;
     }
 
-    const blob = generateReport(
-      statistics,
+    const blob = await generateReport(
+      selectedQuarterFilter === "all"
+        ? statistics
+        : quarterStatistics[selectedQuarterFilter],
       selectedQuarterFilter === "all" ? "Full Year" : selectedQuarterFilter,
-      selectedYear
+      selectedYear,
+      filterScheduleInfo()
     );
     const filename =
       selectedQuarterFilter === "all"
@@ -201,6 +576,14 @@ const App = () => {
       ),
       onFilter: (value, record) => record.courseName === value,
     },
+    {
+      title: "Cohort",
+      dataIndex: "cohortCode",
+      key: "cohortCode",
+      width: 130,
+      sorter: (a, b) => (a.cohortCode || "").localeCompare(b.cohortCode || ""),
+      render: (code) => code || "-",
+    },
     {
       title: "Session",
       dataIndex: "sessionNumber",
@@ -208,9 +591,209 @@ const App = () => {
       width: 100,
     },
     {
-      title: "Time",
+      title: `Time (${describeTimeZone(displayTimeZone)})`,
       key: "time",
-      render: (_, record) => `${record.startTime} - ${record.endTime}`,
+      render: (_, record) => formatSessionTime(record),
+    },
+    {
+      title: "Instructor",
+      key: "instructor",
+      render: (_, record) =>
+        `${record.instructorFirstName} ${record.instructorLastName}`.trim() ||
+        "-",
+    },
+    {
+      title: "Resource",
+      dataIndex: "resourceName",
+      key: "resourceName",
+      filters: [
+        ...new Set(
+          scheduledSessions.map((s) => s.resourceName).filter(Boolean)
+        ),
+      ].map((name) => ({ text: name, value: name })),
+      onFilter: (value, record) => record.resourceName === value,
+      render: (name) => name || "-",
+    },
+    {
+      title: "Exception",
+      key: "exception",
+      filters: [
+        { text: "Skipped week", value: "skipped" },
+        { text: "Moved", value: "moved" },
+      ],
+      onFilter: (value, record) => record.exception === value,
+      render: (_, record) =>
+        record.exception ? (
+          <Tag color={record.exception === "moved" ? "orange" : "gold"}>
+            {record.exceptionNote}
+          </Tag>
+        ) : null,
+    },
+    {
+      title: "Penalty",
+      dataIndex: "preferencePenalty",
+      key: "preferencePenalty",
+      width: 100,
+      sorter: (a, b) => a.preferencePenalty - b.preferencePenalty,
+      render: (penalty, record) =>
+        penalty > 0 ? (
+          <Tag color="volcano" title={record.preferenceNote}>
+            {penalty}
+          </Tag>
+        ) : (
+          "-"
+        ),
+    },
+    {
+      title: "Lock",
+      key: "locked",
+      width: 80,
+      filters: [
+        { text: "Locked", value: true },
+        { text: "Not locked", value: false },
+      ],
+      onFilter: (value, record) => record.locked === value,
+      render: (_, record) =>
+        record.cadenceDate ? (
+          <Button
+            type="text"
+            icon={record.locked ? <LockOutlined /> : <UnlockOutlined />}
+            title={
+              record.locked
+                ? "Unlock this instance"
+                : "Lock this instance (all its sessions)"
+            }
+            onClick={() => handleToggleLock(record)}
+          />
+        ) : null,
+    },
+  ];
+
+  // One row per instance; its sessions open below it
+  const instanceColumns = [
+    {
+      title: "Cohort",
+      dataIndex: "cohortCode",
+      key: "cohortCode",
+      width: 130,
+      sorter: (a, b) => a.cohortCode.localeCompare(b.cohortCode),
+      render: (code) => code || "-",
+    },
+    {
+      title: "Course",
+      dataIndex: "courseName",
+      key: "courseName",
+      filters: [...new Set(scheduledSessions.map((s) => s.courseName))].map(
+        (name) => ({ text: name, value: name })
+      ),
+      onFilter: (value, record) => record.courseName === value,
+    },
+    {
+      title: "Start",
+      dataIndex: "startDate",
+      key: "startDate",
+      render: (date) => format(date, "MM-dd-yyyy (EEE)"),
+      sorter: (a, b) => a.startDate - b.startDate,
+      defaultSortOrder: "ascend",
+    },
+    {
+      title: "End",
+      dataIndex: "endDate",
+      key: "endDate",
+      render: (date) => format(date, "MM-dd-yyyy (EEE)"),
+      sorter: (a, b) => a.endDate - b.endDate,
+    },
+    {
+      title: "Sessions",
+      key: "sessions",
+      width: 100,
+      render: (_, record) => record.sessions.length,
+    },
+    {
+      title: `Time (${describeTimeZone(displayTimeZone)})`,
+      key: "time",
+      render: (_, record) => formatSessionTime(record.sessions[0]),
+    },
+    {
+      title: "Instructor",
+      key: "instructor",
+      render: (_, record) => {
+        const { instructorFirstName, instructorLastName } = record.sessions[0];
+        return `${instructorFirstName} ${instructorLastName}`.trim() || "-";
+      },
+    },
+    {
+      title: "Quarter",
+      dataIndex: "quarter",
+      key: "quarter",
+      width: 90,
+    },
+    {
+      title: "Exceptions",
+      key: "exceptions",
+      width: 110,
+      render: (_, record) => {
+        const count = record.sessions.filter((s) => s.exception).length;
+        return count > 0 ? <Tag color="orange">{count}</Tag> : "-";
+      },
+    },
+    {
+      title: "Lock",
+      key: "locked",
+      width: 80,
+      render: (_, record) => (
+        <Button
+          type="text"
+          icon={record.locked ? <LockOutlined /> : <UnlockOutlined />}
+          title={record.locked ? "Unlock this instance" : "Lock this instance"}
+          onClick={() => handleToggleLock(record.sessions[0])}
+        />
+      ),
+    },
+  ];
+
+  const unscheduledColumns = [
+    {
+      title: "Course",
+      dataIndex: "courseName",
+      key: "courseName",
+      filters: [
+        ...new Set((scheduleInfo.unscheduled || []).map((u) => u.courseName)),
+      ].map((name) => ({ text: name, value: name })),
+      onFilter: (value, record) => record.courseName === value,
+    },
+    {
+      title: "Cohort",
+      dataIndex: "cohortCode",
+      key: "cohortCode",
+      width: 130,
+    },
+    {
+      title: "Cadence Date",
+      dataIndex: "cadenceDate",
+      key: "cadenceDate",
+      render: (date) => format(date, "MM-dd-yyyy (EEE)"),
+      sorter: (a, b) => a.cadenceDate - b.cadenceDate,
+      width: 170,
+    },
+    {
+      title: "Quarter",
+      dataIndex: "quarter",
+      key: "quarter",
+      width: 90,
+    },
+    {
+      title: "Reasons",
+      key: "reasons",
+      render: (_, record) => (
+        <Space size={[0, 4]} wrap>
+          {record.reasons.map(({ code, label, count }) => (
+            <Tag key={code} title={`${count} dates or slots rejected`}>
+              {label}
+            </Tag>
+          ))}
+        </Space>
+      ),
     },
   ];
 
@@ -255,6 +838,42 @@ const App = () => {
             )}
           </div>
 
+          <div>
+            <Text
+              strong
+              style={{
+                fontSize: "14px",
+                marginBottom: "8px",
+                display: "block",
+              }}
+            >
+              Upload Instructor Roster (optional)
+            </Text>
+            <Upload
+              accept=".xlsx,.xls"
+              beforeUpload={() => false}
+              onChange={handleRosterUpload}
+              onRemove={() => setRosterFile(null)}
+              maxCount={1}
+            >
+              <Button icon={<UploadOutlined />} size="large">
+                Select Roster File
+              </Button>
+            </Upload>
+            {rosterFile && (
+              <Text type="secondary" style={{ marginLeft: "12px" }}>
+                {rosterFile.name} ({(rosterFile.size / 1024).toFixed(2)} KB)
+              </Text>
+            )}
+            <Text
+              type="secondary"
+              style={{ display: "block", marginTop: "4px", fontSize: "12px" }}
+            >
+              Columns: First Name, Last Name, Email, Qualified Courses,
+              Availability (e.g. "Mon 09:00-17:00; Wed 06:00-12:00")
+            </Text>
+          </div>
+
           <Row gutter={16}>
             <Col xs={24} sm={16} md={18}>
               <Text strong style={{ display: "block", marginBottom: "8px" }}>
@@ -307,10 +926,11 @@ const App = () => {
     // Filter sessions by selected quarter
     const filteredSessions =
       selectedQuarterFilter === "all"
-        ? scheduledSessions
-        : scheduledSessions.filter(
+        ? displayedSessions
+        : displayedSessions.filter(
             (session) => session.quarter === selectedQuarterFilter
           );
+    const filteredInstances = groupInstances(filteredSessions);
 
     return (
       <Space orientation="vertical" size="large" style={{ width: "100%" }}>
@@ -318,8 +938,8 @@ const App = () => {
           <>
             {/* View Toggle and Filter Card */}
             <Card className="dashboard-card">
-              <Row gutter={16} align="middle">
-                <Col xs={24} sm={12} md={8}>
+              <Row gutter={[16, 16]} align="middle">
+                <Col xs={24} lg={12} xl={8}>
                   <Space>
                     <Text strong>View:</Text>
                     <Button.Group>
@@ -339,10 +959,33 @@ const App = () => {
                       >
                         Calendar
                       </Button>
+                      <Button
+                        type={scheduleView === "week" ? "primary" : "default"}
+                        onClick={() => setScheduleView("week")}
+                        icon={<ScheduleOutlined />}
+                      >
+                        Week
+                      </Button>
+                      <Button
+                        type={scheduleView === "day" ? "primary" : "default"}
+                        onClick={() => setScheduleView("day")}
+                        icon={<FieldTimeOutlined />}
+                      >
+                        Day
+                      </Button>
+                      <Button
+                        type={
+                          scheduleView === "timeline" ? "primary" : "default"
+                        }
+                        onClick={() => setScheduleView("timeline")}
+                        icon={<BarsOutlined />}
+                      >
+                        Timeline
+                      </Button>
                     </Button.Group>
                   </Space>
                 </Col>
-                <Col xs={24} sm={12} md={8}>
+                <Col xs={24} sm={12} lg={6}>
                   <Space>
                     <Text strong>Quarter:</Text>
                     <Select
@@ -360,7 +1003,21 @@ const App = () => {
                     </Select>
                   </Space>
                 </Col>
-                <Col xs={24} md={8} style={{ textAlign: "right" }}>
+                <Col xs={24} sm={12} lg={6}>
+                  <Space>
+                    <Text strong>Times:</Text>
+                    <Select
+                      showSearch
+                      optionFilterProp="label"
+                      value={displayTimeZone}
+                      onChange={handleViewTimeZoneChange}
+                      style={{ width: "220px" }}
+                      size="large"
+                      options={getTimeZoneOptions()}
+                    />
+                  </Space>
+                </Col>
+                <Col xs={24} sm={12} lg={6} style={{ textAlign: "right" }}>
                   <Space>
                     <Button
                       icon={<FileExcelOutlined />}
@@ -381,6 +1038,29 @@ const App = () => {
               </Row>
             </Card>
 
+            {alternatives.length > 0 && (
+              <ScheduleComparison
+                alternatives={alternatives}
+                currentSeed={scheduleInfo.seed}
+                onSelect={handleSelectAlternative}
+              />
+            )}
+
+            {scheduleInfo.optimization && (
+              <Alert
+                type={
+                  scheduleInfo.optimization.result.instances >
+                  scheduleInfo.optimization.baseline.instances
+                    ? "success"
+                    : "info"
+                }
+                showIcon
+                title={`Optimised schedule: ${describeOptimization(
+                  scheduleInfo.optimization
+                )}`}
+              />
+            )}
+
             {/* Table View */}
             {scheduleView === "table" && (
               <Card
@@ -388,7 +1068,9 @@ const App = () => {
                   <Space>
                     <FileTextOutlined />
                     <span>
-                      Scheduled Sessions ({filteredSessions.length}{" "}
+                      {tableLevel === "instances"
+                        ? `Scheduled Instances (${filteredInstances.length}`
+                        : `Scheduled Sessions (${filteredSessions.length}`}{" "}
                       {selectedQuarterFilter === "all"
                         ? "total"
                         : `in ${selectedQuarterFilter}`}
@@ -396,28 +1078,183 @@ const App = () => {
                     </span>
                   </Space>
                 }
+                extra={
+                  <Segmented
+                    value={tableLevel}
+                    onChange={setTableLevel}
+                    options={[
+                      { value: "sessions", label: "Sessions" },
+                      { value: "instances", label: "Instances" },
+                    ]}
+                  />
+                }
                 className="dashboard-card"
               >
-                <Table
-                  columns={tableColumns}
-                  dataSource={filteredSessions.map((session, idx) => ({
-                    ...session,
-                    key: idx,
-                  }))}
-                  pagination={{
-                    pageSize: 20,
-                    showSizeChanger: true,
-                    pageSizeOptions: ["10", "20", "50", "100"],
-                    showTotal: (total) => `Total ${total} sessions`,
-                  }}
-                  scroll={{ x: 800 }}
-                />
+                {tableLevel === "instances" ? (
+                  <Table
+                    columns={instanceColumns}
+                    dataSource={filteredInstances.map((instance) => ({
+                      ...instance,
+                      key: instance.instanceId,
+                    }))}
+                    expandable={{
+                      expandedRowRender: (record) => (
+                        <Table
+                          columns={tableColumns.filter((column) =>
+                            [
+                              "date",
+                              "sessionNumber",
+                              "time",
+                              "resourceName",
+                              "exception",
+                              "preferencePenalty",
+                            ].includes(column.key)
+                          )}
+                          dataSource={record.sessions.map((session) => ({
+                            ...session,
+                            key: session.sessionNumber,
+                          }))}
+                          pagination={false}
+                          size="small"
+                        />
+                      ),
+                    }}
+                    pagination={{
+                      pageSize: 20,
+                      showSizeChanger: true,
+                      pageSizeOptions: ["10", "20", "50", "100"],
+                      showTotal: (total) => `Total ${total} instances`,
+                    }}
+                    scroll={{ x: 800 }}
+                    rowClassName={(record) =>
+                      record.locked ? "locked-row" : ""
+                    }
+                  />
+                ) : (
+                  <Table
+                    columns={tableColumns}
+                    dataSource={filteredSessions.map((session, idx) => ({
+                      ...session,
+                      key: idx,
+                    }))}
+                    pagination={{
+                      pageSize: 20,
+                      showSizeChanger: true,
+                      pageSizeOptions: ["10", "20", "50", "100"],
+                      showTotal: (total) => `Total ${total} sessions`,
+                    }}
+                    scroll={{ x: 800 }}
+                    rowClassName={(record) =>
+                      record.locked ? "locked-row" : ""
+                    }
+                  />
+                )}
               </Card>
             )}
 
             {/* Calendar View */}
             {scheduleView === "calendar" && (
-              <MonthlyCalendarView scheduledSessions={filteredSessions} />
+              <MonthlyCalendarView
+                scheduledSessions={filteredSessions}
+                blackouts={blackouts}
+                onDayClick={(day) => setBlackoutDate(format(day, "yyyy-MM-dd"))}
+                onSessionClick={confirmToggleLock}
+                // Moves are checked in the zone the schedule was generated in
+                getMoveChecker={
+                  scheduleInputs && displayTimeZone === homeTimeZone
+                    ? getMoveChecker
+                    : undefined
+                }
+                onMove={handleMoveSessions}
+              />
+            )}
+
+            {/* Week and Day Views (slot times are in the home zone) */}
+            {(scheduleView === "week" || scheduleView === "day") &&
+              displayTimeZone !== homeTimeZone && (
+                <Alert
+                  type="info"
+                  showIcon
+                  title={`The week and day views show the home zone (${describeTimeZone(
+                    homeTimeZone
+                  )}), where slots, holidays and blackouts are defined. The table and calendar show ${describeTimeZone(
+                    displayTimeZone
+                  )}.`}
+                />
+              )}
+            {(scheduleView === "week" || scheduleView === "day") && (
+              <TimeGridView
+                mode={scheduleView}
+                scheduledSessions={filterByQuarter(
+                  scheduledSessions.map((session) => ({
+                    ...session,
+                    locked: isLocked(session),
+                  }))
+                )}
+                slotTemplate={slotTemplate}
+                holidaySettings={holidaySettings}
+                blackouts={blackouts}
+                capacitySettings={capacitySettings}
+                timeZone={homeTimeZone}
+                onModeChange={setScheduleView}
+                onSessionClick={confirmToggleLock}
+                getMoveChecker={scheduleInputs ? getMoveChecker : undefined}
+                onMove={handleMoveSessions}
+              />
+            )}
+
+            {/* Instance Timeline */}
+            {scheduleView === "timeline" && (
+              <InstanceTimelineView
+                scheduledSessions={filteredSessions}
+                holidays={scheduleInfo.holidayCalendar?.holidays || []}
+              />
+            )}
+
+            {/* Unscheduled Instances */}
+            {filterByQuarter(scheduleInfo.unscheduled || []).length > 0 && (
+              <Card
+                title={
+                  <Space>
+                    <ClockCircleOutlined />
+                    <span>
+                      Unscheduled Instances (
+                      {filterByQuarter(scheduleInfo.unscheduled).length})
+                    </span>
+                  </Space>
+                }
+                className="dashboard-card"
+              >
+                <Table
+                  columns={unscheduledColumns}
+                  dataSource={filterByQuarter(scheduleInfo.unscheduled).map(
+                    (entry) => ({
+                      ...entry,
+                      key: `${entry.courseName}-${entry.cadenceDate.getTime()}`,
+                    })
+                  )}
+                  pagination={{ pageSize: 10, hideOnSinglePage: true }}
+                  size="small"
+                />
+                <Text
+                  type="secondary"
+                  style={{ display: "block", marginTop: "8px", fontSize: "12px" }}
+                >
+                  Cadence instances that could not be placed, with every reason
+                  a start date or slot was rejected, most frequent first. Hover
+                  a reason to see how often it applied.
+                </Text>
+              </Card>
+            )}
+
+            {blackoutDate && (
+              <BlackoutFormModal
+                key={blackoutDate}
+                open
+                initialValues={{ startDate: blackoutDate }}
+                onSubmit={handleAddBlackout}
+                onCancel={() => setBlackoutDate(null)}
+              />
             )}
           </>
         ) : (
@@ -476,9 +1313,9 @@ const App = () => {
               size="large"
               defaultValue={currentYear}
             >
-              {financialYears.map((fy) => (
-                <Option key={fy.value} value={fy.value}>
-                  {fy.label}
+              {years.map((y) => (
+                <Option key={y.value} value={y.value}>
+                  {y.label}
                 </Option>
               ))}
             </Select>
@@ -516,6 +1353,260 @@ const App = () => {
         </Space>
       </Card>
 
+      {/* Scheduling Options */}
+      <Card
+        title={
+          <Space>
+            <CalendarOutlined />
+            <span>Scheduling Options</span>
+          </Space>
+        }
+        className="dashboard-card"
+      >
+        <Space orientation="vertical" size="middle" style={{ width: "100%" }}>
+          <div>
+            <Text strong style={{ display: "block", marginBottom: "8px" }}>
+              Allow Instances to Span Quarters
+            </Text>
+            <Switch checked={spanQuarters} onChange={setSpanQuarters} />
+            <Text
+              type="secondary"
+              style={{ display: "block", marginTop: "4px", fontSize: "12px" }}
+            >
+              Lets a course that starts late in a quarter continue into the
+              next quarter (e.g. a cohort running from March into April)
+            </Text>
+          </div>
+
+          <div>
+            <Text strong style={{ display: "block", marginBottom: "8px" }}>
+              Report Spanning Sessions Under
+            </Text>
+            <Select
+              style={{ width: "100%", maxWidth: "400px" }}
+              size="large"
+              value={quarterAssignment}
+              onChange={setQuarterAssignment}
+              disabled={!spanQuarters}
+            >
+              <Option value="start">Quarter the instance started in</Option>
+              <Option value="session">Quarter of each session date</Option>
+            </Select>
+          </div>
+
+          <div>
+            <Text strong style={{ display: "block", marginBottom: "8px" }}>
+              Scheduling Mode
+            </Text>
+            <Space wrap>
+              <Select
+                style={{ width: "320px" }}
+                size="large"
+                value={schedulingMode}
+                onChange={setSchedulingMode}
+                options={Object.entries(SCHEDULING_MODES).map(
+                  ([value, label]) => ({ value, label })
+                )}
+              />
+              {schedulingMode === "optimized" && (
+                <Space>
+                  <Text>trying</Text>
+                  <InputNumber
+                    size="large"
+                    min={5}
+                    max={500}
+                    value={maxAttempts}
+                    onChange={(attempts) =>
+                      setMaxAttempts(attempts || DEFAULT_MAX_ATTEMPTS)
+                    }
+                  />
+                  <Text>course orders</Text>
+                </Space>
+              )}
+              {schedulingMode === "alternatives" && (
+                <Space>
+                  <InputNumber
+                    size="large"
+                    min={2}
+                    max={MAX_ALTERNATIVE_COUNT}
+                    value={alternativeCount}
+                    onChange={(count) =>
+                      setAlternativeCount(count || DEFAULT_ALTERNATIVE_COUNT)
+                    }
+                  />
+                  <Text>candidates</Text>
+                </Space>
+              )}
+            </Space>
+            <Text
+              type="secondary"
+              style={{ display: "block", marginTop: "4px", fontSize: "12px" }}
+            >
+              Greedy places courses in file order, each in the first free slot.
+              Optimised tries other placement orders to fit more course
+              instances, keeping every rule, and reports how the result
+              compares with greedy; the same seed and number of orders always
+              give the same schedule. Alternatives generates the standard
+              schedule plus seeded variations and compares them on the
+              Schedule tab, where you choose the one to keep.
+            </Text>
+          </div>
+
+          <div>
+            <Text strong style={{ display: "block", marginBottom: "8px" }}>
+              Locked Instances
+            </Text>
+            <Space>
+              <Text>{lockedInstances.length} locked</Text>
+              <Button
+                icon={<UnlockOutlined />}
+                disabled={lockedInstances.length === 0}
+                onClick={() => handleLockedInstancesChange([])}
+              >
+                Unlock All
+              </Button>
+            </Space>
+            <Text
+              type="secondary"
+              style={{ display: "block", marginTop: "4px", fontSize: "12px" }}
+            >
+              Lock an instance from the session table or by clicking one of its
+              sessions in the calendar. Regenerating keeps locked instances
+              exactly where they are (with their instructor and resource) and
+              schedules everything else around them.
+            </Text>
+          </div>
+
+          <div>
+            <Text strong style={{ display: "block", marginBottom: "8px" }}>
+              Seed
+            </Text>
+            <InputNumber
+              style={{ width: "220px" }}
+              size="large"
+              min={1}
+              precision={0}
+              placeholder="None (standard order)"
+              value={seed}
+              onChange={handleSeedChange}
+            />
+            <Text
+              type="secondary"
+              style={{ display: "block", marginTop: "4px", fontSize: "12px" }}
+            >
+              With a seed, greedy scheduling places the courses in a seeded
+              order and breaks ties between equally good slots with it, so the
+              same inputs and seed always give the same schedule. Choosing an
+              alternative saves its seed here; clear it for the standard
+              schedule.
+            </Text>
+          </div>
+
+          <div>
+            <Text strong style={{ display: "block", marginBottom: "8px" }}>
+              Slot Selection
+            </Text>
+            <Select
+              style={{ width: "100%", maxWidth: "400px" }}
+              size="large"
+              value={slotStrategy}
+              onChange={setSlotStrategy}
+              options={Object.entries(SLOT_STRATEGIES).map(
+                ([value, label]) => ({ value, label })
+              )}
+            />
+            <Text
+              type="secondary"
+              style={{ display: "block", marginTop: "4px", fontSize: "12px" }}
+            >
+              First fit takes the earliest free slot of the day, so mornings
+              fill up first. Balanced prefers the weekdays and times of day
+              (morning, midday, afternoon) with the fewest sessions so far, and
+              may start an instance a few days after its earliest date to do
+              so. Either way, a course's preferred window ("prefer:
+              13:00-16:00" or a "Preferred Window" column) is tried first.
+            </Text>
+          </div>
+
+          <div>
+            <Text strong style={{ display: "block", marginBottom: "8px" }}>
+              When a Week Is Blocked
+            </Text>
+            <Space wrap>
+              <Select
+                style={{ width: "320px" }}
+                size="large"
+                value={sequencePolicy.sequenceMode}
+                onChange={(sequenceMode) =>
+                  setSequencePolicy({ ...sequencePolicy, sequenceMode })
+                }
+                options={Object.entries(SEQUENCE_MODES).map(
+                  ([value, label]) => ({ value, label })
+                )}
+              />
+              {sequencePolicy.sequenceMode === "skip" && (
+                <Space>
+                  <Text>up to</Text>
+                  <InputNumber
+                    size="large"
+                    min={1}
+                    max={5}
+                    value={sequencePolicy.maxSkips}
+                    onChange={(maxSkips) =>
+                      setSequencePolicy({
+                        ...sequencePolicy,
+                        maxSkips: maxSkips || 1,
+                      })
+                    }
+                  />
+                  <Text>weeks</Text>
+                </Space>
+              )}
+            </Space>
+            <Text
+              type="secondary"
+              style={{ display: "block", marginTop: "4px", fontSize: "12px" }}
+            >
+              Default for courses without a "Sequence Policy" column or
+              "sequence:" note (e.g. "sequence: skip 1" or "sequence: move").
+              Skipped and moved sessions are flagged in the schedule.
+            </Text>
+          </div>
+        </Space>
+      </Card>
+
+      {/* Time-Slot Template */}
+      <SlotTemplateEditor
+        template={slotTemplate}
+        onSave={handleSaveSlotTemplate}
+      />
+
+      {/* Parallel Capacity */}
+      <CapacitySettings
+        settings={capacitySettings}
+        onChange={handleCapacitySettingsChange}
+        template={slotTemplate}
+      />
+
+      {/* Holiday Calendar */}
+      <HolidaySettings
+        settings={holidaySettings}
+        onChange={handleHolidaySettingsChange}
+        year={selectedYear}
+      />
+
+      {/* Blackouts */}
+      <BlackoutManager blackouts={blackouts} onChange={handleBlackoutsChange} />
+
+      {/* Resource Registry */}
+      <ResourceManager resources={resources} onChange={handleResourcesChange} />
+
+      {/* Soft Preferences */}
+      <PreferenceManager
+        preferences={preferences}
+        onChange={handlePreferencesChange}
+      />
+
       {/* Export Settings */}
       <Card
         title={
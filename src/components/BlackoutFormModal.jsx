@@ -0,0 +1,198 @@
+import React, { useState } from "react";
+import { Modal, Input, Select, Space, Typography, Alert } from "antd";
+import {
+  BLACKOUT_TYPES,
+  createBlackout,
+  validateBlackout,
+} from "../utils/blackouts";
+import { describeRRule, getRRulePresets } from "../utils/recurrence";
+
+const { Text } = Typography;
+
+const EMPTY_BLACKOUT = {
+  type: "day",
+  startDate: "",
+  endDate: "",
+  time: "13:00",
+  startTime: "12:00",
+  endTime: "13:00",
+  label: "",
+  rrule: "",
+};
+
+// Select value for a rule typed in by hand
+const CUSTOM_RULE = "custom";
+
+/**
+ * Modal for adding a blackout
+ * Mount it when opening so the form starts from initialValues.
+ */
+const BlackoutFormModal = ({ open, initialValues, onSubmit, onCancel }) => {
+  const [values, setValues] = useState({ ...EMPTY_BLACKOUT, ...initialValues });
+  const [error, setError] = useState(null);
+  const [customRule, setCustomRule] = useState(false);
+
+  const [year, month, day] = (values.startDate || "").split("-").map(Number);
+  const presets = values.startDate
+    ? getRRulePresets(new Date(year, month - 1, day))
+    : [];
+  const isPreset = presets.some((preset) => preset.value === values.rrule);
+  let repeatValue = values.rrule;
+  if (customRule || (values.rrule && !isPreset)) repeatValue = CUSTOM_RULE;
+
+  const updateValue = (field, value) => {
+    setValues({ ...values, [field]: value });
+    setError(null);
+  };
+
+  const handleRepeatChange = (value) => {
+    setCustomRule(value === CUSTOM_RULE);
+    if (value !== CUSTOM_RULE) updateValue("rrule", value);
+  };
+
+  const handleOk = () => {
+    const blackout = createBlackout({
+      ...values,
+      label: values.label.trim(),
+      rrule: values.rrule.trim(),
+    });
+    const validationError = validateBlackout(blackout);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    onSubmit(blackout);
+  };
+
+  return (
+    <Modal
+      title="Add Blackout"
+      open={open}
+      onOk={handleOk}
+      onCancel={onCancel}
+      okText="Add Blackout"
+    >
+      <Space orientation="vertical" size="middle" style={{ width: "100%" }}>
+        <div>
+          <Text strong style={{ display: "block", marginBottom: "4px" }}>
+            Label
+          </Text>
+          <Input
+            placeholder="e.g. Company shutdown"
+            value={values.label}
+            onChange={(e) => updateValue("label", e.target.value)}
+          />
+        </div>
+
+        <Space wrap>
+          <div>
+            <Text strong style={{ display: "block", marginBottom: "4px" }}>
+              From
+            </Text>
+            <Input
+              type="date"
+              value={values.startDate}
+              onChange={(e) => updateValue("startDate", e.target.value)}
+            />
+          </div>
+          <div>
+            <Text strong style={{ display: "block", marginBottom: "4px" }}>
+              {values.rrule ? "Repeat Until (optional)" : "To (optional)"}
+            </Text>
+            <Input
+              type="date"
+              value={values.endDate}
+              min={values.startDate}
+              onChange={(e) => updateValue("endDate", e.target.value)}
+            />
+          </div>
+        </Space>
+
+        <div>
+          <Text strong style={{ display: "block", marginBottom: "4px" }}>
+            Repeats
+          </Text>
+          <Select
+            style={{ width: "100%" }}
+            value={repeatValue}
+            onChange={handleRepeatChange}
+            disabled={!values.startDate}
+            options={[
+              { value: "", label: "Does not repeat" },
+              ...presets,
+              { value: CUSTOM_RULE, label: "Custom rule (RRULE)..." },
+            ]}
+          />
+          {repeatValue === CUSTOM_RULE && (
+            <Input
+              style={{ marginTop: "8px" }}
+              placeholder="e.g. FREQ=YEARLY;BYMONTH=1,4,7,10;BYDAY=1MO"
+              value={values.rrule}
+              onChange={(e) => updateValue("rrule", e.target.value)}
+            />
+          )}
+          {values.rrule && (
+            <Text
+              type="secondary"
+              style={{ display: "block", marginTop: "4px", fontSize: "12px" }}
+            >
+              {describeRRule(values.rrule)}
+            </Text>
+          )}
+        </div>
+
+        <div>
+          <Text strong style={{ display: "block", marginBottom: "4px" }}>
+            Restriction
+          </Text>
+          <Select
+            style={{ width: "100%" }}
+            value={values.type}
+            onChange={(type) => updateValue("type", type)}
+            options={Object.entries(BLACKOUT_TYPES).map(([value, label]) => ({
+              value,
+              label,
+            }))}
+          />
+        </div>
+
+        {(values.type === "before" || values.type === "after") && (
+          <Space>
+            <Text>
+              No sessions {values.type === "before" ? "before" : "from"}
+            </Text>
+            <Input
+              type="time"
+              value={values.time}
+              onChange={(e) => updateValue("time", e.target.value)}
+              style={{ width: "140px" }}
+            />
+          </Space>
+        )}
+
+        {values.type === "slots" && (
+          <Space>
+            <Text>No sessions from</Text>
+            <Input
+              type="time"
+              value={values.startTime}
+              onChange={(e) => updateValue("startTime", e.target.value)}
+              style={{ width: "140px" }}
+            />
+            <Text>to</Text>
+            <Input
+              type="time"
+              value={values.endTime}
+              onChange={(e) => updateValue("endTime", e.target.value)}
+              style={{ width: "140px" }}
+            />
+          </Space>
+        )}
+
+        {error && <Alert type="error" title={error} showIcon />}
+      </Space>
+    </Modal>
+  );
+};
+
+export default BlackoutFormModal;
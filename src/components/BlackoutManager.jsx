@@ -0,0 +1,152 @@
+import React, { useState } from "react";
+import {
+  Card,
+  Button,
+  Space,
+  Table,
+  Typography,
+  Upload,
+  Tag,
+  message,
+} from "antd";
+import {
+  StopOutlined,
+  PlusOutlined,
+  DeleteOutlined,
+  UploadOutlined,
+} from "@ant-design/icons";
+import {
+  describeBlackoutDates,
+  describeBlackoutRule,
+} from "../utils/blackouts";
+import { parseBlackoutExcel } from "../utils/excelParser";
+import BlackoutFormModal from "./BlackoutFormModal";
+
+const { Text } = Typography;
+
+const BlackoutManager = ({ blackouts, onChange }) => {
+  const [formKey, setFormKey] = useState(null); // set while the form is open
+
+  const handleAdd = (blackout) => {
+    onChange([...blackouts, blackout]);
+    setFormKey(null);
+    message.success("Blackout added");
+  };
+
+  const handleRemove = (id) => {
+    onChange(blackouts.filter((blackout) => blackout.id !== id));
+  };
+
+  const handleImport = async (file) => {
+    try {
+      const imported = await parseBlackoutExcel(file);
+      onChange([...blackouts, ...imported]);
+      message.success(`${imported.length} blackouts imported from ${file.name}`);
+    } catch (error) {
+      message.error(error.message);
+    }
+    return false;
+  };
+
+  const columns = [
+    {
+      title: "Dates",
+      key: "dates",
+      render: (_, record) => (
+        <Space>
+          {describeBlackoutDates(record)}
+          {record.rrule && <Tag color="blue">Recurring</Tag>}
+        </Space>
+      ),
+      sorter: (a, b) => a.startDate.localeCompare(b.startDate),
+      defaultSortOrder: "ascend",
+    },
+    {
+      title: "Restriction",
+      key: "rule",
+      render: (_, record) => (
+        <Tag color={record.type === "day" ? "red" : "orange"}>
+          {describeBlackoutRule(record)}
+        </Tag>
+      ),
+    },
+    {
+      title: "Label",
+      dataIndex: "label",
+      key: "label",
+    },
+    {
+      title: "",
+      key: "actions",
+      width: 60,
+      render: (_, record) => (
+        <Button
+          danger
+          icon={<DeleteOutlined />}
+          onClick={() => handleRemove(record.id)}
+        />
+      ),
+    },
+  ];
+
+  return (
+    <Card
+      title={
+        <Space>
+          <StopOutlined />
+          <span>Blackouts</span>
+        </Space>
+      }
+      className="dashboard-card"
+      extra={
+        <Space>
+          <Upload
+            accept=".xlsx,.xls"
+            showUploadList={false}
+            beforeUpload={handleImport}
+          >
+            <Button icon={<UploadOutlined />}>Import Spreadsheet</Button>
+          </Upload>
+          <Button
+            type="primary"
+            icon={<PlusOutlined />}
+            onClick={() => setFormKey(Date.now())}
+          >
+            Add Blackout
+          </Button>
+        </Space>
+      }
+    >
+      <Table
+        columns={columns}
+        dataSource={blackouts.map((blackout) => ({
+          ...blackout,
+          key: blackout.id,
+        }))}
+        pagination={{ pageSize: 10, hideOnSinglePage: true }}
+        size="small"
+        locale={{ emptyText: "No blackouts" }}
+      />
+      <Text
+        type="secondary"
+        style={{ display: "block", marginTop: "8px", fontSize: "12px" }}
+      >
+        Blackouts can also be added by clicking a day in the schedule's
+        calendar view. Spreadsheet columns: Start Date, End Date, Type (Full
+        Day, Before, After, Time Range), Time, Start Time, End Time, Label and
+        an optional Repeat rule (iCalendar RRULE, e.g. FREQ=MONTHLY;BYDAY=-1FR).
+      </Text>
+
+      {formKey && (
+        <BlackoutFormModal
+          key={formKey}
+          open
+          onSubmit={handleAdd}
+          onCancel={() => setFormKey(null)}
+        />
+      )}
+    </Card>
+  );
+};
+
+export default BlackoutManager;
@@ -0,0 +1,203 @@
+import React, { useState } from "react";
+import {
+  Card,
+  Button,
+  InputNumber,
+  Select,
+  Space,
+  Typography,
+} from "antd";
+import {
+  TeamOutlined,
+  PlusOutlined,
+  DeleteOutlined,
+} from "@ant-design/icons";
+
+const { Text } = Typography;
+
+// Weekdays in the order they appear in the editor
+const EDITOR_DAYS = [
+  "MONDAY",
+  "TUESDAY",
+  "WEDNESDAY",
+  "THURSDAY",
+  "FRIDAY",
+  "SATURDAY",
+  "SUNDAY",
+];
+
+const formatDay = (dayName) =>
+  `${dayName.charAt(0)}${dayName.slice(1).toLowerCase()}`;
+
+const CapacitySettings = ({ settings, onChange, template }) => {
+  const [newSlotDay, setNewSlotDay] = useState("TUESDAY");
+  const [newSlotTime, setNewSlotTime] = useState(null);
+
+  // Only weekdays with slots in the template can take sessions
+  const activeDays = EDITOR_DAYS.filter(
+    (dayName) => (template[dayName] || []).length > 0
+  );
+
+  const handleWeekdayChange = (dayName, value) => {
+    const byWeekday = { ...settings.byWeekday };
+    if (value === null || value === undefined) delete byWeekday[dayName];
+    else byWeekday[dayName] = value;
+    onChange({ ...settings, byWeekday });
+  };
+
+  const handleSlotChange = (key, value) => {
+    onChange({
+      ...settings,
+      bySlot: { ...settings.bySlot, [key]: value ?? 0 },
+    });
+  };
+
+  const handleAddSlot = () => {
+    if (!newSlotTime) return;
+    const key = `${newSlotDay} ${newSlotTime}`;
+    onChange({
+      ...settings,
+      bySlot: {
+        ...settings.bySlot,
+        [key]: settings.bySlot[key] ?? (settings.default || 1) + 1,
+      },
+    });
+    setNewSlotTime(null);
+  };
+
+  const handleRemoveSlot = (key) => {
+    const bySlot = { ...settings.bySlot };
+    delete bySlot[key];
+    onChange({ ...settings, bySlot });
+  };
+
+  return (
+    <Card
+      title={
+        <Space>
+          <TeamOutlined />
+          <span>Parallel Sessions per Slot</span>
+        </Space>
+      }
+      className="dashboard-card"
+    >
+      <Space orientation="vertical" size="middle" style={{ width: "100%" }}>
+        <div>
+          <Text strong style={{ display: "block", marginBottom: "8px" }}>
+            Default Capacity
+          </Text>
+          <Space>
+            <InputNumber
+              min={1}
+              max={20}
+              value={settings.default}
+              onChange={(value) =>
+                onChange({ ...settings, default: value || 1 })
+              }
+            />
+            <Text type="secondary">sessions at the same time</Text>
+          </Space>
+        </div>
+
+        <div>
+          <Text strong style={{ display: "block", marginBottom: "8px" }}>
+            By Weekday
+          </Text>
+          <Space wrap>
+            {activeDays.map((dayName) => (
+              <Space key={dayName} orientation="vertical" size={2}>
+                <Text type="secondary" style={{ fontSize: "12px" }}>
+                  {formatDay(dayName)}
+                </Text>
+                <InputNumber
+                  min={0}
+                  max={20}
+                  placeholder={`${settings.default}`}
+                  value={settings.byWeekday[dayName]}
+                  onChange={(value) => handleWeekdayChange(dayName, value)}
+                  style={{ width: "90px" }}
+                />
+              </Space>
+            ))}
+          </Space>
+        </div>
+
+        <div>
+          <Text strong style={{ display: "block", marginBottom: "8px" }}>
+            By Weekday and Time
+          </Text>
+          <Space orientation="vertical" style={{ width: "100%" }}>
+            {Object.entries(settings.bySlot)
+              .sort(
+                ([a], [b]) =>
+                  EDITOR_DAYS.indexOf(a.split(" ")[0]) -
+                    EDITOR_DAYS.indexOf(b.split(" ")[0]) || a.localeCompare(b)
+              )
+              .map(([key, capacity]) => {
+                const [dayName, time] = key.split(" ");
+                return (
+                  <Space key={key}>
+                    <Text style={{ display: "inline-block", width: "150px" }}>
+                      {formatDay(dayName)} {time}
+                    </Text>
+                    <InputNumber
+                      min={0}
+                      max={20}
+                      value={capacity}
+                      onChange={(value) => handleSlotChange(key, value)}
+                      style={{ width: "90px" }}
+                    />
+                    <Button
+                      danger
+                      icon={<DeleteOutlined />}
+                      onClick={() => handleRemoveSlot(key)}
+                    />
+                  </Space>
+                );
+              })}
+            <Space wrap>
+              <Select
+                style={{ width: "150px" }}
+                value={newSlotDay}
+                onChange={(dayName) => {
+                  setNewSlotDay(dayName);
+                  setNewSlotTime(null);
+                }}
+                options={activeDays.map((dayName) => ({
+                  value: dayName,
+                  label: formatDay(dayName),
+                }))}
+              />
+              <Select
+                style={{ width: "120px" }}
+                placeholder="Slot"
+                value={newSlotTime}
+                onChange={setNewSlotTime}
+                options={(template[newSlotDay] || []).map((slot) => ({
+                  value: slot.start,
+                  label: slot.start,
+                }))}
+              />
+              <Button
+                type="dashed"
+                icon={<PlusOutlined />}
+                onClick={handleAddSlot}
+                disabled={!newSlotTime}
+              >
+                Add Slot Override
+              </Button>
+            </Space>
+          </Space>
+        </div>
+
+        <Text type="secondary" style={{ fontSize: "12px" }}>
+          Set how many courses may run at the same time, e.g. with several
+          facilitators or virtual rooms. A slot override wins over its weekday,
+          which wins over the default. Use 0 to keep a slot free.
+        </Text>
+      </Space>
+    </Card>
+  );
+};
+
+export default CapacitySettings;
@@ -0,0 +1,468 @@
+import React, { useMemo, useState } from "react";
+import {
+  Card,
+  Button,
+  Select,
+  Space,
+  Switch,
+  Table,
+  Typography,
+  Tag,
+  Input,
+  InputNumber,
+} from "antd";
+import {
+  GlobalOutlined,
+  PlusOutlined,
+  DeleteOutlined,
+} from "@ant-design/icons";
+import { format } from "date-fns";
+import {
+  OBSERVANCE_RULES,
+  getCountryOptions,
+  getStateOptions,
+  getHolidaysForYear,
+} from "../utils/holidayProvider";
+
+const { Text } = Typography;
+
+const KIND_COLORS = {
+  holiday: "default",
+  observed: "blue",
+  bridge: "purple",
+};
+
+const observanceOptions = Object.entries(OBSERVANCE_RULES).map(
+  ([value, label]) => ({ value, label })
+);
+
+const monthOptions = Array.from({ length: 12 }, (_, index) => ({
+  value: index + 1,
+  label: format(new Date(2000, index, 1), "MMMM"),
+}));
+
+const HolidaySettings = ({ settings, onChange, year }) => {
+  const [previewYear, setPreviewYear] = useState(
+    year || new Date().getFullYear()
+  );
+  const countryOptions = useMemo(() => getCountryOptions(), []);
+
+  const holidays = useMemo(
+    () => getHolidaysForYear(previewYear, settings),
+    [previewYear, settings]
+  );
+
+  // Names of the actual holidays (not observed/bridge days) for the rule editors
+  const holidayNameOptions = useMemo(
+    () =>
+      [
+        ...new Set(
+          holidays
+            .filter((holiday) => holiday.kind === "holiday")
+            .flatMap((holiday) => holiday.holidayNames)
+        ),
+      ].map((name) => ({ value: name, label: name })),
+    [holidays]
+  );
+  const observanceByHoliday = settings.observanceByHoliday || {};
+  const bridgeDays = settings.bridgeDays || [];
+  const restrictedDates = settings.restrictedDates || [];
+
+  const updateCalendar = (index, changes) => {
+    const calendars = settings.calendars.map((calendar, calendarIndex) =>
+      calendarIndex === index ? { ...calendar, ...changes } : calendar
+    );
+    onChange({ ...settings, calendars });
+  };
+
+  const handleAddCalendar = () => {
+    onChange({
+      ...settings,
+      calendars: [...settings.calendars, { country: "US", state: "" }],
+    });
+  };
+
+  const handleRemoveCalendar = (index) => {
+    onChange({
+      ...settings,
+      calendars: settings.calendars.filter(
+        (_, calendarIndex) => calendarIndex !== index
+      ),
+    });
+  };
+
+  const handleToggleHoliday = (dateKey, enabled) => {
+    const disabledDates = enabled
+      ? settings.disabledDates.filter((disabled) => disabled !== dateKey)
+      : [...settings.disabledDates, dateKey];
+    onChange({ ...settings, disabledDates });
+  };
+
+  const handleObservanceChange = (holidayNames, rule) => {
+    const updated = { ...observanceByHoliday };
+    holidayNames.forEach((name) => {
+      if (rule) updated[name] = rule;
+      else delete updated[name];
+    });
+    onChange({ ...settings, observanceByHoliday: updated });
+  };
+
+  const updateBridgeDay = (index, changes) => {
+    onChange({
+      ...settings,
+      bridgeDays: bridgeDays.map((bridge, bridgeIndex) =>
+        bridgeIndex === index ? { ...bridge, ...changes } : bridge
+      ),
+    });
+  };
+
+  const handleAddBridgeDay = () => {
+    onChange({
+      ...settings,
+      bridgeDays: [...bridgeDays, { holiday: "", offset: 1 }],
+    });
+  };
+
+  const handleRemoveBridgeDay = (index) => {
+    onChange({
+      ...settings,
+      bridgeDays: bridgeDays.filter((_, bridgeIndex) => bridgeIndex !== index),
+    });
+  };
+
+  const updateRestrictedDate = (index, changes) => {
+    onChange({
+      ...settings,
+      restrictedDates: restrictedDates.map((restriction, restrictionIndex) =>
+        restrictionIndex === index
+          ? { ...restriction, ...changes }
+          : restriction
+      ),
+    });
+  };
+
+  const handleAddRestrictedDate = () => {
+    onChange({
+      ...settings,
+      restrictedDates: [
+        ...restrictedDates,
+        { month: 1, day: 1, afterTime: "13:00", name: "", enabled: true },
+      ],
+    });
+  };
+
+  const handleRemoveRestrictedDate = (index) => {
+    onChange({
+      ...settings,
+      restrictedDates: restrictedDates.filter(
+        (_, restrictionIndex) => restrictionIndex !== index
+      ),
+    });
+  };
+
+  const columns = [
+    {
+      title: "Date",
+      dataIndex: "date",
+      key: "date",
+      render: (date) => format(date, "MM-dd-yyyy (EEE)"),
+    },
+    {
+      title: "Holiday",
+      dataIndex: "name",
+      key: "name",
+      render: (name, record) => (
+        <Space>
+          {name}
+          {record.kind !== "holiday" && (
+            <Tag color={KIND_COLORS[record.kind]}>{record.kind}</Tag>
+          )}
+        </Space>
+      ),
+    },
+    {
+      title: "On a Weekend",
+      key: "observance",
+      width: 260,
+      render: (_, record) =>
+        record.kind === "holiday" && (
+          <Select
+            size="small"
+            style={{ width: "100%" }}
+            placeholder="Default rule"
+            allowClear
+            value={observanceByHoliday[record.holidayNames[0]]}
+            options={observanceOptions}
+            onChange={(rule) =>
+              handleObservanceChange(record.holidayNames, rule)
+            }
+          />
+        ),
+    },
+    {
+      title: "Calendar",
+      dataIndex: "calendars",
+      key: "calendars",
+      render: (calendars) =>
+        calendars.map((calendar) => <Tag key={calendar}>{calendar}</Tag>),
+    },
+    {
+      title: "No Sessions",
+      key: "enabled",
+      width: 120,
+      render: (_, record) => (
+        <Switch
+          checked={record.enabled}
+          onChange={(checked) => handleToggleHoliday(record.dateKey, checked)}
+        />
+      ),
+    },
+  ];
+
+  return (
+    <Card
+      title={
+        <Space>
+          <GlobalOutlined />
+          <span>Holiday Calendar</span>
+        </Space>
+      }
+      className="dashboard-card"
+    >
+      <Space orientation="vertical" size="middle" style={{ width: "100%" }}>
+        <div>
+          <Text strong style={{ display: "block", marginBottom: "8px" }}>
+            Countries / Regions
+          </Text>
+          {settings.calendars.length === 0 && (
+            <Text
+              type="secondary"
+              style={{ display: "block", marginBottom: "8px" }}
+            >
+              No calendar selected: the built-in LEL holidays are used (New
+              Year's Day, Fourth of July, Thanksgiving, Christmas).
+            </Text>
+          )}
+          <Space orientation="vertical" style={{ width: "100%" }}>
+            {settings.calendars.map((calendar, index) => {
+              const stateOptions = getStateOptions(calendar.country);
+              return (
+                <Space key={index} wrap>
+                  <Select
+                    showSearch
+                    optionFilterProp="label"
+                    style={{ width: "240px" }}
+                    value={calendar.country}
+                    options={countryOptions}
+                    onChange={(country) =>
+                      updateCalendar(index, { country, state: "" })
+                    }
+                  />
+                  {stateOptions.length > 0 && (
+                    <Select
+                      showSearch
+                      allowClear
+                      optionFilterProp="label"
+                      placeholder="Whole country"
+                      style={{ width: "240px" }}
+                      value={calendar.state || undefined}
+                      options={stateOptions}
+                      onChange={(state) =>
+                        updateCalendar(index, { state: state || "" })
+                      }
+                    />
+                  )}
+                  <Button
+                    danger
+                    icon={<DeleteOutlined />}
+                    onClick={() => handleRemoveCalendar(index)}
+                  />
+                </Space>
+              );
+            })}
+            <Button
+              type="dashed"
+              icon={<PlusOutlined />}
+              onClick={handleAddCalendar}
+            >
+              Add Country / Region
+            </Button>
+          </Space>
+          <Text
+            type="secondary"
+            style={{ display: "block", marginTop: "4px", fontSize: "12px" }}
+          >
+            Add several regions for a global audience; a public holiday in any
+            of them blocks the day.
+          </Text>
+        </div>
+
+        <div>
+          <Text strong style={{ display: "block", marginBottom: "8px" }}>
+            Weekend Holidays
+          </Text>
+          <Space wrap>
+            <Text>Observe on</Text>
+            <Select
+              style={{ width: "280px" }}
+              value={settings.observance || "nearest"}
+              options={observanceOptions}
+              onChange={(observance) => onChange({ ...settings, observance })}
+            />
+          </Space>
+          <Text
+            type="secondary"
+            style={{ display: "block", marginTop: "4px", fontSize: "12px" }}
+          >
+            Individual holidays can use a different rule in the table below.
+          </Text>
+        </div>
+
+        <div>
+          <Text strong style={{ display: "block", marginBottom: "8px" }}>
+            Bridge Days
+          </Text>
+          <Space orientation="vertical" style={{ width: "100%" }}>
+            {bridgeDays.map((bridge, index) => (
+              <Space key={index} wrap>
+                <InputNumber
+                  min={-7}
+                  max={7}
+                  value={bridge.offset}
+                  onChange={(offset) =>
+                    updateBridgeDay(index, { offset: offset || 0 })
+                  }
+                  style={{ width: "80px" }}
+                />
+                <Text>days after</Text>
+                <Select
+                  showSearch
+                  style={{ width: "260px" }}
+                  placeholder="Holiday"
+                  value={bridge.holiday || undefined}
+                  options={holidayNameOptions}
+                  onChange={(holiday) => updateBridgeDay(index, { holiday })}
+                />
+                <Button
+                  danger
+                  icon={<DeleteOutlined />}
+                  onClick={() => handleRemoveBridgeDay(index)}
+                />
+              </Space>
+            ))}
+            <Button
+              type="dashed"
+              icon={<PlusOutlined />}
+              onClick={handleAddBridgeDay}
+            >
+              Add Bridge Day
+            </Button>
+          </Space>
+          <Text
+            type="secondary"
+            style={{ display: "block", marginTop: "4px", fontSize: "12px" }}
+          >
+            Closes a day relative to a holiday every year, e.g. 1 day after
+            Thanksgiving. Use a negative number for days before.
+          </Text>
+        </div>
+
+        <div>
+          <Text strong style={{ display: "block", marginBottom: "8px" }}>
+            Restricted Dates
+          </Text>
+          <Space orientation="vertical" style={{ width: "100%" }}>
+            {restrictedDates.map((restriction, index) => (
+              <Space key={index} wrap>
+                <Switch
+                  checked={restriction.enabled}
+                  onChange={(enabled) =>
+                    updateRestrictedDate(index, { enabled })
+                  }
+                />
+                <Select
+                  style={{ width: "130px" }}
+                  value={restriction.month}
+                  options={monthOptions}
+                  onChange={(month) => updateRestrictedDate(index, { month })}
+                />
+                <InputNumber
+                  min={1}
+                  max={31}
+                  value={restriction.day}
+                  onChange={(day) =>
+                    updateRestrictedDate(index, { day: day || 1 })
+                  }
+                  style={{ width: "70px" }}
+                />
+                <Text>no sessions from</Text>
+                <Input
+                  type="time"
+                  value={restriction.afterTime}
+                  onChange={(e) =>
+                    updateRestrictedDate(index, { afterTime: e.target.value })
+                  }
+                  style={{ width: "120px" }}
+                />
+                <Input
+                  placeholder="Label (optional)"
+                  value={restriction.name}
+                  onChange={(e) =>
+                    updateRestrictedDate(index, { name: e.target.value })
+                  }
+                  style={{ width: "180px" }}
+                />
+                <Button
+                  danger
+                  icon={<DeleteOutlined />}
+                  onClick={() => handleRemoveRestrictedDate(index)}
+                />
+              </Space>
+            ))}
+            <Button
+              type="dashed"
+              icon={<PlusOutlined />}
+              onClick={handleAddRestrictedDate}
+            >
+              Add Restricted Date
+            </Button>
+          </Space>
+          <Text
+            type="secondary"
+            style={{ display: "block", marginTop: "4px", fontSize: "12px" }}
+          >
+            No session may start at or after the time on that date, every year,
+            e.g. Christmas Eve from 13:00. Switch a date off to schedule it
+            normally.
+          </Text>
+        </div>
+
+        <div>
+          <Space style={{ marginBottom: "8px" }}>
+            <Text strong>Holidays in</Text>
+            <Select
+              value={previewYear}
+              onChange={setPreviewYear}
+              style={{ width: "100px" }}
+              options={Array.from({ length: 5 }, (_, i) => {
+                const optionYear = new Date().getFullYear() + i;
+                return { value: optionYear, label: `${optionYear}` };
+              })}
+            />
+          </Space>
+          <Table
+            columns={columns}
+            dataSource={holidays.map((holiday) => ({
+              ...holiday,
+              key: holiday.dateKey,
+            }))}
+            pagination={false}
+            size="small"
+          />
+        </div>
+      </Space>
+    </Card>
+  );
+};
+
+export default HolidaySettings;
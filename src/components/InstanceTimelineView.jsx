@@ -0,0 +1,436 @@
+import React, { useState, useMemo } from "react";
+import { Card, Space, Typography, Tag, Tooltip, Modal, Table } from "antd";
+import { LockOutlined, FieldTimeOutlined } from "@ant-design/icons";
+import {
+  format,
+  parseISO,
+  startOfYear,
+  endOfYear,
+  endOfMonth,
+  addDays,
+  addMonths,
+  differenceInCalendarDays,
+} from "date-fns";
+import { groupInstances } from "../utils/courseInstances";
+
+const { Text } = Typography;
+
+// Bar colour of each quarter (the quarter an instance is reported under)
+const QUARTER_COLORS = {
+  Q1: "#1890ff",
+  Q2: "#52c41a",
+  Q3: "#fa8c16",
+  Q4: "#722ed1",
+};
+
+const ROW_HEIGHT = 32;
+const LABEL_WIDTH = 220;
+
+/**
+ * Describe an instance's rhythm
+ * @param {Object} instance - Instance (see groupInstances)
+ * @returns {string} e.g. "3 sessions, Tuesdays 10:00-10:30"
+ */
+const describeRhythm = (instance) => {
+  const first = instance.sessions[0];
+  const count = instance.sessions.length;
+  return `${count} session${count === 1 ? "" : "s"}, ${format(
+    first.date,
+    "EEEE"
+  )}s ${first.startTime}-${first.endTime}`;
+};
+
+const InstanceTimelineView = ({ scheduledSessions, holidays = [] }) => {
+  const [selected, setSelected] = useState(null); // Instance clicked
+
+  const instances = useMemo(
+    () => groupInstances(scheduledSessions),
+    [scheduledSessions]
+  );
+
+  // One row per course, instances in start order
+  const rows = useMemo(() => {
+    const byCourse = new Map();
+    instances.forEach((instance) => {
+      if (!byCourse.has(instance.courseName)) {
+        byCourse.set(instance.courseName, []);
+      }
+      byCourse.get(instance.courseName).push(instance);
+    });
+    return [...byCourse]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([courseName, courseInstances]) => ({
+        courseName,
+        instances: courseInstances,
+      }));
+  }, [instances]);
+
+  // The whole year of the first instance, longer if instances run past it
+  const [axisStart, axisEnd] = useMemo(() => {
+    if (instances.length === 0) return [null, null];
+    const start = startOfYear(instances[0].startDate);
+    const lastEnd = instances.reduce(
+      (latest, instance) =>
+        instance.endDate > latest ? instance.endDate : latest,
+      start
+    );
+    const yearEnd = endOfYear(start);
+    return [start, lastEnd > yearEnd ? endOfMonth(lastEnd) : yearEnd];
+  }, [instances]);
+
+  if (instances.length === 0) {
+    return (
+      <Card className="dashboard-card">
+        <Text type="secondary">No instances to show.</Text>
+      </Card>
+    );
+  }
+
+  const totalDays = differenceInCalendarDays(axisEnd, axisStart) + 1;
+  // Position and width on the axis, as percentages
+  const left = (date) =>
+    (differenceInCalendarDays(date, axisStart) / totalDays) * 100;
+  const span = (from, to) =>
+    ((differenceInCalendarDays(to, from) + 1) / totalDays) * 100;
+
+  const months = [];
+  for (let month = axisStart; month <= axisEnd; month = addMonths(month, 1)) {
+    months.push(month);
+  }
+  const visibleHolidays = holidays
+    .map((holiday) => ({ ...holiday, date: parseISO(holiday.dateKey) }))
+    .filter(({ date }) => date >= axisStart && date <= axisEnd);
+
+  const sessionColumns = [
+    {
+      title: "Session",
+      dataIndex: "sessionNumber",
+      key: "sessionNumber",
+      width: 90,
+    },
+    {
+      title: "Date",
+      dataIndex: "date",
+      key: "date",
+      render: (date) => format(date, "MM-dd-yyyy (EEE)"),
+    },
+    {
+      title: "Time",
+      key: "time",
+      render: (_, record) => `${record.startTime} - ${record.endTime}`,
+    },
+    {
+      title: "Instructor",
+      key: "instructor",
+      render: (_, record) =>
+        `${record.instructorFirstName} ${record.instructorLastName}`.trim() ||
+        "-",
+    },
+    {
+      title: "Exception",
+      key: "exception",
+      render: (_, record) =>
+        record.exception ? (
+          <Tag color={record.exception === "moved" ? "orange" : "gold"}>
+            {record.exceptionNote}
+          </Tag>
+        ) : null,
+    },
+  ];
+
+  return (
+    <Card
+      title={
+        <Space>
+          <FieldTimeOutlined />
+          <span>Instance Timeline ({instances.length} instances)</span>
+        </Space>
+      }
+      className="dashboard-card"
+    >
+      <div style={{ overflowX: "auto" }}>
+        <div style={{ minWidth: "960px" }}>
+          {/* Month Axis */}
+          <div style={{ display: "flex", borderBottom: "2px solid #d9d9d9" }}>
+            <div style={{ width: `${LABEL_WIDTH}px`, flexShrink: 0 }} />
+            <div style={{ position: "relative", flex: 1, height: "40px" }}>
+              {months.map((month) => (
+                <div
+                  key={month.getTime()}
+                  style={{
+                    position: "absolute",
+                    left: `${left(month)}%`,
+                    top: 0,
+                    height: "24px",
+                    paddingLeft: "4px",
+                    borderLeft: "1px solid #d9d9d9",
+                    fontSize: "12px",
+                    color: "#595959",
+                  }}
+                >
+                  {format(month, "MMM")}
+                </div>
+              ))}
+              {/* Holiday markers */}
+              {visibleHolidays.map((holiday) => (
+                <Tooltip
+                  key={holiday.dateKey}
+                  title={`${holiday.name} (${format(
+                    holiday.date,
+                    "EEE MM-dd"
+                  )})`}
+                >
+                  <div
+                    style={{
+                      position: "absolute",
+                      left: `calc(${left(holiday.date)}% - 4px)`,
+                      bottom: "2px",
+                      width: "8px",
+                      height: "8px",
+                      borderRadius: "50%",
+                      backgroundColor: "#f5222d",
+                      cursor: "help",
+                    }}
+                  />
+                </Tooltip>
+              ))}
+            </div>
+          </div>
+
+          {/* Course Rows */}
+          <div style={{ position: "relative" }}>
+            {rows.map(({ courseName, instances: courseInstances }, index) => (
+              <div
+                key={courseName}
+                style={{
+                  display: "flex",
+                  height: `${ROW_HEIGHT}px`,
+                  alignItems: "center",
+                  backgroundColor: index % 2 ? "#fafafa" : "white",
+                }}
+              >
+                <div
+                  title={courseName}
+                  style={{
+                    width: `${LABEL_WIDTH}px`,
+                    flexShrink: 0,
+                    padding: "0 8px",
+                    overflow: "hidden",
+                    textOverflow: "ellipsis",
+                    whiteSpace: "nowrap",
+                    fontSize: "13px",
+                  }}
+                >
+                  {courseName}
+                </div>
+                <div style={{ position: "relative", flex: 1, height: "100%" }}>
+                  {/* Gaps between instances (cadence spacing) */}
+                  {courseInstances.slice(1).map((instance, gapIndex) => {
+                    const previous = courseInstances[gapIndex];
+                    const from = addDays(previous.endDate, 1);
+                    if (instance.startDate <= from) return null;
+                    const weeks = Math.round(
+                      differenceInCalendarDays(
+                        instance.startDate,
+                        previous.endDate
+                      ) / 7
+                    );
+                    return (
+                      <Tooltip
+                        key={`gap-${instance.instanceId}`}
+                        title={`${weeks} week${weeks === 1 ? "" : "s"} from ${
+                          previous.cohortCode
+                        } ending to ${instance.cohortCode} starting`}
+                      >
+                        <div
+                          style={{
+                            position: "absolute",
+                            left: `${left(from)}%`,
+                            width: `${span(
+                              from,
+                              addDays(instance.startDate, -1)
+                            )}%`,
+                            top: "50%",
+                            height: "14px",
+                            marginTop: "-7px",
+                            borderBottom: "1px dashed #bfbfbf",
+                            fontSize: "10px",
+                            lineHeight: "10px",
+                            color: "#8c8c8c",
+                            textAlign: "center",
+                            overflow: "hidden",
+                            whiteSpace: "nowrap",
+                          }}
+                        >
+                          {weeks}w
+                        </div>
+                      </Tooltip>
+                    );
+                  })}
+
+                  {/* Instances */}
+                  {courseInstances.map((instance) => (
+                    <Tooltip
+                      key={instance.instanceId}
+                      title={
+                        <div>
+                          <div>
+                            <strong>{instance.cohortCode || courseName}</strong>
+                            {instance.locked && " (locked)"}
+                          </div>
+                          <div>{describeRhythm(instance)}</div>
+                          <div>
+                            {format(instance.startDate, "MMM d")} →{" "}
+                            {format(instance.endDate, "MMM d")} (
+                            {instance.quarter})
+                          </div>
+                          {instance.sessions[0].instructorFirstName && (
+                            <div>
+                              {instance.sessions[0].instructorFirstName}{" "}
+                              {instance.sessions[0].instructorLastName}
+                            </div>
+                          )}
+                          {instance.sessions.some((s) => s.exception) && (
+                            <div>
+                              {
+                                instance.sessions.filter((s) => s.exception)
+                                  .length
+                              }{" "}
+                              session(s) skipped or moved
+                            </div>
+                          )}
+                          <div>Click to see its sessions</div>
+                        </div>
+                      }
+                    >
+                      <div
+                        onClick={() => setSelected(instance)}
+                        style={{
+                          position: "absolute",
+                          left: `${left(instance.startDate)}%`,
+                          width: `${span(
+                            instance.startDate,
+                            instance.endDate
+                          )}%`,
+                          minWidth: "6px",
+                          top: "6px",
+                          bottom: "6px",
+                          backgroundColor:
+                            QUARTER_COLORS[instance.quarter] || "#8c8c8c",
+                          borderRadius: "3px",
+                          outline: instance.locked
+                            ? "2px solid #262626"
+                            : "none",
+                          cursor: "pointer",
+                          zIndex: 1,
+                          color: "white",
+                          fontSize: "10px",
+                          lineHeight: `${ROW_HEIGHT - 12}px`,
+                          paddingLeft: "3px",
+                          overflow: "hidden",
+                          whiteSpace: "nowrap",
+                        }}
+                      >
+                        {instance.locked && <LockOutlined />}
+                      </div>
+                    </Tooltip>
+                  ))}
+                </div>
+              </div>
+            ))}
+
+            {/* Holiday lines across every row */}
+            <div
+              style={{
+                position: "absolute",
+                top: 0,
+                bottom: 0,
+                left: `${LABEL_WIDTH}px`,
+                right: 0,
+                pointerEvents: "none",
+              }}
+            >
+              {visibleHolidays.map((holiday) => (
+                <div
+                  key={holiday.dateKey}
+                  style={{
+                    position: "absolute",
+                    left: `${left(holiday.date)}%`,
+                    width: `max(${span(holiday.date, holiday.date)}%, 1px)`,
+                    top: 0,
+                    bottom: 0,
+                    backgroundColor: "rgba(245, 34, 45, 0.25)",
+                  }}
+                />
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Legend */}
+      <div
+        style={{
+          marginTop: "24px",
+          padding: "16px",
+          backgroundColor: "#fafafa",
+          borderRadius: "8px",
+        }}
+      >
+        <div style={{ display: "flex", flexWrap: "wrap", gap: "8px" }}>
+          {Object.entries(QUARTER_COLORS).map(([quarter, color]) => (
+            <Tag key={quarter} color={color} style={{ margin: 0 }}>
+              {quarter}
+            </Tag>
+          ))}
+          <Tag color="red" style={{ margin: 0 }}>
+            Holiday
+          </Tag>
+        </div>
+        <Text
+          type="secondary"
+          style={{ display: "block", marginTop: "8px", fontSize: "12px" }}
+        >
+          Each bar is one instance, from its first to its last session,
+          coloured by the quarter it is reported under. Dashed lines show the
+          weeks between a course's instances. Hover a bar for its details and
+          click it to see its sessions.
+        </Text>
+      </div>
+
+      <Modal
+        open={Boolean(selected)}
+        title={
+          selected &&
+          `${selected.courseName}${
+            selected.cohortCode ? ` (${selected.cohortCode})` : ""
+          }`
+        }
+        footer={null}
+        width={720}
+        onCancel={() => setSelected(null)}
+      >
+        {selected && (
+          <Text type="secondary" style={{ display: "block" }}>
+            {describeRhythm(selected)},{" "}
+            {format(selected.startDate, "MMM d")} →{" "}
+            {format(selected.endDate, "MMM d")}
+          </Text>
+        )}
+        {selected && (
+          <Table
+            columns={sessionColumns}
+            dataSource={selected.sessions.map((session) => ({
+              ...session,
+              key: session.sessionNumber,
+            }))}
+            pagination={false}
+            size="small"
+          />
+        )}
+      </Modal>
+    </Card>
+  );
+};
+
+export default InstanceTimelineView;
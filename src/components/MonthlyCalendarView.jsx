@@ -1,9 +1,19 @@
 import React, { useState, useMemo } from "react";
-import { Card, Button, Space, Typography, Tag } from "antd";
+import {
+  Card,
+  Button,
+  Space,
+  Typography,
+  Tag,
+  Tooltip,
+  Segmented,
+} from "antd";
 import {
   LeftOutlined,
   RightOutlined,
   CalendarOutlined,
+  LockOutlined,
+  DragOutlined,
 } from "@ant-design/icons";
 import {
   format,
@@ -16,6 +26,13 @@ import {
   startOfWeek,
   endOfWeek,
 } from "date-fns";
+import {
+  expandBlackouts,
+  isBlackoutOnDate,
+  describeBlackoutRule,
+} from "../utils/blackouts";
+import { MOVE_MODES } from "../utils/moveValidation";
+import { formatSessionTime } from "../utils/timeZones";
 
 const { Title, Text } = Typography;
 
@@ -32,8 +49,19 @@ const COURSE_COLORS = [
   "#2f54eb",
 ];
 
-const MonthlyCalendarView = ({ scheduledSessions }) => {
+const MonthlyCalendarView = ({
+  scheduledSessions,
+  blackouts = [],
+  onDayClick,
+  onSessionClick,
+  getMoveChecker,
+  onMove,
+}) => {
   const [currentMonth, setCurrentMonth] = useState(new Date());
+  const [moveMode, setMoveMode] = useState("session");
+  // Session being dragged: { checker, results } with results by date key
+  const [drag, setDrag] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null); // Date key hovered
 
   // Get unique course names and assign colors
   const courseColors = useMemo(() => {
@@ -70,6 +98,17 @@ const MonthlyCalendarView = ({ scheduledSessions }) => {
     return eachDayOfInterval({ start: calendarStart, end: calendarEnd });
   }, [currentMonth]);
 
+  // Recurring blackouts expanded for the visible days
+  const visibleBlackouts = useMemo(
+    () =>
+      expandBlackouts(
+        blackouts,
+        calendarDays[0],
+        calendarDays[calendarDays.length - 1]
+      ),
+    [blackouts, calendarDays]
+  );
+
   const handlePrevMonth = () => {
     setCurrentMonth(subMonths(currentMonth, 1));
   };
@@ -82,6 +121,38 @@ const MonthlyCalendarView = ({ scheduledSessions }) => {
     setCurrentMonth(new Date());
   };
 
+  const handleDragStart = (e, session) => {
+    e.dataTransfer.effectAllowed = "move";
+    setDrag({ checker: getMoveChecker(session, moveMode), results: {} });
+  };
+
+  // Check a day once per drag, when it is first hovered
+  const handleDragOver = (e, day, dateKey) => {
+    e.preventDefault();
+    if (dropTarget !== dateKey) setDropTarget(dateKey);
+    if (!drag.results[dateKey]) {
+      setDrag({
+        ...drag,
+        results: { ...drag.results, [dateKey]: drag.checker(day) },
+      });
+    }
+  };
+
+  const handleDrop = (e, day, dateKey) => {
+    e.preventDefault();
+    const result = drag.results[dateKey] || drag.checker(day);
+    setDrag(null);
+    setDropTarget(null);
+    onMove(result.moves, result.violations);
+  };
+
+  const handleDragEnd = () => {
+    setDrag(null);
+    setDropTarget(null);
+  };
+
+  const canMove = Boolean(getMoveChecker && onMove);
+
   return (
     <Card className="dashboard-card">
       {/* Calendar Header */}
@@ -97,6 +168,18 @@ const MonthlyCalendarView = ({ scheduledSessions }) => {
           {format(currentMonth, "MMMM yyyy")}
         </Title>
         <Space>
+          {canMove && (
+            <Tooltip title="What dragging a session moves">
+              <Segmented
+                value={moveMode}
+                onChange={setMoveMode}
+                options={Object.entries(MOVE_MODES).map(([value, label]) => ({
+                  value,
+                  label,
+                }))}
+              />
+            </Tooltip>
+          )}
           <Button onClick={handleToday} icon={<CalendarOutlined />}>
             Today
           </Button>
@@ -139,17 +222,35 @@ const MonthlyCalendarView = ({ scheduledSessions }) => {
           const isToday =
             format(day, "yyyy-MM-dd") === format(new Date(), "yyyy-MM-dd");
           const isWeekend = day.getDay() === 0 || day.getDay() === 6;
+          const dayBlackouts = visibleBlackouts.filter((blackout) =>
+            isBlackoutOnDate(blackout, dateKey)
+          );
+          const moveResult =
+            drag && dropTarget === dateKey ? drag.results[dateKey] : null;
 
           return (
             <div
               key={index}
+              onClick={onDayClick ? () => onDayClick(day) : undefined}
+              onDragOver={
+                drag ? (e) => handleDragOver(e, day, dateKey) : undefined
+              }
+              onDrop={drag ? (e) => handleDrop(e, day, dateKey) : undefined}
+              title={onDayClick ? "Click to add a blackout" : undefined}
               style={{
+                cursor: onDayClick ? "pointer" : "default",
                 minHeight: "120px",
                 padding: "8px",
                 backgroundColor: isWeekend ? "#fafafa" : "white",
                 opacity: isCurrentMonth ? 1 : 0.4,
                 position: "relative",
                 overflow: "hidden",
+                outline: moveResult
+                  ? `2px solid ${
+                      moveResult.violations.length ? "#f5222d" : "#52c41a"
+                    }`
+                  : "none",
+                outlineOffset: "-2px",
               }}
             >
               {/* Date Number */}
@@ -176,11 +277,60 @@ const MonthlyCalendarView = ({ scheduledSessions }) => {
                 )}
               </div>
 
-              {/* Sessions */}
+              {/* Blackouts */}
+              {dayBlackouts.length > 0 && (
+                <Tooltip
+                  title={dayBlackouts
+                    .map(
+                      (blackout) =>
+                        `${blackout.label || "Blackout"}: ${describeBlackoutRule(
+                          blackout
+                        )}`
+                    )
+                    .join("; ")}
+                >
+                  <Tag
+                    color={
+                      dayBlackouts.some((blackout) => blackout.type === "day")
+                        ? "red"
+                        : "orange"
+                    }
+                    style={{ fontSize: "10px", marginBottom: "2px" }}
+                  >
+                    Blackout
+                  </Tag>
+                </Tooltip>
+              )}
+
+              {/* Rules the hovered move breaks */}
+              {moveResult && (
+                <div
+                  style={{
+                    fontSize: "10px",
+                    marginBottom: "2px",
+                    color: moveResult.violations.length ? "#f5222d" : "#52c41a",
+                  }}
+                >
+                  {moveResult.violations.length
+                    ? moveResult.violations.map((violation) => (
+                        <div key={violation.code}>{violation.label}</div>
+                      ))
+                    : "Move allowed"}
+                </div>
+              )}
+
+              {/* Sessions (the list scrolls on busy days, so every session
+                  can be reached and dragged) */}
               <div
-                style={{ display: "flex", flexDirection: "column", gap: "2px" }}
+                style={{
+                  display: "flex",
+                  flexDirection: "column",
+                  gap: "2px",
+                  maxHeight: "92px",
+                  overflowY: "auto",
+                }}
               >
-                {daySessions.slice(0, 4).map((session, idx) => (
+                {daySessions.map((session, idx) => (
                   <div
                     key={idx}
                     style={{
@@ -192,31 +342,59 @@ const MonthlyCalendarView = ({ scheduledSessions }) => {
                       overflow: "hidden",
                       textOverflow: "ellipsis",
                       whiteSpace: "nowrap",
-                      cursor: "pointer",
+                      cursor: canMove ? "grab" : "pointer",
+                      outline: session.locked ? "2px solid #262626" : "none",
                     }}
-                    title={`${session.courseName} - ${session.startTime}`}
+                    draggable={canMove}
+                    onDragStart={
+                      canMove ? (e) => handleDragStart(e, session) : undefined
+                    }
+                    onDragEnd={canMove ? handleDragEnd : undefined}
+                    onClick={
+                      onSessionClick
+                        ? (e) => {
+                            // Don't open the day's blackout form as well
+                            e.stopPropagation();
+                            onSessionClick(session);
+                          }
+                        : undefined
+                    }
+                    title={`${session.courseName}${
+                      session.cohortCode ? ` (${session.cohortCode})` : ""
+                    } - Session ${session.sessionNumber}, ${formatSessionTime(
+                      session
+                    )}${session.locked ? " (locked)" : ""}${
+                      onSessionClick
+                        ? session.locked
+                          ? " - click to unlock"
+                          : " - click to lock this instance"
+                        : ""
+                    }${canMove ? ", drag to move" : ""}`}
                   >
-                    {session.courseName}
+                    {session.locked && <LockOutlined />} {session.courseName}
                   </div>
                 ))}
-                {daySessions.length > 4 && (
-                  <div
-                    style={{
-                      fontSize: "10px",
-                      color: "#8c8c8c",
-                      padding: "2px 6px",
-                      textAlign: "center",
-                    }}
-                  >
-                    +{daySessions.length - 4} more
-                  </div>
-                )}
               </div>
             </div>
           );
         })}
       </div>
 
+      {canMove && (
+        <Text
+          type="secondary"
+          style={{ display: "block", marginTop: "12px", fontSize: "12px" }}
+        >
+          <DragOutlined /> Drag a session, or its whole instance, to another
+          day; it keeps its start time. To change the time as well, drag it
+          onto a slot in the week or day view. While dragging, each day shows
+          whether the move is allowed or which rules it breaks. Moves that
+          break rules can still be applied after confirming. Scroll a busy
+          day to reach all of its sessions. Lock a moved instance to keep it
+          in place when the schedule is generated again.
+        </Text>
+      )}
+
       {/* Legend */}
       <div
         style={{
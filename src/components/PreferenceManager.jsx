@@ -0,0 +1,210 @@
+import React, { useState } from "react";
+import {
+  Card,
+  Button,
+  Space,
+  Table,
+  Typography,
+  Tag,
+  Input,
+  InputNumber,
+  Select,
+  message,
+} from "antd";
+import { LikeOutlined, PlusOutlined, DeleteOutlined } from "@ant-design/icons";
+import {
+  PREFERENCE_MODES,
+  MAX_PREFERENCE_WEIGHT,
+  createPreference,
+  validatePreference,
+  describePreference,
+} from "../utils/preferences";
+import { TIME_BANDS } from "../utils/slotStrategy";
+import { DAY_NAMES } from "../utils/timeSlots";
+
+const { Text } = Typography;
+
+const EMPTY_PREFERENCE = {
+  mode: "avoid",
+  days: [],
+  bands: [],
+  startTime: "",
+  titleMatch: "",
+  weight: 1,
+};
+
+// Monday first, as in the slot template
+const DAY_OPTIONS = [...DAY_NAMES.slice(1), DAY_NAMES[0]].map((day) => ({
+  value: day,
+  label: day.charAt(0) + day.slice(1).toLowerCase(),
+}));
+
+const BAND_OPTIONS = TIME_BANDS.map(({ name, start, end }) => ({
+  value: name,
+  label: `${name} (${start}-${end})`,
+}));
+
+const PreferenceManager = ({ preferences, onChange }) => {
+  const [draft, setDraft] = useState(EMPTY_PREFERENCE);
+
+  const handleAdd = () => {
+    const preference = createPreference({
+      ...draft,
+      titleMatch: draft.titleMatch.trim(),
+    });
+    const error = validatePreference(preference);
+    if (error) {
+      message.error(error);
+      return;
+    }
+    onChange([...preferences, preference]);
+    setDraft(EMPTY_PREFERENCE);
+    message.success("Preference added");
+  };
+
+  const handleWeightChange = (id, weight) => {
+    if (!weight) return;
+    onChange(
+      preferences.map((preference) =>
+        preference.id === id ? { ...preference, weight } : preference
+      )
+    );
+  };
+
+  const handleRemove = (id) => {
+    onChange(preferences.filter((preference) => preference.id !== id));
+  };
+
+  const columns = [
+    {
+      title: "Preference",
+      key: "preference",
+      render: (_, record) => (
+        <Tag color={record.mode === "prefer" ? "green" : "orange"}>
+          {describePreference(record)}
+        </Tag>
+      ),
+    },
+    {
+      title: "Weight",
+      dataIndex: "weight",
+      key: "weight",
+      width: 100,
+      sorter: (a, b) => a.weight - b.weight,
+      defaultSortOrder: "descend",
+      render: (weight, record) => (
+        <InputNumber
+          size="small"
+          min={1}
+          max={MAX_PREFERENCE_WEIGHT}
+          precision={0}
+          value={weight}
+          onChange={(value) => handleWeightChange(record.id, value)}
+        />
+      ),
+    },
+    {
+      title: "",
+      key: "actions",
+      width: 60,
+      render: (_, record) => (
+        <Button
+          danger
+          icon={<DeleteOutlined />}
+          onClick={() => handleRemove(record.id)}
+        />
+      ),
+    },
+  ];
+
+  return (
+    <Card
+      title={
+        <Space>
+          <LikeOutlined />
+          <span>Preferences</span>
+        </Space>
+      }
+      className="dashboard-card"
+    >
+      <Space orientation="vertical" size="middle" style={{ width: "100%" }}>
+        <Table
+          columns={columns}
+          dataSource={preferences.map((preference) => ({
+            ...preference,
+            key: preference.id,
+          }))}
+          pagination={{ pageSize: 10, hideOnSinglePage: true }}
+          size="small"
+          locale={{ emptyText: "No preferences" }}
+        />
+
+        <Space wrap>
+          <Select
+            style={{ width: "110px" }}
+            value={draft.mode}
+            onChange={(mode) => setDraft({ ...draft, mode })}
+            options={Object.entries(PREFERENCE_MODES).map(
+              ([value, label]) => ({ value, label })
+            )}
+          />
+          <Select
+            mode="multiple"
+            style={{ width: "200px" }}
+            placeholder="Days"
+            value={draft.days}
+            onChange={(days) => setDraft({ ...draft, days })}
+            options={DAY_OPTIONS}
+          />
+          <Select
+            mode="multiple"
+            style={{ width: "220px" }}
+            placeholder="Times of day"
+            value={draft.bands}
+            onChange={(bands) => setDraft({ ...draft, bands })}
+            options={BAND_OPTIONS}
+          />
+          <Input
+            type="time"
+            style={{ width: "120px" }}
+            value={draft.startTime}
+            onChange={(e) => setDraft({ ...draft, startTime: e.target.value })}
+          />
+          <Input
+            style={{ width: "200px" }}
+            placeholder="Course title contains (optional)"
+            value={draft.titleMatch}
+            onChange={(e) => setDraft({ ...draft, titleMatch: e.target.value })}
+          />
+          <Space>
+            <Text>Weight</Text>
+            <InputNumber
+              style={{ width: "70px" }}
+              min={1}
+              max={MAX_PREFERENCE_WEIGHT}
+              precision={0}
+              value={draft.weight}
+              onChange={(weight) => setDraft({ ...draft, weight: weight || 1 })}
+            />
+          </Space>
+          <Button type="dashed" icon={<PlusOutlined />} onClick={handleAdd}>
+            Add Preference
+          </Button>
+        </Space>
+
+        <Text type="secondary" style={{ display: "block", fontSize: "12px" }}>
+          Preferences are wishes, not rules: they decide which free slot a
+          course gets, but never leave an instance unscheduled. An "Avoid"
+          preference costs its weight when a session matches it, a "Prefer"
+          preference when a session doesn't. Slots with the lowest total cost
+          are tried first, and each session shows its cost (penalty) and the
+          preferences it misses. Leave the course field empty to apply a
+          preference to every course, e.g. "Avoid Friday", "Avoid Monday
+          06:00" or, for courses containing "leadership", "Prefer Morning".
+        </Text>
+      </Space>
+    </Card>
+  );
+};
+
+export default PreferenceManager;
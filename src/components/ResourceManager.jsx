@@ -0,0 +1,193 @@
+import React, { useState } from "react";
+import {
+  Card,
+  Button,
+  Space,
+  Table,
+  Typography,
+  Upload,
+  Tag,
+  Input,
+  InputNumber,
+  AutoComplete,
+  Select,
+  message,
+} from "antd";
+import {
+  DesktopOutlined,
+  PlusOutlined,
+  DeleteOutlined,
+  UploadOutlined,
+} from "@ant-design/icons";
+import {
+  RESOURCE_TYPES,
+  createResource,
+  validateResource,
+} from "../utils/resourceUtils";
+import { parseResourceExcel } from "../utils/excelParser";
+
+const { Text } = Typography;
+
+const EMPTY_RESOURCE = { name: "", type: "", seats: null, features: [] };
+
+const ResourceManager = ({ resources, onChange }) => {
+  const [draft, setDraft] = useState(EMPTY_RESOURCE);
+
+  // Offer the built-in types plus any already in the registry
+  const typeOptions = [
+    ...new Set([...RESOURCE_TYPES, ...resources.map((r) => r.type)]),
+  ].map((type) => ({ value: type }));
+
+  const handleAdd = () => {
+    const resource = createResource({
+      ...draft,
+      name: draft.name.trim(),
+      type: draft.type.trim(),
+    });
+    const error = validateResource(resource);
+    if (error) {
+      message.error(error);
+      return;
+    }
+    onChange([...resources, resource]);
+    setDraft(EMPTY_RESOURCE);
+    message.success("Resource added");
+  };
+
+  const handleRemove = (id) => {
+    onChange(resources.filter((resource) => resource.id !== id));
+  };
+
+  const handleImport = async (file) => {
+    try {
+      const imported = await parseResourceExcel(file);
+      onChange([...resources, ...imported]);
+      message.success(`${imported.length} resources imported from ${file.name}`);
+    } catch (error) {
+      message.error(error.message);
+    }
+    return false;
+  };
+
+  const columns = [
+    {
+      title: "Name",
+      dataIndex: "name",
+      key: "name",
+      sorter: (a, b) => a.name.localeCompare(b.name),
+    },
+    {
+      title: "Type",
+      dataIndex: "type",
+      key: "type",
+      sorter: (a, b) => a.type.localeCompare(b.type),
+      defaultSortOrder: "ascend",
+    },
+    {
+      title: "Seats",
+      dataIndex: "seats",
+      key: "seats",
+      width: 90,
+      render: (seats) => seats || "Unlimited",
+    },
+    {
+      title: "Features",
+      key: "features",
+      render: (_, record) =>
+        record.features.map((feature) => <Tag key={feature}>{feature}</Tag>),
+    },
+    {
+      title: "",
+      key: "actions",
+      width: 60,
+      render: (_, record) => (
+        <Button
+          danger
+          icon={<DeleteOutlined />}
+          onClick={() => handleRemove(record.id)}
+        />
+      ),
+    },
+  ];
+
+  return (
+    <Card
+      title={
+        <Space>
+          <DesktopOutlined />
+          <span>Resources</span>
+        </Space>
+      }
+      className="dashboard-card"
+      extra={
+        <Upload
+          accept=".xlsx,.xls"
+          showUploadList={false}
+          beforeUpload={handleImport}
+        >
+          <Button icon={<UploadOutlined />}>Import Spreadsheet</Button>
+        </Upload>
+      }
+    >
+      <Space orientation="vertical" size="middle" style={{ width: "100%" }}>
+        <Table
+          columns={columns}
+          dataSource={resources.map((resource) => ({
+            ...resource,
+            key: resource.id,
+          }))}
+          pagination={{ pageSize: 10, hideOnSinglePage: true }}
+          size="small"
+          locale={{ emptyText: "No resources" }}
+        />
+
+        <Space wrap>
+          <Input
+            style={{ width: "180px" }}
+            placeholder="Name, e.g. Zoom Webinar 1"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          />
+          <AutoComplete
+            style={{ width: "180px" }}
+            placeholder="Type"
+            value={draft.type}
+            options={typeOptions}
+            onChange={(type) => setDraft({ ...draft, type })}
+          />
+          <InputNumber
+            style={{ width: "110px" }}
+            min={1}
+            placeholder="Seats"
+            value={draft.seats}
+            onChange={(seats) => setDraft({ ...draft, seats })}
+          />
+          <Select
+            mode="tags"
+            style={{ width: "220px" }}
+            placeholder="Features"
+            value={draft.features}
+            onChange={(features) => setDraft({ ...draft, features })}
+            open={false}
+            tokenSeparators={[","]}
+          />
+          <Button type="dashed" icon={<PlusOutlined />} onClick={handleAdd}>
+            Add Resource
+          </Button>
+        </Space>
+
+        <Text type="secondary" style={{ fontSize: "12px" }}>
+          Courses request a resource with a "Resource Requirement" column or a
+          "resource:" note in the cadence file, e.g. "webinar licence, 100
+          seats" or "training room, 12 seats, projector". Each instance gets
+          one matching resource that is free for all its sessions; no resource
+          is ever booked twice at the same time. Requirements are ignored while
+          the registry is empty. Spreadsheet columns: Name, Type, Seats and
+          Features.
+        </Text>
+      </Space>
+    </Card>
+  );
+};
+
+export default ResourceManager;
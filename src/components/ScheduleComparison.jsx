@@ -0,0 +1,116 @@
+import React from "react";
+import { Card, Button, Space, Table, Typography, Tag } from "antd";
+import { SwapOutlined, CheckOutlined } from "@ant-design/icons";
+import { DAY_NAMES } from "../utils/timeSlots";
+import { describeSeed } from "../utils/scheduleAlternatives";
+
+const { Text } = Typography;
+
+// Figures where more is better; for every other figure less is better
+const HIGHER_IS_BETTER = ["sessions", "instances"];
+
+const ScheduleComparison = ({ alternatives, currentSeed, onSelect }) => {
+  // Monday first, and only the weekdays any candidate uses
+  const weekdays = [...DAY_NAMES.slice(1), DAY_NAMES[0]].filter((day) =>
+    alternatives.some(({ summary }) => summary.byWeekday[day])
+  );
+
+  // Highlight the best value of a figure across the candidates
+  const renderFigure = (field) => (value) => {
+    const values = alternatives.map(({ summary }) => summary[field]);
+    const best = HIGHER_IS_BETTER.includes(field)
+      ? Math.max(...values)
+      : Math.min(...values);
+    return value === best && alternatives.length > 1 ? (
+      <Text strong type="success">
+        {value}
+      </Text>
+    ) : (
+      value
+    );
+  };
+
+  const figureColumn = (title, field) => ({
+    title,
+    key: field,
+    dataIndex: ["summary", field],
+    sorter: (a, b) => a.summary[field] - b.summary[field],
+    render: renderFigure(field),
+  });
+
+  const columns = [
+    {
+      title: "Candidate",
+      key: "seed",
+      render: (_, record) => (
+        <Space>
+          {describeSeed(record.seed)}
+          {record.seed === currentSeed && <Tag color="blue">In use</Tag>}
+        </Space>
+      ),
+    },
+    figureColumn("Sessions", "sessions"),
+    figureColumn("Instances", "instances"),
+    figureColumn("Not Scheduled", "unscheduled"),
+    ...weekdays.map((day) => ({
+      title: day.charAt(0) + day.slice(1, 3).toLowerCase(),
+      key: day,
+      render: (_, record) => record.summary.byWeekday[day] || 0,
+    })),
+    figureColumn("Weekday Spread", "weekdaySpread"),
+    figureColumn("Early", "early"),
+    figureColumn("Late", "late"),
+    figureColumn("Penalty", "penalty"),
+    {
+      title: "",
+      key: "actions",
+      width: 110,
+      render: (_, record) =>
+        record.seed === currentSeed ? (
+          <Button icon={<CheckOutlined />} disabled>
+            Chosen
+          </Button>
+        ) : (
+          <Button type="primary" onClick={() => onSelect(record)}>
+            Use This
+          </Button>
+        ),
+    },
+  ];
+
+  return (
+    <Card
+      title={
+        <Space>
+          <SwapOutlined />
+          <span>Alternative Schedules</span>
+        </Space>
+      }
+      className="dashboard-card"
+    >
+      <Table
+        columns={columns}
+        dataSource={alternatives.map((alternative) => ({
+          ...alternative,
+          key: describeSeed(alternative.seed),
+        }))}
+        pagination={false}
+        size="small"
+        scroll={{ x: true }}
+      />
+      <Text
+        type="secondary"
+        style={{ display: "block", marginTop: "8px", fontSize: "12px" }}
+      >
+        Each candidate places the courses in a different order and breaks ties
+        between equally good slots differently. Weekday Spread is the busiest
+        weekday minus the quietest; Early and Late count sessions before 09:00
+        and from 18:00; Penalty is the total weight of missed preferences. The
+        best value of each figure is highlighted. The chosen candidate's seed
+        is saved in Settings, so generating again reproduces it exactly.
+      </Text>
+    </Card>
+  );
+};
+
+export default ScheduleComparison;
@@ -0,0 +1,247 @@
+import React, { useState } from "react";
+import {
+  Card,
+  Button,
+  Input,
+  Select,
+  Space,
+  Tabs,
+  Typography,
+  Upload,
+  Popconfirm,
+  message,
+} from "antd";
+import {
+  ClockCircleOutlined,
+  PlusOutlined,
+  DeleteOutlined,
+  DownloadOutlined,
+  UploadOutlined,
+  SaveOutlined,
+  UndoOutlined,
+} from "@ant-design/icons";
+import {
+  WEEKLY_SCHEDULE,
+  validateSlotTemplate,
+  timeToMinutes,
+  minutesToTime,
+} from "../utils/timeSlots";
+import { readJsonFile, downloadJson } from "../utils/settingsStorage";
+import {
+  getTemplateTimeZone,
+  getTimeZoneOptions,
+} from "../utils/timeZones";
+
+const { Text } = Typography;
+
+// Weekdays in the order they appear in the editor
+const EDITOR_DAYS = [
+  "MONDAY",
+  "TUESDAY",
+  "WEDNESDAY",
+  "THURSDAY",
+  "FRIDAY",
+  "SATURDAY",
+  "SUNDAY",
+];
+
+/**
+ * Format minutes since midnight as HH:MM, capped at the end of the day
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} Time (HH:MM format)
+ */
+const toTime = (minutes) => minutesToTime(Math.min(minutes, 23 * 60 + 59));
+
+const SlotTemplateEditor = ({ template, onSave }) => {
+  const [draft, setDraft] = useState(template);
+  const [activeDay, setActiveDay] = useState("MONDAY");
+
+  const updateDay = (dayName, slots) => {
+    setDraft({ ...draft, [dayName]: slots });
+  };
+
+  const handleSlotChange = (dayName, index, field, value) => {
+    const slots = [...(draft[dayName] || [])];
+    slots[index] = { ...slots[index], [field]: value };
+    updateDay(dayName, slots);
+  };
+
+  const handleAddSlot = (dayName) => {
+    const slots = draft[dayName] || [];
+    // New slot one hour after the last one, same length as the default slots
+    const lastStart = slots.length
+      ? timeToMinutes(slots[slots.length - 1].start)
+      : 8 * 60;
+    const start = slots.length ? lastStart + 60 : lastStart;
+    updateDay(dayName, [
+      ...slots,
+      { start: toTime(start), end: toTime(start + 30) },
+    ]);
+  };
+
+  const handleRemoveSlot = (dayName, index) => {
+    updateDay(
+      dayName,
+      (draft[dayName] || []).filter((_, slotIndex) => slotIndex !== index)
+    );
+  };
+
+  const handleSave = () => {
+    try {
+      // Always keep the zone, even if it was never changed from the default
+      const normalized = validateSlotTemplate({
+        ...draft,
+        timeZone: getTemplateTimeZone(draft),
+      });
+      setDraft(normalized);
+      onSave(normalized);
+      message.success("Time-slot template saved");
+    } catch (error) {
+      message.error(error.message);
+    }
+  };
+
+  const handleReset = () => {
+    setDraft(WEEKLY_SCHEDULE);
+    onSave(WEEKLY_SCHEDULE);
+    message.success("Default time-slot template restored");
+  };
+
+  const handleImport = async (file) => {
+    try {
+      // A file without a zone keeps the current one
+      const normalized = validateSlotTemplate({
+        timeZone: getTemplateTimeZone(draft),
+        ...(await readJsonFile(file)),
+      });
+      setDraft(normalized);
+      onSave(normalized);
+      message.success(`${file.name} imported`);
+    } catch (error) {
+      message.error(error.message);
+    }
+    return false;
+  };
+
+  const handleExport = () => {
+    downloadJson(draft, "LEL_Time_Slot_Template.json");
+  };
+
+  return (
+    <Card
+      title={
+        <Space>
+          <ClockCircleOutlined />
+          <span>Weekly Time-Slot Template</span>
+        </Space>
+      }
+      className="dashboard-card"
+      extra={
+        <Space>
+          <Upload
+            accept=".json"
+            showUploadList={false}
+            beforeUpload={handleImport}
+          >
+            <Button icon={<UploadOutlined />}>Import JSON</Button>
+          </Upload>
+          <Button icon={<DownloadOutlined />} onClick={handleExport}>
+            Export JSON
+          </Button>
+        </Space>
+      }
+    >
+      <Space style={{ marginBottom: "8px" }} wrap>
+        <Text strong>Home Time Zone:</Text>
+        <Select
+          showSearch
+          optionFilterProp="label"
+          style={{ width: "300px" }}
+          value={getTemplateTimeZone(draft)}
+          options={getTimeZoneOptions()}
+          onChange={(timeZone) => setDraft({ ...draft, timeZone })}
+        />
+      </Space>
+
+      <Tabs
+        activeKey={activeDay}
+        onChange={setActiveDay}
+        items={EDITOR_DAYS.map((dayName) => {
+          const slots = draft[dayName] || [];
+          return {
+            key: dayName,
+            label: `${dayName.charAt(0)}${dayName.slice(1, 3).toLowerCase()} (${
+              slots.length
+            })`,
+            children: (
+              <Space orientation="vertical" style={{ width: "100%" }}>
+                {slots.length === 0 && (
+                  <Text type="secondary">
+                    No sessions on this day. Add a slot to make it available.
+                  </Text>
+                )}
+                {slots.map((slot, index) => (
+                  <Space key={index}>
+                    <Input
+                      type="time"
+                      value={slot.start}
+                      onChange={(e) =>
+                        handleSlotChange(dayName, index, "start", e.target.value)
+                      }
+                      style={{ width: "140px" }}
+                    />
+                    <Text type="secondary">to</Text>
+                    <Input
+                      type="time"
+                      value={slot.end}
+                      onChange={(e) =>
+                        handleSlotChange(dayName, index, "end", e.target.value)
+                      }
+                      style={{ width: "140px" }}
+                    />
+                    <Button
+                      danger
+                      icon={<DeleteOutlined />}
+                      onClick={() => handleRemoveSlot(dayName, index)}
+                    />
+                  </Space>
+                ))}
+                <Button
+                  type="dashed"
+                  icon={<PlusOutlined />}
+                  onClick={() => handleAddSlot(dayName)}
+                >
+                  Add Slot
+                </Button>
+              </Space>
+            ),
+          };
+        })}
+      />
+
+      <Space style={{ marginTop: "16px" }}>
+        <Button type="primary" icon={<SaveOutlined />} onClick={handleSave}>
+          Save Template
+        </Button>
+        <Popconfirm
+          title="Restore the default time slots?"
+          onConfirm={handleReset}
+        >
+          <Button icon={<UndoOutlined />}>Reset to Default</Button>
+        </Popconfirm>
+      </Space>
+      <Text
+        type="secondary"
+        style={{ display: "block", marginTop: "8px", fontSize: "12px" }}
+      >
+        The saved template is used the next time a schedule is generated.
+        Slot times are in the home time zone, daylight saving included; the
+        schedule can be viewed and exported in any other zone. Courses with an
+        "Audience" column or note in the cadence file (e.g. "audience: US
+        Eastern, India") only get slots within working hours in each region.
+      </Text>
+    </Card>
+  );
+};
+
+export default SlotTemplateEditor;
@@ -0,0 +1,603 @@
+import React, { useState, useMemo } from "react";
+import { Card, Button, Space, Typography, Tag, Tooltip, Segmented } from "antd";
+import {
+  LeftOutlined,
+  RightOutlined,
+  CalendarOutlined,
+  LockOutlined,
+  DragOutlined,
+} from "@ant-design/icons";
+import {
+  format,
+  startOfWeek,
+  addDays,
+  addWeeks,
+  subWeeks,
+  subDays,
+  eachDayOfInterval,
+} from "date-fns";
+import { DAY_NAMES, timeToMinutes, minutesToTime } from "../utils/timeSlots";
+import { getHolidayMap, getRestrictionMap } from "../utils/holidayProvider";
+import { expandBlackouts } from "../utils/blackouts";
+import { describeTimeZone } from "../utils/timeZones";
+import { getDaySlotStatus, SLOT_STATUSES } from "../utils/slotStatus";
+import { MOVE_MODES } from "../utils/moveValidation";
+
+const { Title, Text } = Typography;
+
+const COURSE_COLORS = [
+  "#1890ff",
+  "#52c41a",
+  "#faad14",
+  "#f5222d",
+  "#722ed1",
+  "#13c2c2",
+  "#eb2f96",
+  "#fa8c16",
+  "#a0d911",
+  "#2f54eb",
+];
+
+// Background of each slot status
+const STATUS_COLORS = {
+  free: "#f6ffed",
+  full: "#e6f4ff",
+  holiday: "#fff1f0",
+  restricted: "#fff7e6",
+  blackout: "#fff1f0",
+  closed: "#f5f5f5",
+};
+
+// Height of one minute on the time axis, by view
+const MINUTE_HEIGHT = { week: 1.2, day: 2 };
+
+/**
+ * Spread overlapping sessions of a day over side-by-side lanes
+ * @param {Array} sessions - Sessions of one day
+ * @returns {Object} { placed: [{ session, lane }], lanes }
+ */
+const assignLanes = (sessions) => {
+  const laneEnds = [];
+  const placed = [...sessions]
+    .sort((a, b) => a.startTime.localeCompare(b.startTime))
+    .map((session) => {
+      const start = timeToMinutes(session.startTime);
+      let lane = laneEnds.findIndex((end) => end <= start);
+      if (lane === -1) lane = laneEnds.length;
+      laneEnds[lane] = timeToMinutes(session.endTime);
+      return { session, lane };
+    });
+  return { placed, lanes: Math.max(laneEnds.length, 1) };
+};
+
+/**
+ * Describe a session for its tooltip
+ * @param {Object} session - Scheduled session
+ * @returns {string} Course, session number, cohort, times, instructor and
+ * resource
+ */
+const describeSession = (session) =>
+  [
+    `${session.courseName} - Session ${session.sessionNumber}`,
+    session.cohortCode,
+    `${session.startTime}-${session.endTime}`,
+    session.instructorFirstName &&
+      `${session.instructorFirstName} ${session.instructorLastName}`,
+    session.resourceName,
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+const TimeGridView = ({
+  mode = "week",
+  scheduledSessions,
+  slotTemplate,
+  holidaySettings,
+  blackouts = [],
+  capacitySettings,
+  timeZone,
+  onModeChange,
+  onSessionClick,
+  getMoveChecker,
+  onMove,
+}) => {
+  // Open on today, or on the first session if the schedule is in another year
+  const [currentDate, setCurrentDate] = useState(() => {
+    const today = new Date();
+    const dates = scheduledSessions.map((session) => session.date);
+    return dates.length &&
+      !dates.some((date) => date.getFullYear() === today.getFullYear())
+      ? new Date(Math.min(...dates))
+      : today;
+  });
+  const [moveMode, setMoveMode] = useState("session");
+  // Session being dragged: { checker, results } with results by target key
+  // ("yyyy-MM-dd HH:MM")
+  const [drag, setDrag] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null); // Target key hovered
+
+  // Get unique course names and assign colors
+  const courseColors = useMemo(() => {
+    const uniqueCourses = [
+      ...new Set(scheduledSessions.map((s) => s.courseName)),
+    ];
+    const colorMap = {};
+    uniqueCourses.forEach((course, index) => {
+      colorMap[course] = COURSE_COLORS[index % COURSE_COLORS.length];
+    });
+    return colorMap;
+  }, [scheduledSessions]);
+
+  // Group sessions by date
+  const sessionsByDate = useMemo(() => {
+    const grouped = {};
+    scheduledSessions.forEach((session) => {
+      const dateKey = format(session.date, "yyyy-MM-dd");
+      if (!grouped[dateKey]) {
+        grouped[dateKey] = [];
+      }
+      grouped[dateKey].push(session);
+    });
+    return grouped;
+  }, [scheduledSessions]);
+
+  // Monday to Sunday, leaving out weekdays without slots or sessions
+  const days = useMemo(() => {
+    if (mode === "day") return [currentDate];
+    const monday = startOfWeek(currentDate, { weekStartsOn: 1 });
+    return eachDayOfInterval({ start: monday, end: addDays(monday, 6) }).filter(
+      (day) =>
+        (slotTemplate[DAY_NAMES[day.getDay()]] || []).length > 0 ||
+        sessionsByDate[format(day, "yyyy-MM-dd")]
+    );
+  }, [mode, currentDate, slotTemplate, sessionsByDate]);
+
+  // Slot statuses of the visible days, with the same calendar inputs as the
+  // scheduler
+  const dayColumns = useMemo(() => {
+    if (days.length === 0) return [];
+    const years = [...new Set(days.map((day) => day.getFullYear()))];
+    const calendarOptions = {
+      template: slotTemplate,
+      holidays: getHolidayMap(years, holidaySettings),
+      restrictions: getRestrictionMap(years, holidaySettings),
+      blackouts: expandBlackouts(blackouts, days[0], days[days.length - 1]),
+      capacity: capacitySettings,
+    };
+    return days.map((day) => {
+      const dateKey = format(day, "yyyy-MM-dd");
+      const sessions = sessionsByDate[dateKey] || [];
+      return {
+        day,
+        dateKey,
+        holiday: calendarOptions.holidays.get(dateKey),
+        slots: getDaySlotStatus(day, calendarOptions, sessions),
+        ...assignLanes(sessions),
+      };
+    });
+  }, [
+    days,
+    slotTemplate,
+    holidaySettings,
+    blackouts,
+    capacitySettings,
+    sessionsByDate,
+  ]);
+
+  // Time axis: whole hours around every slot and session shown
+  const [axisStart, axisEnd] = useMemo(() => {
+    const times = dayColumns.flatMap(({ slots, placed }) => [
+      ...slots.flatMap((slot) => [slot.start, slot.end]),
+      ...placed.flatMap(({ session }) => [session.startTime, session.endTime]),
+    ]);
+    if (times.length === 0) return [8 * 60, 18 * 60];
+    const minutes = times.map(timeToMinutes);
+    return [
+      Math.floor(Math.min(...minutes) / 60) * 60,
+      Math.ceil(Math.max(...minutes) / 60) * 60,
+    ];
+  }, [dayColumns]);
+
+  const minuteHeight = MINUTE_HEIGHT[mode];
+  const top = (time) => (timeToMinutes(time) - axisStart) * minuteHeight;
+  // A line every hour behind the slots
+  const hourLines = `repeating-linear-gradient(to bottom, #f0f0f0 0 1px, transparent 1px ${
+    60 * minuteHeight
+  }px)`;
+  const hours = Array.from(
+    { length: (axisEnd - axisStart) / 60 },
+    (_, index) => axisStart + index * 60
+  );
+
+  const handlePrev = () => {
+    setCurrentDate(
+      mode === "day" ? subDays(currentDate, 1) : subWeeks(currentDate, 1)
+    );
+  };
+
+  const handleNext = () => {
+    setCurrentDate(
+      mode === "day" ? addDays(currentDate, 1) : addWeeks(currentDate, 1)
+    );
+  };
+
+  const handleToday = () => {
+    setCurrentDate(new Date());
+  };
+
+  const handleOpenDay = (day) => {
+    setCurrentDate(day);
+    if (onModeChange) onModeChange("day");
+  };
+
+  const handleDragStart = (e, session) => {
+    e.dataTransfer.effectAllowed = "move";
+    setDrag({ checker: getMoveChecker(session, moveMode), results: {} });
+  };
+
+  // The slot under the pointer, from its height in the day column
+  const getSlotAt = (e, slots) => {
+    const minutes =
+      axisStart +
+      (e.clientY - e.currentTarget.getBoundingClientRect().top) / minuteHeight;
+    return slots.find(
+      (slot) =>
+        timeToMinutes(slot.start) <= minutes &&
+        minutes < timeToMinutes(slot.end)
+    );
+  };
+
+  // Check a slot once per drag, when it is first hovered; only slots accept
+  // a drop
+  const handleDragOver = (e, day, dateKey, slots) => {
+    const slot = getSlotAt(e, slots);
+    const target = slot ? `${dateKey} ${slot.start}` : null;
+    if (dropTarget !== target) setDropTarget(target);
+    if (!slot) return;
+    e.preventDefault();
+    if (!drag.results[target]) {
+      setDrag({
+        ...drag,
+        results: { ...drag.results, [target]: drag.checker(day, slot.start) },
+      });
+    }
+  };
+
+  const handleDrop = (e, day, dateKey, slots) => {
+    e.preventDefault();
+    const slot = getSlotAt(e, slots);
+    const result =
+      slot &&
+      (drag.results[`${dateKey} ${slot.start}`] ||
+        drag.checker(day, slot.start));
+    setDrag(null);
+    setDropTarget(null);
+    if (result) onMove(result.moves, result.violations);
+  };
+
+  const handleDragEnd = () => {
+    setDrag(null);
+    setDropTarget(null);
+  };
+
+  const canMove = Boolean(getMoveChecker && onMove);
+  const moveResult = drag && dropTarget ? drag.results[dropTarget] : null;
+
+  const weekStart = startOfWeek(currentDate, { weekStartsOn: 1 });
+  const heading =
+    mode === "day"
+      ? format(currentDate, "EEEE d MMMM yyyy")
+      : `Week of ${format(weekStart, "d MMMM yyyy")}`;
+
+  return (
+    <Card className="dashboard-card">
+      {/* Header */}
+      <div
+        style={{
+          marginBottom: "24px",
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+        }}
+      >
+        <div>
+          <Title level={3} style={{ margin: 0 }}>
+            {heading}
+          </Title>
+          <Text type="secondary">Times in {describeTimeZone(timeZone)}</Text>
+        </div>
+        <Space>
+          {canMove && (
+            <Tooltip title="What dragging a session moves">
+              <Segmented
+                value={moveMode}
+                onChange={setMoveMode}
+                options={Object.entries(MOVE_MODES).map(([value, label]) => ({
+                  value,
+                  label,
+                }))}
+              />
+            </Tooltip>
+          )}
+          {mode === "day" && onModeChange && (
+            <Button onClick={() => onModeChange("week")}>Whole Week</Button>
+          )}
+          <Button onClick={handleToday} icon={<CalendarOutlined />}>
+            Today
+          </Button>
+          <Button icon={<LeftOutlined />} onClick={handlePrev} />
+          <Button icon={<RightOutlined />} onClick={handleNext} />
+        </Space>
+      </div>
+
+      {/* Rules the hovered move breaks */}
+      {drag && (
+        <div
+          style={{
+            marginBottom: "8px",
+            fontSize: "12px",
+            color: moveResult
+              ? moveResult.violations.length
+                ? "#f5222d"
+                : "#52c41a"
+              : "#8c8c8c",
+          }}
+        >
+          {moveResult
+            ? moveResult.violations.length
+              ? moveResult.violations
+                  .map((violation) => violation.label)
+                  .join("; ")
+              : "Move allowed"
+            : "Drop on a slot to move there"}
+        </div>
+      )}
+
+      {dayColumns.length === 0 ? (
+        <Text type="secondary">No slots or sessions this week.</Text>
+      ) : (
+        <div style={{ overflowX: "auto" }}>
+          <div
+            style={{
+              display: "grid",
+              gridTemplateColumns: `56px repeat(${dayColumns.length}, minmax(${
+                mode === "day" ? 240 : 120
+              }px, 1fr))`,
+              minWidth: mode === "day" ? undefined : "720px",
+            }}
+          >
+            {/* Day Headers */}
+            <div />
+            {dayColumns.map(({ day, dateKey, holiday, placed }) => (
+              <div
+                key={dateKey}
+                onClick={mode === "week" ? () => handleOpenDay(day) : undefined}
+                title={mode === "week" ? "Open this day" : undefined}
+                style={{
+                  padding: "8px",
+                  textAlign: "center",
+                  fontWeight: 600,
+                  backgroundColor: "#fafafa",
+                  borderBottom: "2px solid #d9d9d9",
+                  cursor: mode === "week" ? "pointer" : "default",
+                }}
+              >
+                <div>{format(day, "EEE d MMM")}</div>
+                <div style={{ fontSize: "11px", fontWeight: "normal" }}>
+                  {holiday ? (
+                    <Tag color="red" style={{ margin: 0, fontSize: "10px" }}>
+                      {holiday}
+                    </Tag>
+                  ) : (
+                    <Text type="secondary" style={{ fontSize: "11px" }}>
+                      {placed.length} session{placed.length === 1 ? "" : "s"}
+                    </Text>
+                  )}
+                </div>
+              </div>
+            ))}
+
+            {/* Time Axis */}
+            <div
+              style={{
+                position: "relative",
+                height: `${(axisEnd - axisStart) * minuteHeight}px`,
+              }}
+            >
+              {hours.map((hour) => (
+                <div
+                  key={hour}
+                  style={{
+                    position: "absolute",
+                    top: `${(hour - axisStart) * minuteHeight}px`,
+                    right: "8px",
+                    fontSize: "11px",
+                    color: "#8c8c8c",
+                    transform: "translateY(-50%)",
+                  }}
+                >
+                  {hour > axisStart && minutesToTime(hour)}
+                </div>
+              ))}
+            </div>
+
+            {/* Day Columns */}
+            {dayColumns.map(({ day, dateKey, slots, placed, lanes }) => (
+              <div
+                key={dateKey}
+                onDragOver={
+                  drag
+                    ? (e) => handleDragOver(e, day, dateKey, slots)
+                    : undefined
+                }
+                onDrop={
+                  drag ? (e) => handleDrop(e, day, dateKey, slots) : undefined
+                }
+                style={{
+                  position: "relative",
+                  height: `${(axisEnd - axisStart) * minuteHeight}px`,
+                  borderLeft: "1px solid #f0f0f0",
+                  backgroundImage: hourLines,
+                }}
+              >
+                {/* Slots */}
+                {slots.map((slot) => (
+                  <Tooltip
+                    key={slot.start}
+                    title={`${slot.start}-${slot.end}: ${
+                      SLOT_STATUSES[slot.status]
+                    }${
+                      slot.reason !== SLOT_STATUSES[slot.status]
+                        ? ` (${slot.reason})`
+                        : ""
+                    }`}
+                  >
+                    <div
+                      style={{
+                        position: "absolute",
+                        top: `${top(slot.start)}px`,
+                        height: `${
+                          (timeToMinutes(slot.end) -
+                            timeToMinutes(slot.start)) *
+                          minuteHeight
+                        }px`,
+                        left: "2px",
+                        right: "2px",
+                        backgroundColor: STATUS_COLORS[slot.status],
+                        border: "1px dashed #d9d9d9",
+                        outline:
+                          moveResult &&
+                          dropTarget === `${dateKey} ${slot.start}`
+                            ? `2px solid ${
+                                moveResult.violations.length
+                                  ? "#f5222d"
+                                  : "#52c41a"
+                              }`
+                            : "none",
+                        borderRadius: "3px",
+                        fontSize: "10px",
+                        color: "#8c8c8c",
+                        padding: "0 4px",
+                        overflow: "hidden",
+                        whiteSpace: "nowrap",
+                      }}
+                    >
+                      {slot.status !== "free" && slot.status !== "full"
+                        ? SLOT_STATUSES[slot.status]
+                        : ""}
+                    </div>
+                  </Tooltip>
+                ))}
+
+                {/* Sessions */}
+                {placed.map(({ session, lane }, idx) => (
+                  <div
+                    key={idx}
+                    draggable={canMove}
+                    onDragStart={
+                      canMove ? (e) => handleDragStart(e, session) : undefined
+                    }
+                    onDragEnd={canMove ? handleDragEnd : undefined}
+                    onClick={
+                      onSessionClick ? () => onSessionClick(session) : undefined
+                    }
+                    title={`${describeSession(session)}${
+                      session.locked ? " (locked)" : ""
+                    }${
+                      onSessionClick
+                        ? session.locked
+                          ? " - click to unlock"
+                          : " - click to lock this instance"
+                        : ""
+                    }${canMove ? ", drag onto a slot to move" : ""}`}
+                    style={{
+                      position: "absolute",
+                      top: `${top(session.startTime)}px`,
+                      height: `${Math.max(
+                        (timeToMinutes(session.endTime) -
+                          timeToMinutes(session.startTime)) *
+                          minuteHeight,
+                        14
+                      )}px`,
+                      left: `calc(${(lane / lanes) * 100}% + 4px)`,
+                      width: `calc(${100 / lanes}% - 8px)`,
+                      backgroundColor: courseColors[session.courseName],
+                      color: "white",
+                      borderRadius: "3px",
+                      fontSize: "11px",
+                      padding: "1px 4px",
+                      overflow: "hidden",
+                      whiteSpace: "nowrap",
+                      textOverflow: "ellipsis",
+                      cursor: canMove
+                        ? "grab"
+                        : onSessionClick
+                          ? "pointer"
+                          : "default",
+                      outline: session.locked ? "2px solid #262626" : "none",
+                      zIndex: 1,
+                    }}
+                  >
+                    {session.locked && <LockOutlined />} {session.courseName}
+                    {mode === "day" && ` - Session ${session.sessionNumber}`}
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Legend */}
+      <div
+        style={{
+          marginTop: "24px",
+          padding: "16px",
+          backgroundColor: "#fafafa",
+          borderRadius: "8px",
+        }}
+      >
+        <Text strong style={{ marginBottom: "8px", display: "block" }}>
+          Slots:
+        </Text>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: "8px" }}>
+          {Object.entries(SLOT_STATUSES).map(([status, label]) => (
+            <Tag
+              key={status}
+              style={{
+                margin: 0,
+                backgroundColor: STATUS_COLORS[status],
+                borderStyle: "dashed",
+                color: "#595959",
+              }}
+            >
+              {label}
+            </Tag>
+          ))}
+        </div>
+        <Text
+          type="secondary"
+          style={{ display: "block", marginTop: "8px", fontSize: "12px" }}
+        >
+          Slots come from the slot template; hover one to see why it is
+          blocked or how many places are free.
+          {mode === "week" && " Click a day to open it on its own."}
+        </Text>
+        {canMove && (
+          <Text
+            type="secondary"
+            style={{ display: "block", marginTop: "4px", fontSize: "12px" }}
+          >
+            <DragOutlined /> Drag a session, or its whole instance, onto a slot
+            to move it to that day and time. While dragging, the slot shows
+            whether the move is allowed and the line above the grid lists the
+            rules it breaks. Moves that break rules can still be applied after
+            confirming.
+          </Text>
+        )}
+      </div>
+    </Card>
+  );
+};
+
+export default TimeGridView;
@@ -0,0 +1,210 @@
+/**
+ * Blackouts
+ * Organisation-specific days and time windows with no sessions
+ *
+ * A blackout covers every date from startDate to endDate (inclusive) and
+ * removes slots according to its type:
+ *   - "day":    the whole day
+ *   - "before": slots starting before `time`
+ *   - "after":  slots starting at or after `time` (the same rule as
+ *               restricted dates in the holiday settings)
+ *   - "slots":  slots overlapping `startTime`-`endTime`
+ *
+ * A blackout with an `rrule` (see recurrence.js) recurs instead: it applies on
+ * each occurrence from startDate onwards, up to endDate when one is given.
+ */
+
+import { format } from "date-fns";
+import { timeToMinutes } from "./timeSlots";
+import { describeRRule, expandRRule, validateRRule } from "./recurrence";
+
+export const BLACKOUT_TYPES = {
+  day: "Full day",
+  before: "Before a time",
+  after: "After a time",
+  slots: "Time range",
+};
+
+/**
+ * Create a blackout with a unique id
+ * @param {Object} fields - { type, startDate, endDate, time, startTime, endTime, label, rrule }
+ * @returns {Object} Blackout object
+ */
+export const createBlackout = (fields) => ({
+  id: `blackout-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  type: "day",
+  label: "",
+  ...fields,
+  rrule: fields.rrule || "",
+  // A recurring blackout without an end date repeats indefinitely
+  endDate: fields.endDate || (fields.rrule ? "" : fields.startDate),
+});
+
+/**
+ * Check a blackout for missing or inconsistent fields
+ * @param {Object} blackout - Blackout object
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateBlackout = (blackout) => {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  const timePattern = /^\d{2}:\d{2}$/;
+
+  if (!BLACKOUT_TYPES[blackout.type]) {
+    return `Unknown blackout type "${blackout.type}"`;
+  }
+  if (!datePattern.test(blackout.startDate || "")) {
+    return "A start date is required";
+  }
+  if (blackout.rrule) {
+    const ruleError = validateRRule(blackout.rrule);
+    if (ruleError) return ruleError;
+  } else if (!datePattern.test(blackout.endDate || "")) {
+    return "An end date is required";
+  }
+  if (blackout.endDate && blackout.endDate < blackout.startDate) {
+    return "The end date must not be before the start date";
+  }
+  if (
+    (blackout.type === "before" || blackout.type === "after") &&
+    !timePattern.test(blackout.time || "")
+  ) {
+    return "A time is required";
+  }
+  if (blackout.type === "slots") {
+    if (
+      !timePattern.test(blackout.startTime || "") ||
+      !timePattern.test(blackout.endTime || "")
+    ) {
+      return "A start and end time are required";
+    }
+    if (timeToMinutes(blackout.endTime) <= timeToMinutes(blackout.startTime)) {
+      return "The end time must be after the start time";
+    }
+  }
+  return null;
+};
+
+/**
+ * Describe a blackout's rule, e.g. "No sessions from 13:00"
+ * @param {Object} blackout - Blackout object
+ * @returns {string} Description
+ */
+export const describeBlackoutRule = (blackout) => {
+  switch (blackout.type) {
+    case "before":
+      return `No sessions before ${blackout.time}`;
+    case "after":
+      return `No sessions from ${blackout.time}`;
+    case "slots":
+      return `No sessions ${blackout.startTime}-${blackout.endTime}`;
+    default:
+      return "No sessions all day";
+  }
+};
+
+/**
+ * Describe a blackout's dates, e.g. "12-22-2025 to 12-26-2025"
+ * @param {Object} blackout - Blackout object
+ * @returns {string} Description
+ */
+export const describeBlackoutDates = (blackout) => {
+  const toDisplay = (dateKey) => {
+    const [year, month, day] = dateKey.split("-");
+    return `${month}-${day}-${year}`;
+  };
+  if (blackout.rrule) {
+    return `${describeRRule(blackout.rrule)}, from ${toDisplay(
+      blackout.startDate
+    )}${blackout.endDate ? ` to ${toDisplay(blackout.endDate)}` : ""}`;
+  }
+  return blackout.endDate === blackout.startDate
+    ? toDisplay(blackout.startDate)
+    : `${toDisplay(blackout.startDate)} to ${toDisplay(blackout.endDate)}`;
+};
+
+/**
+ * Expand recurring blackouts for a date range
+ * Each recurring blackout gets an `occurrences` Set of date keys in the range;
+ * one-off blackouts are returned unchanged.
+ * @param {Array} blackouts - Blackout objects
+ * @param {Date} rangeStart - First date being scheduled
+ * @param {Date} rangeEnd - Last date being scheduled
+ * @returns {Array} Blackouts ready for isBlackoutOnDate / applyBlackouts
+ */
+export const expandBlackouts = (blackouts = [], rangeStart, rangeEnd) =>
+  blackouts.map((blackout) => {
+    if (!blackout.rrule) return blackout;
+
+    const [year, month, day] = blackout.startDate.split("-").map(Number);
+    const occurrences = expandRRule(
+      blackout.rrule,
+      new Date(year, month - 1, day),
+      rangeStart,
+      rangeEnd
+    )
+      .map((date) => format(date, "yyyy-MM-dd"))
+      .filter((dateKey) => !blackout.endDate || dateKey <= blackout.endDate);
+    return { ...blackout, occurrences: new Set(occurrences) };
+  });
+
+/**
+ * Check whether a blackout covers a date
+ * Recurring blackouts must be expanded first (see expandBlackouts).
+ * @param {Object} blackout - Blackout object
+ * @param {string} dateKey - Date (yyyy-MM-dd format)
+ * @returns {boolean} True if the date is inside the blackout's range
+ */
+export const isBlackoutOnDate = (blackout, dateKey) => {
+  if (blackout.rrule) {
+    return Boolean(blackout.occurrences && blackout.occurrences.has(dateKey));
+  }
+  return dateKey >= blackout.startDate && dateKey <= blackout.endDate;
+};
+
+/**
+ * Check whether a blackout removes a slot
+ * @param {Object} blackout - Blackout object
+ * @param {Object} slot - { start, end }
+ * @returns {boolean} True if the slot is blocked
+ */
+const blocksSlot = (blackout, slot) => {
+  const start = timeToMinutes(slot.start);
+  const end = timeToMinutes(slot.end);
+
+  switch (blackout.type) {
+    case "before":
+      return start < timeToMinutes(blackout.time);
+    case "after":
+      return start >= timeToMinutes(blackout.time);
+    case "slots":
+      return (
+        start < timeToMinutes(blackout.endTime) &&
+        end > timeToMinutes(blackout.startTime)
+      );
+    default:
+      return true;
+  }
+};
+
+/**
+ * Remove the slots blocked by blackouts on a date
+ * @param {Date} date - Date
+ * @param {Array} slots - Slots available before blackouts ({ start, end })
+ * @param {Array} blackouts - Blackout objects
+ * @returns {Object} { slots, applied } - remaining slots and the blackouts that removed any
+ */
+export const applyBlackouts = (date, slots, blackouts = []) => {
+  const dateKey = format(date, "yyyy-MM-dd");
+  const applied = [];
+  let remaining = slots;
+
+  blackouts
+    .filter((blackout) => isBlackoutOnDate(blackout, dateKey))
+    .forEach((blackout) => {
+      const kept = remaining.filter((slot) => !blocksSlot(blackout, slot));
+      if (kept.length < remaining.length) applied.push(blackout);
+      remaining = kept;
+    });
+
+  return { slots: remaining, applied };
+};
@@ -0,0 +1,98 @@
+/**
+ * Booking Ledger
+ * Tracks when people or resources are booked so nobody and nothing is double-booked
+ *
+ * Shared by the instructor pool and the resource pool. Bookings are kept per
+ * id as { dateKey, start, end } ranges, with a count of instances assigned so
+ * work can be spread evenly.
+ */
+
+import { format } from "date-fns";
+import { timeToMinutes } from "./timeSlots";
+
+/**
+ * Create an empty ledger
+ * @returns {Object} { bookings, assignmentCounts }
+ */
+export const createBookingLedger = () => ({
+  // id -> Array of { dateKey, start, end }
+  bookings: new Map(),
+  // id -> number of instances assigned
+  assignmentCounts: new Map(),
+});
+
+/**
+ * Check whether an id is booked for anything overlapping a time range
+ * @param {Object} ledger - Booking ledger
+ * @param {string} id - Instructor or resource id
+ * @param {string} dateKey - Date (yyyy-MM-dd)
+ * @param {string} startTime - Start time (HH:MM format)
+ * @param {string} endTime - End time (HH:MM format)
+ * @returns {boolean} True if already booked
+ */
+export const isBooked = (ledger, id, dateKey, startTime, endTime) => {
+  const bookings = ledger.bookings.get(id) || [];
+  return bookings.some(
+    (booking) =>
+      booking.dateKey === dateKey &&
+      timeToMinutes(booking.start) < timeToMinutes(endTime) &&
+      timeToMinutes(startTime) < timeToMinutes(booking.end)
+  );
+};
+
+/**
+ * Check whether an id is free for every session of an instance
+ * @param {Object} ledger - Booking ledger
+ * @param {string} id - Instructor or resource id
+ * @param {Array} sessions - Sessions (date, startTime, endTime)
+ * @returns {boolean} True if free for all of them
+ */
+export const isFreeForSessions = (ledger, id, sessions) =>
+  sessions.every(
+    (session) =>
+      !isBooked(
+        ledger,
+        id,
+        format(session.date, "yyyy-MM-dd"),
+        session.startTime,
+        session.endTime
+      )
+  );
+
+/**
+ * Pick the candidate with the fewest instances assigned so far
+ * @param {Object} ledger - Booking ledger
+ * @param {Array} candidates - Objects with an `id`
+ * @returns {Object|null} Least-assigned candidate or null if there are none
+ */
+export const pickLeastAssigned = (ledger, candidates) => {
+  if (candidates.length === 0) return null;
+
+  return candidates.reduce((best, candidate) =>
+    (ledger.assignmentCounts.get(candidate.id) || 0) <
+    (ledger.assignmentCounts.get(best.id) || 0)
+      ? candidate
+      : best
+  );
+};
+
+/**
+ * Record an id as booked for every session of an instance
+ * @param {Object} ledger - Booking ledger
+ * @param {string} id - Instructor or resource id
+ * @param {Array} sessions - Sessions of the instance
+ */
+export const recordBooking = (ledger, id, sessions) => {
+  const bookings = ledger.bookings.get(id) || [];
+
+  sessions.forEach((session) => {
+    bookings.push({
+      dateKey: format(session.date, "yyyy-MM-dd"),
+      start: session.startTime,
+      end: session.endTime,
+    });
+  });
+
+  ledger.bookings.set(id, bookings);
+  ledger.assignmentCounts.set(id, (ledger.assignmentCounts.get(id) || 0) + 1);
+};
@@ -0,0 +1,365 @@
+/**
+ * Course Constraints
+ * Parses per-course scheduling rules from the cadence file and checks slots against them
+ *
+ * Rules can be written in the "Scheduling Notes" column as semicolon-separated
+ * "key: value" pairs, e.g. "days: Tue, Wed; start: 10:00-12:30; avoid: Dec; same day: yes",
+ * or in dedicated columns ("Allowed Days", "Earliest Start", "Latest Start",
+ * "Avoid Months", "Same Day Repeats", "Sequence Policy", "Resource
+ * Requirement", "Audience", "Preferred Window"). Columns take precedence over
+ * notes.
+ *
+ * The sequence policy says what happens when one week of an instance is blocked
+ * (holiday, blackout or slot taken): "strict" (try another start date),
+ * "skip 2" (skip up to 2 blocked weeks) or "move" (move that session to
+ * another slot in the same week).
+ *
+ * A resource requirement such as "resource: webinar licence, 100 seats" names
+ * the kind of resource each instance needs (see resourceUtils.js).
+ *
+ * Audience regions ("audience: US Eastern, India") keep every session within
+ * reasonable local hours in each region (see timeZones.js).
+ *
+ * A preferred window ("prefer: 13:00-16:00") is a soft rule: slots starting
+ * inside it are tried first, but other slots are still used (see
+ * slotStrategy.js).
+ */
+
+import {
+  DEFAULT_TIME_ZONE,
+  normalizeDayName,
+  normalizeTime,
+  timeToMinutes,
+} from "./timeSlots";
+import { parseResourceRequirement } from "./resourceUtils";
+import { isWithinRegionHours, parseAudienceRegions } from "./timeZones";
+
+const MONTH_NAMES = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+// Rule names recognised in "Scheduling Notes" (longest first so they match whole)
+const RULE_KEYS = [
+  "resource requirement",
+  "preferred window",
+  "sequence policy",
+  "sequence",
+  "audience regions",
+  "allowed days",
+  "earliest start",
+  "latest start",
+  "avoid months",
+  "same[ _-]day repeats",
+  "same[ _-]day",
+  "days",
+  "start",
+  "window",
+  "time",
+  "earliest",
+  "latest",
+  "avoid",
+  "resource",
+  "audience",
+  "prefer",
+];
+
+// Rules applied when a course gives none of its own
+const BASE_CONSTRAINTS = {
+  allowedDays: null, // null = any day with slots
+  earliestStart: null, // "HH:MM", inclusive
+  latestStart: null, // "HH:MM", inclusive
+  avoidMonths: [], // 0-indexed months with no sessions
+  allowSameDay: false, // may repeat an earlier instance's weekday
+  sequenceMode: "strict", // "strict", "skip" or "move" (see SEQUENCE_MODES)
+  maxSkips: 0, // blocked weeks an instance may skip in "skip" mode
+  resourceRequirement: null, // { type, minSeats, features } or null for none
+  audienceRegions: [], // region names from AUDIENCE_REGIONS
+  timeZone: null, // zone the slot times are in (null = browser's zone)
+  preferredWindow: null, // { start, end } "HH:MM" start times tried first
+};
+
+// What to do when one week of an instance is blocked
+export const SEQUENCE_MODES = {
+  strict: "Strict consecutive weeks",
+  skip: "Skip blocked weeks",
+  move: "Move blocked session within the week",
+};
+
+// Built-in rules for courses matched by title; the cadence file can override them
+export const DEFAULT_COURSE_CONSTRAINTS = [
+  {
+    titleMatch: "financial intelligence",
+    constraints: {
+      allowedDays: ["TUESDAY", "WEDNESDAY"],
+      earliestStart: "10:00",
+      latestStart: "12:30",
+      allowSameDay: true,
+    },
+  },
+];
+
+/**
+ * Parse a list of weekdays ("Tue, Wed" or "Tuesday/Wednesday")
+ * @param {string} text - Weekday list
+ * @returns {Array<string>|null} Day names or null if none recognised
+ */
+const parseDays = (text) => {
+  const days = String(text)
+    .split(/[,/&\s]+/)
+    .map(normalizeDayName)
+    .filter(Boolean);
+  return days.length > 0 ? [...new Set(days)] : null;
+};
+
+/**
+ * Parse a list of months ("Dec, Jan" or "12, 1")
+ * @param {string} text - Month list
+ * @returns {Array<number>} 0-indexed months
+ */
+const parseMonths = (text) => {
+  const months = String(text)
+    .split(/[,/&\s]+/)
+    .map((token) => {
+      const value = token.trim().toLowerCase();
+      if (/^\d+$/.test(value)) {
+        const month = parseInt(value) - 1;
+        return month >= 0 && month < 12 ? month : -1;
+      }
+      return MONTH_NAMES.indexOf(value.slice(0, 3));
+    })
+    .filter((month) => month !== -1);
+  return [...new Set(months)];
+};
+
+/**
+ * Parse a yes/no value
+ * @param {string|boolean} value - Value
+ * @returns {boolean|null} Boolean or null if not recognised
+ */
+const parseBoolean = (value) => {
+  if (typeof value === "boolean") return value;
+  const text = String(value).trim().toLowerCase();
+  if (["yes", "y", "true", "allowed", "allow"].includes(text)) return true;
+  if (["no", "n", "false", "not allowed", "never"].includes(text)) return false;
+  return null;
+};
+
+/**
+ * Parse a sequence policy ("strict", "skip", "skip 2", "skip up to 2", "move")
+ * @param {string} value - Policy text
+ * @returns {Object|null} { sequenceMode, maxSkips } or null if not recognised
+ */
+const parseSequencePolicy = (value) => {
+  const text = String(value).trim().toLowerCase();
+  if (text.startsWith("strict")) return { sequenceMode: "strict", maxSkips: 0 };
+  if (text.startsWith("move")) return { sequenceMode: "move", maxSkips: 0 };
+  if (text.startsWith("skip")) {
+    const count = text.match(/\d+/);
+    return { sequenceMode: "skip", maxSkips: count ? parseInt(count[0]) : 1 };
+  }
+  return null;
+};
+
+/**
+ * Apply one "key: value" rule to a constraints object
+ * @param {Object} constraints - Constraints being built
+ * @param {string} key - Rule name
+ * @param {string|number} value - Rule value
+ */
+const applyRule = (constraints, key, value) => {
+  const normalizedKey = key.trim().toLowerCase().replace(/[\s_-]+/g, " ");
+
+  switch (normalizedKey) {
+    case "days":
+    case "allowed days": {
+      const days = parseDays(value);
+      if (days) constraints.allowedDays = days;
+      break;
+    }
+    case "start":
+    case "window":
+    case "time": {
+      const [earliest, latest] = String(value).split(/\s*-\s*/);
+      if (normalizeTime(earliest)) {
+        constraints.earliestStart = normalizeTime(earliest);
+      }
+      if (latest && normalizeTime(latest)) {
+        constraints.latestStart = normalizeTime(latest);
+      }
+      break;
+    }
+    case "earliest":
+    case "earliest start":
+      if (normalizeTime(value)) constraints.earliestStart = normalizeTime(value);
+      break;
+    case "latest":
+    case "latest start":
+      if (normalizeTime(value)) constraints.latestStart = normalizeTime(value);
+      break;
+    case "avoid":
+    case "avoid months":
+      constraints.avoidMonths = parseMonths(value);
+      break;
+    case "same day":
+    case "same day repeats": {
+      const allowed = parseBoolean(value);
+      if (allowed !== null) constraints.allowSameDay = allowed;
+      break;
+    }
+    case "sequence":
+    case "sequence policy": {
+      const policy = parseSequencePolicy(value);
+      if (policy) Object.assign(constraints, policy);
+      break;
+    }
+    case "resource":
+    case "resource requirement": {
+      const requirement = parseResourceRequirement(value);
+      if (requirement) constraints.resourceRequirement = requirement;
+      break;
+    }
+    case "audience":
+    case "audience regions": {
+      const regions = parseAudienceRegions(value);
+      if (regions.length > 0) constraints.audienceRegions = regions;
+      break;
+    }
+    case "prefer":
+    case "preferred window": {
+      const [start, end] = String(value).split(/\s*-\s*/);
+      if (normalizeTime(start) && end && normalizeTime(end)) {
+        constraints.preferredWindow = {
+          start: normalizeTime(start),
+          end: normalizeTime(end),
+        };
+      }
+      break;
+    }
+    default:
+      // Free-text notes are kept as notes only
+      break;
+  }
+};
+
+/**
+ * Parse scheduling constraints for a course
+ * Only rules that are actually given are included in the result.
+ * @param {string} notes - "Scheduling Notes" text
+ * @param {Object} row - Raw cadence file row (for dedicated columns)
+ * @returns {Object} Partial constraints object
+ */
+export const parseSchedulingConstraints = (notes, row = {}) => {
+  const constraints = {};
+
+  // Rules may follow free text, e.g. "Exec audience. days: Tue, Wed"
+  const rulePattern = new RegExp(
+    `\\b(${RULE_KEYS.join("|")})\\s*:\\s*([^;\\n]*)`,
+    "gi"
+  );
+  let match;
+  while ((match = rulePattern.exec(String(notes || ""))) !== null) {
+    applyRule(constraints, match[1], match[2].trim());
+  }
+
+  [
+    "Allowed Days",
+    "Earliest Start",
+    "Latest Start",
+    "Avoid Months",
+    "Same Day Repeats",
+    "Sequence Policy",
+    "Resource Requirement",
+    "Audience",
+    "Preferred Window",
+  ].forEach((column) => {
+    const value = row[column];
+    if (value !== undefined && value !== null && value !== "") {
+      applyRule(constraints, column, value);
+    }
+  });
+
+  return constraints;
+};
+
+/**
+ * Resolve the full set of rules for a course
+ * Combines the base rules, the global defaults from Settings, built-in title
+ * rules and the course's own rules (later ones win).
+ * @param {Object} course - Course object
+ * @param {Object} globalDefaults - Partial constraints applying to every course
+ * @returns {Object} Constraints object
+ */
+export const resolveCourseConstraints = (course, globalDefaults = {}) => {
+  const title = course.title.toLowerCase();
+  const defaults = DEFAULT_COURSE_CONSTRAINTS.filter((rule) =>
+    title.includes(rule.titleMatch)
+  ).reduce((merged, rule) => ({ ...merged, ...rule.constraints }), {});
+
+  return {
+    ...BASE_CONSTRAINTS,
+    ...globalDefaults,
+    ...defaults,
+    ...(course.constraints || {}),
+  };
+};
+
+/**
+ * Check whether a slot satisfies a course's weekday and start-time rules
+ * @param {Object} constraints - Resolved constraints
+ * @param {string} dayOfWeek - Day name
+ * @param {string} startTime - Start time (HH:MM format)
+ * @returns {boolean} True if allowed
+ */
+export const isSlotAllowed = (constraints, dayOfWeek, startTime) => {
+  if (constraints.allowedDays && !constraints.allowedDays.includes(dayOfWeek)) {
+    return false;
+  }
+
+  const start = timeToMinutes(startTime);
+  if (
+    constraints.earliestStart &&
+    start < timeToMinutes(constraints.earliestStart)
+  ) {
+    return false;
+  }
+  if (constraints.latestStart && start > timeToMinutes(constraints.latestStart)) {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Check whether a course may have a session on a date
+ * @param {Object} constraints - Resolved constraints
+ * @param {Date} date - Session date
+ * @returns {boolean} True if allowed
+ */
+export const isDateAllowed = (constraints, date) =>
+  !constraints.avoidMonths.includes(date.getMonth());
+
+/**
+ * Check whether a session suits every audience region of a course
+ * @param {Object} constraints - Resolved constraints
+ * @param {Date} date - Session date
+ * @param {string} startTime - Start time (HH:MM format)
+ * @param {string} endTime - End time (HH:MM format)
+ * @returns {boolean} True if allowed
+ */
+export const isAudienceTime = (constraints, date, startTime, endTime) => {
+  const homeZone = constraints.timeZone || DEFAULT_TIME_ZONE;
+  return constraints.audienceRegions.every((region) =>
+    isWithinRegionHours(region, date, startTime, endTime, homeZone)
+  );
+};
@@ -0,0 +1,160 @@
+/**
+ * Course Instances
+ * Identity of each run (cohort) of a course
+ *
+ * Every scheduled session carries:
+ *   instanceId        - stable ID: the course and the cadence date the
+ *                       instance serves (the same key locking uses)
+ *   cohortCode        - readable code: course initials, year and the
+ *                       instance's place in the course's cadence, e.g.
+ *                       "FI-2026-03" for the third Financial Intelligence
+ *                       cadence of 2026
+ *   instanceStartDate - date of the instance's first session
+ *   instanceEndDate   - date of its last session
+ *
+ * Numbers follow the cadence, not what was placed: if the second cadence
+ * cannot be scheduled the third is still "-03".
+ */
+
+import { getInstanceKey } from "./lockedInstances";
+
+// Words left out of course initials
+const MINOR_WORDS = ["a", "an", "and", "for", "in", "of", "on", "the", "to"];
+
+/**
+ * Get the initials of a course title
+ * @param {string} title - Course title
+ * @returns {string} e.g. "FI" for "Financial Intelligence", "EXC" for "Excel"
+ */
+export const getCourseCode = (title) => {
+  const words = (title.match(/[A-Za-z0-9]+/g) || []).filter(
+    (word) => !MINOR_WORDS.includes(word.toLowerCase())
+  );
+  if (words.length === 0) return "C";
+  if (words.length === 1) return words[0].slice(0, 3).toUpperCase();
+  return words.map((word) => word[0].toUpperCase()).join("");
+};
+
+/**
+ * Give every course a unique code
+ * Courses sharing initials are numbered in the order given ("FI", "FI2").
+ * @param {Array<string>} titles - Course titles
+ * @returns {Map} Course title -> code
+ */
+export const createCourseCodes = (titles) => {
+  const codes = new Map();
+  const used = new Set();
+  titles.forEach((title) => {
+    if (codes.has(title)) return;
+    const base = getCourseCode(title);
+    let code = base;
+    for (let suffix = 2; used.has(code); suffix++) code = `${base}${suffix}`;
+    codes.set(title, code);
+    used.add(code);
+  });
+  return codes;
+};
+
+/**
+ * Format a cohort code
+ * @param {string} courseCode - Course code (see createCourseCodes)
+ * @param {number} year - Year of the schedule
+ * @param {number} number - Instance's place in the course's cadence (1 = first)
+ * @returns {string} e.g. "FI-2026-03"
+ */
+export const formatCohortCode = (courseCode, year, number) =>
+  `${courseCode}-${year}-${String(number).padStart(2, "0")}`;
+
+/**
+ * Get the identity of an instance
+ * @param {string} courseName - Course title
+ * @param {Date} cadenceDate - Cadence date the instance serves
+ * @param {string} cohortCode - Cohort code (see formatCohortCode)
+ * @returns {Object} { instanceId, cohortCode }
+ */
+export const createInstanceIdentity = (
+  courseName,
+  cadenceDate,
+  cohortCode
+) => ({
+  instanceId: getInstanceKey({ courseName, cadenceDate }),
+  cohortCode,
+});
+
+/**
+ * Set each session's instance start and end dates from its instance's
+ * sessions (after they were placed or moved)
+ * @param {Array} sessions - Sessions of one or more instances
+ * @returns {Array} Sessions with instanceStartDate and instanceEndDate
+ */
+export const setInstanceDates = (sessions) => {
+  const ranges = new Map();
+  sessions
+    .filter((session) => session.instanceId)
+    .forEach((session) => {
+      const range = ranges.get(session.instanceId);
+      if (!range) {
+        ranges.set(session.instanceId, {
+          start: session.date,
+          end: session.date,
+        });
+      } else {
+        if (session.date < range.start) range.start = session.date;
+        if (session.date > range.end) range.end = session.date;
+      }
+    });
+
+  return sessions.map((session) => {
+    const range = ranges.get(session.instanceId);
+    return range
+      ? {
+          ...session,
+          instanceStartDate: range.start,
+          instanceEndDate: range.end,
+        }
+      : session;
+  });
+};
+
+/**
+ * Group sessions into instances
+ * @param {Array} sessions - Scheduled sessions
+ * @returns {Array} { instanceId, cohortCode, courseName, cadenceDate,
+ * startDate, endDate, quarter, sessions, locked } in start date order;
+ * instance fields (instructor, slot, exceptions) come from its sessions
+ */
+export const groupInstances = (sessions) => {
+  const instances = new Map();
+  sessions
+    .filter((session) => session.instanceId)
+    .forEach((session) => {
+      if (!instances.has(session.instanceId)) {
+        instances.set(session.instanceId, {
+          instanceId: session.instanceId,
+          cohortCode: session.cohortCode || "",
+          courseName: session.courseName,
+          cadenceDate: session.cadenceDate,
+          startDate: session.instanceStartDate || session.date,
+          endDate: session.instanceEndDate || session.date,
+          quarter: session.quarter,
+          sessions: [],
+          locked: false,
+        });
+      }
+      const instance = instances.get(session.instanceId);
+      instance.sessions.push(session);
+      if (session.locked) instance.locked = true;
+    });
+
+  return [...instances.values()]
+    .map((instance) => ({
+      ...instance,
+      sessions: instance.sessions.sort(
+        (a, b) => a.sessionNumber - b.sessionNumber
+      ),
+    }))
+    .sort(
+      (a, b) =>
+        a.startDate - b.startDate || a.courseName.localeCompare(b.courseName)
+    );
+};
@@ -5,6 +5,68 @@
 
 import * as XLSX from "xlsx";
 import { format } from "date-fns";
+import { parseAvailability, parseQualifiedCourses } from "./instructorUtils";
+import { normalizeDayName, normalizeTime } from "./timeSlots";
+import { parseSchedulingConstraints } from "./courseConstraints";
+import { describeTimeZone, formatSessionTime } from "./timeZones";
+import { describeOptimization } from "./scheduleOptimizer";
+import { describeUnscheduledReasons } from "./scheduleEngine";
+import { groupInstances } from "./courseInstances";
+import { createBlackout, validateBlackout } from "./blackouts";
+import {
+  createResource,
+  validateResource,
+  parseFeatures,
+} from "./resourceUtils";
+
+/**
+ * Convert an Excel cell value to a Date
+ * Handles Excel serial numbers, date strings and Date objects.
+ * @param {number|string|Date} value - Cell value
+ * @returns {Date|null} Date (local midnight) or null if blank/invalid
+ */
+const parseExcelDate = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+
+  if (value instanceof Date) {
+    return isNaN(value) ? null : value;
+  }
+
+  if (typeof value === "number") {
+    const parsed = XLSX.SSF.parse_date_code(value);
+    return parsed ? new Date(parsed.y, parsed.m - 1, parsed.d) : null;
+  }
+
+  // ISO dates ("2025-12-15") would otherwise be read as UTC midnight
+  const text = String(value).trim();
+  const isoMatch = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (isoMatch) {
+    return new Date(+isoMatch[1], +isoMatch[2] - 1, +isoMatch[3]);
+  }
+
+  const parsed = new Date(text);
+  if (isNaN(parsed)) return null;
+  return new Date(parsed.getFullYear(), parsed.getMonth(), parsed.getDate());
+};
+
+/**
+ * Parse a session duration in minutes
+ * Accepts minutes ("90", "90 min"), hours ("1.5 h", "2 hours") or "1:30".
+ * @param {number|string} value - Cell value
+ * @returns {number|null} Duration in minutes or null if blank/invalid
+ */
+const parseDuration = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === "number") return value > 0 ? Math.round(value) : null;
+
+  const text = String(value).trim().toLowerCase();
+  const clock = text.match(/^(\d{1,2}):(\d{2})$/);
+  if (clock) return parseInt(clock[1]) * 60 + parseInt(clock[2]) || null;
+
+  const amount = parseFloat(text);
+  if (!(amount > 0)) return null;
+  return Math.round(/h/.test(text) ? amount * 60 : amount);
+};
 
 /**
  * Parse cadence Excel file
@@ -57,16 +119,25 @@ export const parseCadenceExcel = async (file) => {
               sessions = match ? parseInt(match[0]) : 0;
             }
 
+            const notes = row["Scheduling Notes"] || row.notes || "";
+
             return {
               title: row["Course Title"] || row.title || "",
               cadence: cadence,
               sessions: sessions,
-              lastSessionDate:
+              // Minutes per session; null = one template slot
+              duration: parseDuration(
+                row["Session Duration"] ||
+                  row["Session Duration (minutes)"] ||
+                  row.duration
+              ),
+              lastSessionDate: parseExcelDate(
                 row["Date of\nLast Session"] ||
-                row["Date of Last Session"] ||
-                row.lastSessionDate ||
-                null,
-              notes: row["Scheduling Notes"] || row.notes || "",
+                  row["Date of Last Session"] ||
+                  row.lastSessionDate
+              ),
+              notes,
+              constraints: parseSchedulingConstraints(notes, row),
             };
           })
           .filter(
@@ -88,24 +159,242 @@ export const parseCadenceExcel = async (file) => {
   });
 };
 
+/**
+ * Parse instructor roster Excel file
+ * Expected columns: "First Name"/"Last Name" (or "Instructor Name"), "Email",
+ * "Qualified Courses" and either an "Availability" column
+ * ("Mon 09:00-17:00; Wed 06:00-12:00") or one column per weekday ("09:00-17:00").
+ * @param {File} file - Excel file
+ * @returns {Promise<Array>} Array of instructor objects
+ */
+export const parseRosterExcel = async (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+
+    reader.onload = (e) => {
+      try {
+        const data = new Uint8Array(e.target.result);
+        const workbook = XLSX.read(data, { type: "array" });
+
+        // Assume first sheet contains the roster
+        const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
+        const jsonData = XLSX.utils.sheet_to_json(firstSheet);
+
+        const instructors = jsonData
+          .map((row, index) => {
+            let firstName = String(row["First Name"] || row.firstName || "");
+            let lastName = String(row["Last Name"] || row.lastName || "");
+
+            // Fall back to a single full-name column
+            const fullName = String(
+              row["Instructor Name"] || row["Name"] || row.name || ""
+            ).trim();
+            if (!firstName && !lastName && fullName) {
+              const [first, ...rest] = fullName.split(/\s+/);
+              firstName = first;
+              lastName = rest.join(" ");
+            }
+
+            // Availability column, or one column per weekday
+            let availabilityText = row["Availability"] || row.availability || "";
+            if (!availabilityText) {
+              availabilityText = Object.keys(row)
+                .filter((column) => normalizeDayName(column))
+                .map((column) => `${column} ${row[column]}`)
+                .join("; ");
+            }
+
+            return {
+              id: `instructor-${index + 1}`,
+              firstName: firstName.trim(),
+              lastName: lastName.trim(),
+              email: String(row["Email"] || row.email || "").trim(),
+              courses: parseQualifiedCourses(
+                row["Qualified Courses"] || row["Courses"] || row.courses
+              ),
+              availability: parseAvailability(availabilityText),
+            };
+          })
+          .filter(
+            (instructor) =>
+              (instructor.firstName || instructor.lastName) &&
+              instructor.courses.length > 0
+          );
+
+        resolve(instructors);
+      } catch (error) {
+        reject(new Error(`Failed to parse roster file: ${error.message}`));
+      }
+    };
+
+    reader.onerror = () => {
+      reject(new Error("Failed to read file"));
+    };
+
+    reader.readAsArrayBuffer(file);
+  });
+};
+
+/**
+ * Parse blackout Excel file
+ * Expects "Start Date" (or "Date"), optional "End Date", "Type" (Full Day,
+ * Before, After or Time Range), "Time" for before/after, "Start Time" and
+ * "End Time" for time ranges, and an optional "Label" or "Reason".
+ * An optional "Repeat" (or "RRULE") column makes the row recurring, e.g.
+ * "FREQ=MONTHLY;BYDAY=-1FR"; its End Date then ends the series.
+ * @param {File} file - Excel file
+ * @returns {Promise<Array>} Array of blackout objects
+ */
+export const parseBlackoutExcel = async (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+
+    reader.onload = (e) => {
+      try {
+        const data = new Uint8Array(e.target.result);
+        const workbook = XLSX.read(data, { type: "array" });
+
+        // Assume first sheet contains the blackouts
+        const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
+        const jsonData = XLSX.utils.sheet_to_json(firstSheet);
+
+        const blackouts = jsonData
+          .map((row, index) => {
+            const startDate = parseExcelDate(row["Start Date"] || row["Date"]);
+            if (!startDate) return null;
+            const rrule = String(row["Repeat"] || row["RRULE"] || "").trim();
+            const endDate =
+              parseExcelDate(row["End Date"]) || (rrule ? null : startDate);
+
+            // "Full Day", "Before", "After" or "Time Range"
+            const typeText = String(row["Type"] || "").toLowerCase();
+            let type = "day";
+            if (typeText.includes("before")) type = "before";
+            else if (typeText.includes("after")) type = "after";
+            else if (typeText.includes("range") || typeText.includes("slot")) {
+              type = "slots";
+            }
+
+            const blackout = createBlackout({
+              type,
+              startDate: format(startDate, "yyyy-MM-dd"),
+              endDate: endDate ? format(endDate, "yyyy-MM-dd") : "",
+              time: normalizeTime(row["Time"]),
+              startTime: normalizeTime(row["Start Time"]),
+              endTime: normalizeTime(row["End Time"]),
+              label: String(row["Label"] || row["Reason"] || "").trim(),
+              rrule,
+            });
+
+            const error = validateBlackout(blackout);
+            if (error) {
+              // Row numbers as shown in Excel (header is row 1)
+              throw new Error(`Row ${index + 2}: ${error}`);
+            }
+            return blackout;
+          })
+          .filter(Boolean);
+
+        resolve(blackouts);
+      } catch (error) {
+        reject(new Error(`Failed to parse blackout file: ${error.message}`));
+      }
+    };
+
+    reader.onerror = () => {
+      reject(new Error("Failed to read file"));
+    };
+
+    reader.readAsArrayBuffer(file);
+  });
+};
+
+/**
+ * Parse resource registry Excel file
+ * Expects "Name" (or "Resource"), "Type", optional "Seats" (or "Capacity")
+ * and optional "Features" (comma separated, e.g. "recording, breakout rooms").
+ * @param {File} file - Excel file
+ * @returns {Promise<Array>} Array of resource objects
+ */
+export const parseResourceExcel = async (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+
+    reader.onload = (e) => {
+      try {
+        const data = new Uint8Array(e.target.result);
+        const workbook = XLSX.read(data, { type: "array" });
+
+        // Assume first sheet contains the resources
+        const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
+        const jsonData = XLSX.utils.sheet_to_json(firstSheet);
+
+        const resources = jsonData
+          .map((row, index) => {
+            const name = String(row["Name"] || row["Resource"] || "").trim();
+            if (!name) return null;
+
+            const resource = createResource({
+              name,
+              type: String(row["Type"] || "").trim(),
+              seats: parseInt(row["Seats"] || row["Capacity"]) || null,
+              features: parseFeatures(row["Features"]),
+            });
+
+            const error = validateResource(resource);
+            if (error) {
+              // Row numbers as shown in Excel (header is row 1)
+              throw new Error(`Row ${index + 2}: ${error}`);
+            }
+            return resource;
+          })
+          .filter(Boolean);
+
+        resolve(resources);
+      } catch (error) {
+        reject(new Error(`Failed to parse resource file: ${error.message}`));
+      }
+    };
+
+    reader.onerror = () => {
+      reject(new Error("Failed to read file"));
+    };
+
+    reader.readAsArrayBuffer(file);
+  });
+};
+
 /**
  * Generate output Excel with multiple organized tabs
  * @param {Array} scheduledSessions - Array of scheduled session objects
  * @param {Object} calendarData - Calendar grid data
  * @param {string} quarter - Quarter name
  * @param {number} year - Year
+ * @param {Object} scheduleInfo - Details of how the schedule was generated
+ * @param {Object} scheduleInfo.holidayCalendar - Holiday calendar used
+ * @param {string} scheduleInfo.displayTimeZone - Zone the session times are in
+ * @param {Object} scheduleInfo.optimization - Optimiser result vs the greedy baseline
+ * @param {Array} scheduleInfo.unscheduled - Instances that could not be placed
+ * @param {Array} scheduleInfo.preferences - Soft preferences the schedule was ranked by
+ * @param {number|null} scheduleInfo.seed - Seed that reproduces the schedule
  * @returns {Blob} Excel file blob
  */
 export const generateOutputExcel = (
   scheduledSessions,
   calendarData,
   quarter,
-  year
+  year,
+  scheduleInfo = {}
 ) => {
   const workbook = XLSX.utils.book_new();
 
   // Tab 1: Summary
-  const summarySheet = createSummarySheet(scheduledSessions, quarter, year);
+  const summarySheet = createSummarySheet(
+    scheduledSessions,
+    quarter,
+    year,
+    scheduleInfo
+  );
   XLSX.utils.book_append_sheet(workbook, summarySheet, "Summary");
 
   // Tab 2: By Course (grouped by course name)
@@ -130,6 +419,12 @@ export const generateOutputExcel = (
   const sessionSheet = createSessionListSheet(scheduledSessions);
   XLSX.utils.book_append_sheet(workbook, sessionSheet, "All Sessions");
 
+  // Tab 7: Instances that could not be placed, and why
+  if (scheduleInfo.unscheduled) {
+    const unscheduledSheet = createUnscheduledSheet(scheduleInfo.unscheduled);
+    XLSX.utils.book_append_sheet(workbook, unscheduledSheet, "Unscheduled");
+  }
+
   // Generate Excel file
   const excelBuffer = XLSX.write(workbook, { bookType: "xlsx", type: "array" });
   return new Blob([excelBuffer], {
@@ -142,9 +437,10 @@ export const generateOutputExcel = (
  * @param {Array} sessions - Array of scheduled sessions
  * @param {string} quarter - Quarter name
  * @param {number} year - Year
+ * @param {Object} scheduleInfo - Details of how the schedule was generated
  * @returns {Object} Worksheet object
  */
-const createSummarySheet = (sessions, quarter, year) => {
+const createSummarySheet = (sessions, quarter, year, scheduleInfo) => {
   const courseCount = new Set(sessions.map((s) => s.courseName)).size;
   const sessionsByDate = sessions.reduce((acc, s) => {
     const dateKey = format(s.date, "yyyy-MM-dd");
@@ -161,11 +457,39 @@ const createSummarySheet = (sessions, quarter, year) => {
     [""],
     ["Quarter", quarter],
     ["Year", `${year}`],
+    ...(scheduleInfo.displayTimeZone
+      ? [["Times Shown In", describeTimeZone(scheduleInfo.displayTimeZone)]]
+      : []),
     [""],
     ["Total Sessions Scheduled", sessions.length],
     ["Unique Courses", courseCount],
+    ["Course Instances (Cohorts)", groupInstances(sessions).length],
     ["Days with Sessions", Object.keys(sessionsByDate).length],
     ["Average Sessions per Day", avgSessionsPerDay.toFixed(1)],
+    [
+      "Sessions Skipped/Moved Around Blocked Weeks",
+      sessions.filter((s) => s.exception).length,
+    ],
+    ["Locked Sessions", sessions.filter((s) => s.locked).length],
+    ...(scheduleInfo.seed ? [["Seed", scheduleInfo.seed]] : []),
+    ...(scheduleInfo.optimization
+      ? [["Optimisation", describeOptimization(scheduleInfo.optimization)]]
+      : []),
+    ...(scheduleInfo.unscheduled
+      ? [["Instances Not Scheduled", scheduleInfo.unscheduled.length]]
+      : []),
+    ...(scheduleInfo.preferences?.length
+      ? [
+          [
+            "Total Preference Penalty",
+            sessions.reduce((sum, s) => sum + (s.preferencePenalty || 0), 0),
+          ],
+          [
+            "Sessions Missing a Preference",
+            sessions.filter((s) => s.preferencePenalty > 0).length,
+          ],
+        ]
+      : []),
     [""],
     ["Top 5 Most Scheduled Courses"],
     ["Course Name", "Session Count"],
@@ -186,49 +510,76 @@ const createSummarySheet = (sessions, quarter, year) => {
     data.push([course, count]);
   });
 
+  // Holiday calendar the schedule was generated with
+  if (scheduleInfo.holidayCalendar) {
+    data.push(
+      [""],
+      ["Holiday Calendar", scheduleInfo.holidayCalendar.description],
+      ["Date", "Holiday"]
+    );
+    scheduleInfo.holidayCalendar.holidays.forEach(({ dateKey, name }) => {
+      data.push([dateKey, name]);
+    });
+  }
+
   return XLSX.utils.aoa_to_sheet(data);
 };
 
 /**
- * Create by-course sheet (grouped by course name)
+ * Create by-course sheet (grouped by course name, then by instance)
  * @param {Array} sessions - Array of scheduled sessions
  * @returns {Object} Worksheet object
  */
 const createByCourseSheet = (sessions) => {
-  // Group sessions by course
-  const sessionsByCourse = sessions.reduce((acc, session) => {
-    if (!acc[session.courseName]) {
-      acc[session.courseName] = [];
+  // Group instances by course
+  const instancesByCourse = groupInstances(sessions).reduce((acc, instance) => {
+    if (!acc[instance.courseName]) {
+      acc[instance.courseName] = [];
     }
-    acc[session.courseName].push(session);
+    acc[instance.courseName].push(instance);
     return acc;
   }, {});
 
   const data = [
-    ["Course Name", "Date", "Day", "Session #", "Start Time", "End Time"],
+    [
+      "Course Name",
+      "Cohort",
+      "Instance Start",
+      "Instance End",
+      "Date",
+      "Day",
+      "Session #",
+      "Start Time",
+      "End Time",
+      "Locked",
+    ],
   ];
 
-  // Sort courses alphabetically
-  Object.keys(sessionsByCourse)
+  // Sort courses alphabetically; instances are in start date order
+  Object.keys(instancesByCourse)
     .sort()
     .forEach((courseName) => {
-      const courseSessions = sessionsByCourse[courseName].sort(
-        (a, b) => a.date - b.date
-      );
-
-      courseSessions.forEach((session, index) => {
-        data.push([
-          index === 0 ? courseName : "", // Only show course name on first row
-          format(session.date, "MM-dd-yyyy"),
-          format(session.date, "EEE"),
-          session.sessionNumber,
-          session.startTime,
-          session.endTime,
-        ]);
+      instancesByCourse[courseName].forEach((instance, instanceIndex) => {
+        instance.sessions.forEach((session, index) => {
+          data.push([
+            // Only show course name on its first row, and the instance
+            // details on the instance's first row
+            instanceIndex === 0 && index === 0 ? courseName : "",
+            index === 0 ? instance.cohortCode : "",
+            index === 0 ? format(instance.startDate, "MM-dd-yyyy") : "",
+            index === 0 ? format(instance.endDate, "MM-dd-yyyy") : "",
+            format(session.date, "MM-dd-yyyy"),
+            format(session.date, "EEE"),
+            session.sessionNumber,
+            session.startTime,
+            session.endTime,
+            session.locked ? "Yes" : "",
+          ]);
+        });
       });
 
       // Add blank row between courses
-      data.push(["", "", "", "", "", ""]);
+      data.push(["", "", "", "", "", "", "", "", "", ""]);
     });
 
   return XLSX.utils.aoa_to_sheet(data);
@@ -255,7 +606,9 @@ const createByMonthSheet = (sessions) => {
     return acc;
   }, {});
 
-  const data = [["Month", "Date", "Day", "Course Name", "Session #", "Time"]];
+  const data = [
+    ["Month", "Date", "Day", "Course Name", "Cohort", "Session #", "Time"],
+  ];
 
   // Sort months chronologically
   Object.keys(sessionsByMonth)
@@ -273,13 +626,14 @@ const createByMonthSheet = (sessions) => {
           format(session.date, "MM-dd"),
           format(session.date, "EEE"),
           session.courseName,
+          session.cohortCode || "",
           session.sessionNumber,
-          `${session.startTime} - ${session.endTime}`,
+          formatSessionTime(session),
         ]);
       });
 
       // Add blank row between months
-      data.push(["", "", "", "", "", ""]);
+      data.push(["", "", "", "", "", "", ""]);
     });
 
   return XLSX.utils.aoa_to_sheet(data);
@@ -308,7 +662,15 @@ const createByWeekSheet = (sessions) => {
   }, {});
 
   const data = [
-    ["Week Starting", "Date", "Day", "Course Name", "Session #", "Time"],
+    [
+      "Week Starting",
+      "Date",
+      "Day",
+      "Course Name",
+      "Cohort",
+      "Session #",
+      "Time",
+    ],
   ];
 
   // Sort weeks chronologically
@@ -327,13 +689,14 @@ const createByWeekSheet = (sessions) => {
           format(session.date, "MM-dd"),
           format(session.date, "EEE"),
           session.courseName,
+          session.cohortCode || "",
           session.sessionNumber,
-          `${session.startTime} - ${session.endTime}`,
+          formatSessionTime(session),
         ]);
       });
 
       // Add blank row between weeks
-      data.push(["", "", "", "", "", ""]);
+      data.push(["", "", "", "", "", "", ""]);
     });
 
   return XLSX.utils.aoa_to_sheet(data);
@@ -377,7 +740,14 @@ const createCalendarSheet = (calendarData) => {
           hasSessionInThisSlot = true;
         }
         row.push(
-          sessions.map((s) => `${s.course} (S${s.sessionNumber})`).join("\n")
+          sessions
+            .map(
+              (s) =>
+                `${s.course} (${s.cohortCode ? `${s.cohortCode}, ` : ""}S${
+                  s.sessionNumber
+                })`
+            )
+            .join("\n")
         );
       });
 
@@ -400,20 +770,70 @@ const createSessionListSheet = (sessions) => {
     "Date",
     "First Name",
     "Last Name",
+    "Email",
     "Session Number",
     "Course Name",
     "Start Time",
     "End Time",
+    "Resource",
+    "Exception",
+    "Locked",
+    "Preference Penalty",
+    "Unmet Preferences",
+    "Cohort",
+    "Instance ID",
+    "Instance Start",
+    "Instance End",
   ];
 
   const rows = sessions.map((session) => [
     format(session.date, "MM-dd-yyyy"),
     session.instructorFirstName || "",
     session.instructorLastName || "",
+    session.instructorEmail || "",
     session.sessionNumber,
     session.courseName,
     session.startTime,
     session.endTime,
+    session.resourceName || "",
+    session.exceptionNote || "",
+    session.locked ? "Yes" : "",
+    session.preferencePenalty || 0,
+    session.preferenceNote || "",
+    session.cohortCode || "",
+    session.instanceId || "",
+    session.instanceStartDate
+      ? format(session.instanceStartDate, "MM-dd-yyyy")
+      : "",
+    session.instanceEndDate
+      ? format(session.instanceEndDate, "MM-dd-yyyy")
+      : "",
+  ]);
+
+  const data = [headers, ...rows];
+  return XLSX.utils.aoa_to_sheet(data);
+};
+
+/**
+ * Create unscheduled-instance sheet
+ * @param {Array} unscheduled - Instances that could not be placed
+ * @returns {Object} Worksheet object
+ */
+const createUnscheduledSheet = (unscheduled) => {
+  const headers = [
+    "Course Name",
+    "Cohort",
+    "Cadence Date",
+    "Quarter",
+    "Reasons",
+  ];
+
+  const rows = unscheduled.map((entry) => [
+    entry.courseName,
+    entry.cohortCode || "",
+    format(entry.cadenceDate, "MM-dd-yyyy"),
+    entry.quarter,
+    describeUnscheduledReasons(entry),
   ]);
 
   const data = [headers, ...rows];
@@ -0,0 +1,346 @@
+/**
+ * Holiday Provider
+ * Pulls public holidays for one or more countries/regions from date-holidays
+ * and applies the user's per-day on/off choices
+ *
+ * Holidays falling on a weekend are moved to an observed weekday according to
+ * the observance rules (per holiday, or the default rule), and bridge days
+ * (e.g. the day after Thanksgiving) are added relative to the holiday.
+ * date-holidays' own substitute days are ignored in favour of these rules.
+ */
+
+import Holidays from "date-holidays";
+import { addDays, format } from "date-fns";
+import { getSpecialDatesForYear } from "./timeSlots";
+
+// Holiday types treated as "office closed"
+const CLOSED_HOLIDAY_TYPES = ["public", "bank"];
+
+// How a holiday on a weekend is observed
+export const OBSERVANCE_RULES = {
+  nearest: "Saturday to Friday, Sunday to Monday",
+  monday: "Following Monday",
+  friday: "Preceding Friday",
+  none: "Not observed on a weekday",
+};
+
+// Used until a calendar is picked in Settings
+export const DEFAULT_HOLIDAY_SETTINGS = {
+  calendars: [], // [{ country: "US", state: "" }], empty = built-in LEL holidays
+  disabledDates: [], // "yyyy-MM-dd" dates toggled off in Settings
+  observance: "nearest", // default rule (key of OBSERVANCE_RULES)
+  observanceByHoliday: {}, // { "Christmas Day": "monday" }
+  bridgeDays: [], // [{ holiday: "Thanksgiving", offset: 1 }]
+  // Days with no sessions starting at or after a time, every year
+  restrictedDates: [
+    { month: 4, day: 17, afterTime: "08:30", name: "", enabled: true },
+    { month: 5, day: 22, afterTime: "08:30", name: "", enabled: true },
+    { month: 6, day: 19, afterTime: "08:30", name: "", enabled: true },
+    {
+      month: 12,
+      day: 24,
+      afterTime: "13:00",
+      name: "Christmas Eve",
+      enabled: true,
+    },
+    {
+      month: 12,
+      day: 31,
+      afterTime: "13:00",
+      name: "New Year's Eve",
+      enabled: true,
+    },
+  ],
+};
+
+// date-holidays instances are expensive to build, so keep one per calendar
+const holidayInstances = new Map();
+
+/**
+ * Get (and cache) the date-holidays instance for a calendar
+ * @param {Object} calendar - { country, state }
+ * @returns {Holidays} date-holidays instance
+ */
+const getHolidayInstance = (calendar) => {
+  const key = `${calendar.country}-${calendar.state || ""}`;
+  if (!holidayInstances.has(key)) {
+    holidayInstances.set(
+      key,
+      calendar.state
+        ? new Holidays(calendar.country, calendar.state)
+        : new Holidays(calendar.country)
+    );
+  }
+  return holidayInstances.get(key);
+};
+
+/**
+ * Get country options for a dropdown
+ * @returns {Array} Array of { value, label } sorted by label
+ */
+export const getCountryOptions = () => {
+  const countries = new Holidays().getCountries() || {};
+  return Object.entries(countries)
+    .map(([value, label]) => ({ value, label }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+};
+
+/**
+ * Get state/region options for a country
+ * @param {string} country - Country code (e.g. "US")
+ * @returns {Array} Array of { value, label } (empty if the country has none)
+ */
+export const getStateOptions = (country) => {
+  if (!country) return [];
+  const states = new Holidays().getStates(country) || {};
+  return Object.entries(states)
+    .map(([value, label]) => ({ value, label }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+};
+
+/**
+ * Get a display label for a calendar
+ * @param {Object} calendar - { country, state }
+ * @returns {string} Label, e.g. "United Kingdom - England"
+ */
+export const getCalendarLabel = (calendar) => {
+  const countries = new Holidays().getCountries() || {};
+  const countryLabel = countries[calendar.country] || calendar.country;
+  if (!calendar.state) return countryLabel;
+
+  const states = new Holidays().getStates(calendar.country) || {};
+  return `${countryLabel} - ${states[calendar.state] || calendar.state}`;
+};
+
+/**
+ * Describe the holiday calendar(s) a schedule was generated with
+ * @param {Object} settings - Holiday settings
+ * @returns {string} Description
+ */
+export const describeHolidayCalendar = (settings = DEFAULT_HOLIDAY_SETTINGS) => {
+  const calendars = settings.calendars.length
+    ? settings.calendars.map(getCalendarLabel).join("; ")
+    : "Built-in LEL holidays (New Year's Day, Fourth of July, Thanksgiving, Christmas)";
+  const observance = OBSERVANCE_RULES[settings.observance || "nearest"];
+  const restricted = (settings.restrictedDates || [])
+    .filter((restriction) => restriction.enabled)
+    .map(
+      ({ month, day, afterTime }) =>
+        `${String(month).padStart(2, "0")}-${String(day).padStart(
+          2,
+          "0"
+        )} after ${afterTime}`
+    );
+  return `${calendars}. Weekend holidays observed: ${observance}${
+    restricted.length ? `. No sessions on ${restricted.join(", ")}` : ""
+  }`;
+};
+
+/**
+ * Get the closed days from one calendar for a year, without observed or bridge days
+ * @param {Object|null} calendar - { country, state }, or null for the built-in holidays
+ * @param {number} year - Calendar year
+ * @returns {Array} Array of { date, name } sorted by date
+ */
+const getCalendarHolidays = (calendar, year) => {
+  if (!calendar) return getSpecialDatesForYear(year).noSessionDates;
+
+  return (getHolidayInstance(calendar).getHolidays(year) || [])
+    .filter(
+      (holiday) =>
+        CLOSED_HOLIDAY_TYPES.includes(holiday.type) && !holiday.substitute
+    )
+    .map((holiday) => {
+      // holiday.date is "yyyy-MM-dd HH:mm:ss" in the calendar's local time
+      const [y, m, d] = holiday.date.slice(0, 10).split("-").map(Number);
+      return { date: new Date(y, m - 1, d), name: holiday.name };
+    })
+    .sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Find the weekday a weekend holiday is observed on
+ * Skips weekends and days already closed, moving in the rule's direction.
+ * @param {Date} date - Holiday date
+ * @param {string} rule - Observance rule (key of OBSERVANCE_RULES)
+ * @param {Set<string>} closedKeys - Date keys already closed in this calendar
+ * @returns {Date|null} Observed date, or null if not moved
+ */
+const getObservedDate = (date, rule, closedKeys) => {
+  const day = date.getDay();
+  if ((day !== 0 && day !== 6) || rule === "none") return null;
+
+  let step = 1;
+  if (rule === "friday" || (rule === "nearest" && day === 6)) step = -1;
+
+  let observed = addDays(date, step);
+  while (
+    observed.getDay() === 0 ||
+    observed.getDay() === 6 ||
+    closedKeys.has(format(observed, "yyyy-MM-dd"))
+  ) {
+    observed = addDays(observed, step);
+  }
+  return observed;
+};
+
+/**
+ * Get a calendar's closed days for a year, including observed and bridge days
+ * Holidays from the neighbouring years are included so an observed day can
+ * cross New Year (e.g. New Year's Day on a Saturday closes Friday December 31).
+ * @param {Object|null} calendar - { country, state }, or null for the built-in holidays
+ * @param {number} year - Calendar year
+ * @param {Object} settings - Holiday settings
+ * @returns {Array} Array of { date, name, kind } ("holiday", "observed" or "bridge")
+ */
+const getClosedDays = (calendar, year, settings) => {
+  const {
+    observance = "nearest",
+    observanceByHoliday = {},
+    bridgeDays = [],
+  } = settings;
+  const holidays = [year - 1, year, year + 1].flatMap((calendarYear) =>
+    getCalendarHolidays(calendar, calendarYear)
+  );
+  const closedKeys = new Set(
+    holidays.map(({ date }) => format(date, "yyyy-MM-dd"))
+  );
+  const closedDays = holidays.map((holiday) => ({
+    ...holiday,
+    kind: "holiday",
+  }));
+
+  holidays.forEach(({ date, name }) => {
+    const observed = getObservedDate(
+      date,
+      observanceByHoliday[name] || observance,
+      closedKeys
+    );
+    if (observed) {
+      closedKeys.add(format(observed, "yyyy-MM-dd"));
+      closedDays.push({
+        date: observed,
+        name: `${name} (observed)`,
+        kind: "observed",
+      });
+    }
+
+    bridgeDays
+      .filter(
+        (bridge) =>
+          bridge.holiday &&
+          name.toLowerCase().includes(bridge.holiday.toLowerCase())
+      )
+      .forEach((bridge) => {
+        closedDays.push({
+          date: addDays(date, bridge.offset),
+          name: `${name} (bridge day)`,
+          kind: "bridge",
+        });
+      });
+  });
+
+  return closedDays.filter(({ date }) => date.getFullYear() === year);
+};
+
+/**
+ * Get every holiday in a year, including ones toggled off
+ * Holidays shared by several calendars are merged into one entry per date.
+ * @param {number} year - Calendar year
+ * @param {Object} settings - Holiday settings
+ * @returns {Array} Array of { dateKey, date, name, holidayNames, kind, calendars, enabled } sorted by date
+ */
+export const getHolidaysForYear = (
+  year,
+  settings = DEFAULT_HOLIDAY_SETTINGS
+) => {
+  const byDate = new Map();
+
+  const addHoliday = ({ date, name, kind }, calendarLabel) => {
+    const dateKey = format(date, "yyyy-MM-dd");
+    const existing = byDate.get(dateKey);
+    if (existing) {
+      if (!existing.names.includes(name)) existing.names.push(name);
+      if (!existing.calendars.includes(calendarLabel)) {
+        existing.calendars.push(calendarLabel);
+      }
+      // An actual holiday outranks an observed or bridge day on the same date
+      if (kind === "holiday") existing.kind = kind;
+      return;
+    }
+    byDate.set(dateKey, {
+      dateKey,
+      date,
+      names: [name],
+      kind,
+      calendars: [calendarLabel],
+    });
+  };
+
+  if (!settings.calendars.length) {
+    getClosedDays(null, year, settings).forEach((closedDay) =>
+      addHoliday(closedDay, "Built-in")
+    );
+  } else {
+    settings.calendars.forEach((calendar) => {
+      const label = getCalendarLabel(calendar);
+      getClosedDays(calendar, year, settings).forEach((closedDay) =>
+        addHoliday(closedDay, label)
+      );
+    });
+  }
+
+  return [...byDate.values()]
+    .sort((a, b) => a.date - b.date)
+    .map(({ names, ...holiday }) => ({
+      ...holiday,
+      name: names.join(" / "),
+      holidayNames: names,
+      enabled: !settings.disabledDates.includes(holiday.dateKey),
+    }));
+};
+
+/**
+ * Build the holiday lookup used by the schedule engine
+ * @param {Array<number>} years - Calendar years being scheduled
+ * @param {Object} settings - Holiday settings
+ * @returns {Map} Enabled holiday names by date key (yyyy-MM-dd)
+ */
+export const getHolidayMap = (years, settings = DEFAULT_HOLIDAY_SETTINGS) => {
+  const holidays = new Map();
+  years.forEach((year) => {
+    getHolidaysForYear(year, settings)
+      .filter((holiday) => holiday.enabled)
+      .forEach((holiday) => holidays.set(holiday.dateKey, holiday.name));
+  });
+  return holidays;
+};
+
+/**
+ * Build the restricted-date lookup used by the schedule engine
+ * @param {Array<number>} years - Calendar years being scheduled
+ * @param {Object} settings - Holiday settings
+ * @returns {Map} Time (HH:MM) from which no session may start, by date key
+ * (yyyy-MM-dd); the earliest time wins when a date is listed twice
+ */
+export const getRestrictionMap = (
+  years,
+  settings = DEFAULT_HOLIDAY_SETTINGS
+) => {
+  const restrictions = new Map();
+  (settings.restrictedDates || [])
+    .filter((restriction) => restriction.enabled && restriction.afterTime)
+    .forEach(({ month, day, afterTime }) => {
+      years.forEach((year) => {
+        const date = new Date(year, month - 1, day);
+        // Skip days the month doesn't have (e.g. February 30)
+        if (date.getMonth() !== month - 1) return;
+        const dateKey = format(date, "yyyy-MM-dd");
+        const existing = restrictions.get(dateKey);
+        if (!existing || afterTime < existing) {
+          restrictions.set(dateKey, afterTime);
+        }
+      });
+    });
+  return restrictions;
+};
@@ -0,0 +1,168 @@
+/**
+ * Instructor Utilities
+ * Parses roster data and assigns qualified, available instructors to course instances
+ */
+
+import { DAY_NAMES, timeToMinutes, normalizeDayName } from "./timeSlots";
+import {
+  createBookingLedger,
+  isFreeForSessions,
+  pickLeastAssigned,
+  recordBooking,
+} from "./bookingLedger";
+
+// Roster value that qualifies an instructor for every course
+const ALL_COURSES = "all";
+
+/**
+ * Parse time ranges such as "09:00-12:00, 14:00-17:30"
+ * @param {string} text - Range text
+ * @returns {Array} Array of { start, end } ranges
+ */
+const parseTimeRanges = (text) => {
+  const ranges = [];
+  const pattern = /(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    ranges.push({
+      start: `${match[1].padStart(2, "0")}:${match[2]}`,
+      end: `${match[3].padStart(2, "0")}:${match[4]}`,
+    });
+  }
+
+  return ranges;
+};
+
+/**
+ * Parse a weekly availability description
+ * Accepts entries like "Mon 09:00-17:00; Wed 06:00-12:00, 14:00-16:00".
+ * A weekday listed without times means the whole day.
+ * @param {string} text - Availability text
+ * @returns {Object|null} Map of day name to time ranges, or null when blank
+ */
+export const parseAvailability = (text) => {
+  if (!text || !String(text).trim()) return null;
+
+  const availability = {};
+
+  String(text)
+    .split(/[;\n]/)
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const [dayToken] = entry.split(/[\s:]+/);
+      const dayName = normalizeDayName(dayToken);
+      if (!dayName) return;
+
+      const ranges = parseTimeRanges(entry.slice(dayToken.length));
+      availability[dayName] = [
+        ...(availability[dayName] || []),
+        ...(ranges.length > 0 ? ranges : [{ start: "00:00", end: "24:00" }]),
+      ];
+    });
+
+  return Object.keys(availability).length > 0 ? availability : null;
+};
+
+/**
+ * Split a qualified-courses cell into normalized course titles
+ * @param {string} text - Comma, semicolon or newline separated course titles
+ * @returns {Array<string>} Lower-cased course titles
+ */
+export const parseQualifiedCourses = (text) => {
+  if (!text) return [];
+
+  return String(text)
+    .split(/[,;\n]/)
+    .map((title) => title.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+/**
+ * Build an instructor pool used by the schedule engine
+ * @param {Array} instructors - Instructors parsed from the roster file
+ * @returns {Object} Pool with instructors and booking state (a booking ledger)
+ */
+export const createInstructorPool = (instructors = []) => ({
+  instructors,
+  ...createBookingLedger(),
+});
+
+/**
+ * Check whether an instructor is qualified to teach a course
+ * @param {Object} instructor - Instructor object
+ * @param {string} courseTitle - Course title
+ * @returns {boolean} True if qualified
+ */
+export const isQualifiedFor = (instructor, courseTitle) => {
+  const title = courseTitle.trim().toLowerCase();
+  return instructor.courses.some(
+    (course) => course === ALL_COURSES || course === title
+  );
+};
+
+/**
+ * Check whether an instructor's weekly availability covers a time range
+ * @param {Object} instructor - Instructor object
+ * @param {string} dayOfWeek - Day name
+ * @param {string} startTime - Start time (HH:MM format)
+ * @param {string} endTime - End time (HH:MM format)
+ * @returns {boolean} True if available
+ */
+export const isAvailableAt = (instructor, dayOfWeek, startTime, endTime) => {
+  // No availability given in the roster means the instructor can teach any slot
+  if (!instructor.availability) return true;
+
+  const ranges = instructor.availability[dayOfWeek] || [];
+  return ranges.some(
+    (range) =>
+      timeToMinutes(range.start) <= timeToMinutes(startTime) &&
+      timeToMinutes(endTime) <= timeToMinutes(range.end)
+  );
+};
+
+/**
+ * Get instructors in the pool qualified for a course
+ * @param {Object} pool - Instructor pool
+ * @param {Object} course - Course object
+ * @returns {Array} Qualified instructors
+ */
+export const getQualifiedInstructors = (pool, course) =>
+  pool.instructors.filter((instructor) =>
+    isQualifiedFor(instructor, course.title)
+  );
+
+/**
+ * Find a qualified instructor free for every session of an instance
+ * Prefers the instructor with the fewest instances assigned so far.
+ * @param {Object} pool - Instructor pool
+ * @param {Object} course - Course object
+ * @param {Array} sessions - Sessions of the instance (date, startTime, endTime)
+ * @returns {Object|null} Instructor or null if nobody is free
+ */
+export const findAvailableInstructor = (pool, course, sessions) => {
+  const candidates = getQualifiedInstructors(pool, course).filter(
+    (instructor) =>
+      sessions.every((session) =>
+        isAvailableAt(
+          instructor,
+          DAY_NAMES[session.date.getDay()],
+          session.startTime,
+          session.endTime
+        )
+      ) && isFreeForSessions(pool, instructor.id, sessions)
+  );
+
+  return pickLeastAssigned(pool, candidates);
+};
+
+/**
+ * Record an instructor as teaching every session of an instance
+ * @param {Object} pool - Instructor pool
+ * @param {Object} instructor - Instructor object
+ * @param {Array} sessions - Sessions of the instance
+ */
+export const bookInstructor = (pool, instructor, sessions) => {
+  recordBooking(pool, instructor.id, sessions);
+};
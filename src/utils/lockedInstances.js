@@ -0,0 +1,108 @@
+/**
+ * Locked Instances
+ * Course instances agreed with facilitators that regeneration must not move
+ *
+ * An instance is identified by its course and the cadence date it serves
+ * (every scheduled session carries `cadenceDate`). Locked instances are kept
+ * in plain, JSON-serialisable form, with dates as "yyyy-MM-dd" keys, so they
+ * can be saved with the other settings:
+ *   { key, courseName, cadenceDate, sessions: [{ date, sessionNumber,
+ *     startTime, endTime, instructor..., resource..., exception... }] }
+ *
+ * The engine pre-seeds them into the availability grid, the course history
+ * and the instructor and resource bookings, then places everything else
+ * around them.
+ */
+
+import { format, parseISO } from "date-fns";
+
+// Session fields kept with a locked instance
+const LOCKED_FIELDS = [
+  "instanceId",
+  "cohortCode",
+  "sessionNumber",
+  "startTime",
+  "endTime",
+  "instructorId",
+  "instructorFirstName",
+  "instructorLastName",
+  "instructorEmail",
+  "resourceId",
+  "resourceName",
+  "exception",
+  "exceptionNote",
+];
+
+/**
+ * Get the key of the instance a session belongs to
+ * @param {Object} session - Scheduled session (with cadenceDate)
+ * @returns {string} "Course name|yyyy-MM-dd"
+ */
+export const getInstanceKey = (session) =>
+  `${session.courseName}|${format(session.cadenceDate, "yyyy-MM-dd")}`;
+
+/**
+ * Lock an instance
+ * @param {Array} sessions - Every session of the instance
+ * @returns {Object} Locked instance (serialisable)
+ */
+export const createLockedInstance = (sessions) => ({
+  key: getInstanceKey(sessions[0]),
+  courseName: sessions[0].courseName,
+  cadenceDate: format(sessions[0].cadenceDate, "yyyy-MM-dd"),
+  sessions: [...sessions]
+    .sort((a, b) => a.sessionNumber - b.sessionNumber)
+    .map((session) => ({
+      date: format(session.date, "yyyy-MM-dd"),
+      ...Object.fromEntries(
+        LOCKED_FIELDS.filter((field) => session[field] !== undefined).map(
+          (field) => [field, session[field]]
+        )
+      ),
+    })),
+});
+
+/**
+ * Turn locked instances back into scheduled sessions
+ * @param {Array} lockedInstances - Locked instances
+ * @returns {Array} Sessions with Date fields, flagged `locked`
+ */
+export const expandLockedInstances = (lockedInstances = []) =>
+  lockedInstances.flatMap((instance) =>
+    instance.sessions.map((session) => ({
+      instanceId: instance.key,
+      instructorFirstName: "",
+      instructorLastName: "",
+      instructorEmail: "",
+      resourceId: "",
+      resourceName: "",
+      ...session,
+      date: parseISO(session.date),
+      courseName: instance.courseName,
+      cadenceDate: parseISO(instance.cadenceDate),
+      locked: true,
+    }))
+  );
+
+/**
+ * Lock or unlock the instance a session belongs to
+ * @param {Array} lockedInstances - Locked instances
+ * @param {Object} session - Any session of the instance
+ * @param {Array} scheduledSessions - Every scheduled session (to find the
+ * instance's other sessions)
+ * @returns {Array} Updated locked instances
+ */
+export const toggleInstanceLock = (
+  lockedInstances,
+  session,
+  scheduledSessions
+) => {
+  const key = getInstanceKey(session);
+  if (lockedInstances.some((instance) => instance.key === key)) {
+    return lockedInstances.filter((instance) => instance.key !== key);
+  }
+  const sessions = scheduledSessions.filter(
+    (candidate) => candidate.cadenceDate && getInstanceKey(candidate) === key
+  );
+  return [...lockedInstances, createLockedInstance(sessions)];
+};
@@ -0,0 +1,312 @@
+/**
+ * Move Validation
+ * Checks a manual move of a session, or of a whole instance, against the
+ * scheduling rules before it is applied
+ *
+ * A move shifts each session's date and, when dropped on a slot of the week
+ * or day view, its start time. Checking a target is quick: the availability
+ * grid without the moving sessions is built once when the drag starts
+ * (createMoveChecker), then every hovered day or slot is checked against it.
+ *
+ * The checks are the schedule engine's own: the grid already leaves out
+ * holidays, restricted times, blackouts and full slots, the engine finds the
+ * slots a session would run through, and its cadence rules compare the
+ * instance with every other instance of the course. Added here: the weekly
+ * sequence of the instance's sessions.
+ */
+
+import { addDays, differenceInCalendarDays, format } from "date-fns";
+import {
+  UNSCHEDULED_REASONS,
+  buildAvailabilityGrid,
+  findAllowedSessionSlots,
+  breaksSameWeekday,
+  breaksTimeGap,
+} from "./scheduleEngine";
+import {
+  WEEKLY_SCHEDULE,
+  DAY_NAMES,
+  timeToMinutes,
+  minutesToTime,
+} from "./timeSlots";
+import { getHolidayMap, DEFAULT_HOLIDAY_SETTINGS } from "./holidayProvider";
+import {
+  resolveCourseConstraints,
+  isSlotAllowed,
+  isDateAllowed,
+} from "./courseConstraints";
+import { getInstanceKey } from "./lockedInstances";
+import { getTemplateTimeZone } from "./timeZones";
+
+export const MOVE_MODES = {
+  session: "Session",
+  instance: "Whole instance",
+};
+
+export const MOVE_VIOLATIONS = {
+  HOLIDAY: "Holiday",
+  NO_SLOT: "No slot at that time (restricted, blackout or slot template)",
+  SLOT_TAKEN: UNSCHEDULED_REASONS.SLOT_TAKEN,
+  NO_CONTIGUOUS_SLOTS: UNSCHEDULED_REASONS.NO_CONTIGUOUS_SLOTS,
+  SAME_WEEKDAY: UNSCHEDULED_REASONS.SAME_WEEKDAY,
+  TIME_GAP: UNSCHEDULED_REASONS.TIME_GAP,
+  COURSE_WINDOW: UNSCHEDULED_REASONS.COURSE_WINDOW,
+  AVOIDED_MONTH: UNSCHEDULED_REASONS.AVOIDED_MONTH,
+  AUDIENCE_HOURS: UNSCHEDULED_REASONS.AUDIENCE_HOURS,
+  SEQUENCE: "Breaks the weekly sequence of the instance",
+};
+
+/**
+ * Check whether two sessions are the same (the same instance and number)
+ * @param {Object} a - Session
+ * @param {Object} b - Session
+ * @returns {boolean} True if the same session
+ */
+const isSameSession = (a, b) =>
+  a.courseName === b.courseName &&
+  a.sessionNumber === b.sessionNumber &&
+  a.date.getTime() === b.date.getTime() &&
+  a.startTime === b.startTime;
+
+/**
+ * Get the sessions that move together
+ * @param {Array} scheduledSessions - Every scheduled session
+ * @param {Object} session - Dragged session
+ * @param {string} mode - Key of MOVE_MODES
+ * @returns {Array} The session, or every session of its instance
+ */
+export const getMovingSessions = (scheduledSessions, session, mode) =>
+  mode === "instance" && session.cadenceDate
+    ? scheduledSessions.filter(
+        (candidate) =>
+          candidate.cadenceDate &&
+          getInstanceKey(candidate) === getInstanceKey(session)
+      )
+    : scheduledSessions.filter((candidate) =>
+        isSameSession(candidate, session)
+      );
+
+/**
+ * Count the Monday-Sunday weeks between two dates
+ * @param {Date} from - Earlier date
+ * @param {Date} to - Later date
+ * @returns {number} Weeks apart (0 = same week)
+ */
+const weeksBetween = (from, to) => {
+  const monday = (date) => addDays(date, -((date.getDay() + 6) % 7));
+  return Math.round(differenceInCalendarDays(monday(to), monday(from)) / 7);
+};
+
+/**
+ * Prepare to check moves of a session or instance
+ * @param {Array} scheduledSessions - Every scheduled session
+ * @param {Array} moving - Sessions that move together (getMovingSessions)
+ * @param {Object} dragged - The session being dragged
+ * @param {number} year - Year of the schedule
+ * @param {Object} options - Options the schedule was generated with (see
+ * generateSchedule)
+ * @param {Array} courses - Courses from the cadence file (for their rules)
+ * @returns {Function} (targetDate, targetTime) => { moves, violations } where
+ * moves are { session, date, startTime, endTime } and violations
+ * { code, label } (empty if allowed); without a target time the sessions
+ * keep their start times
+ */
+export const createMoveChecker = (
+  scheduledSessions,
+  moving,
+  dragged,
+  year,
+  options = {},
+  courses = []
+) => {
+  const others = scheduledSessions.filter(
+    (session) => !moving.some((candidate) => isSameSession(candidate, session))
+  );
+  const grid = buildAvailabilityGrid(year, options, others);
+  const holidays = getHolidayMap(
+    [year],
+    options.holidaySettings || DEFAULT_HOLIDAY_SETTINGS
+  );
+
+  const course = courses.find(
+    (candidate) => candidate.title === dragged.courseName
+  ) || { title: dragged.courseName };
+  // The same defaults the engine resolves with, slot times in the home zone
+  const constraints = resolveCourseConstraints(course, {
+    ...(options.sequencePolicy || {}),
+    timeZone: getTemplateTimeZone(options.slotTemplate || WEEKLY_SCHEDULE),
+  });
+
+  // The course's other instances, by their first session
+  const instanceStarts = new Map();
+  others
+    .filter(
+      (session) =>
+        session.courseName === dragged.courseName && session.cadenceDate
+    )
+    .forEach((session) => {
+      const key = getInstanceKey(session);
+      const start = instanceStarts.get(key);
+      if (!start || session.date < start.date) instanceStarts.set(key, session);
+    });
+
+  // The rest of the dragged instance stays where it is
+  const instanceSessions = dragged.cadenceDate
+    ? others.filter(
+        (session) =>
+          session.cadenceDate &&
+          getInstanceKey(session) === getInstanceKey(dragged)
+      )
+    : [];
+
+  return (targetDate, targetTime = null) => {
+    const offset = differenceInCalendarDays(targetDate, dragged.date);
+    const moves = moving.map((session) => {
+      const startTime = targetTime || session.startTime;
+      const length =
+        timeToMinutes(session.endTime) - timeToMinutes(session.startTime);
+      return {
+        session,
+        date: addDays(session.date, offset),
+        startTime,
+        endTime: minutesToTime(timeToMinutes(startTime) + length),
+      };
+    });
+    const violations = new Map();
+    const note = (code, detail) => {
+      if (!violations.has(code)) {
+        violations.set(code, {
+          code,
+          label: detail
+            ? `${MOVE_VIOLATIONS[code]}: ${detail}`
+            : MOVE_VIOLATIONS[code],
+        });
+      }
+    };
+
+    moves.forEach(({ date, startTime, endTime }) => {
+      const dateKey = format(date, "yyyy-MM-dd");
+      const dayOfWeek = DAY_NAMES[date.getDay()];
+      if (holidays.has(dateKey)) note("HOLIDAY", holidays.get(dateKey));
+      if (!isSlotAllowed(constraints, dayOfWeek, startTime)) {
+        note("COURSE_WINDOW");
+      }
+      if (!isDateAllowed(constraints, date)) {
+        note("AVOIDED_MONTH");
+        return;
+      }
+
+      // The slots the engine would book for a session of this length
+      const dayData = grid.get(dateKey);
+      const reasons = new Map();
+      const slots = findAllowedSessionSlots(
+        dayData,
+        date,
+        startTime,
+        {
+          ...course,
+          duration: timeToMinutes(endTime) - timeToMinutes(startTime),
+        },
+        constraints,
+        reasons
+      );
+      if (slots) return;
+      if (!dayData?.slots.some((slot) => slot.start === startTime)) {
+        if (!holidays.has(dateKey)) note("NO_SLOT");
+      } else {
+        // Why the engine turned the slot down: taken, too short or out of
+        // audience hours
+        note([...reasons.keys()][0] || "SLOT_TAKEN");
+      }
+    });
+
+    // The instance as it would be after the move, in session order
+    const instance = [
+      ...instanceSessions.map((session) => ({
+        session,
+        date: session.date,
+        startTime: session.startTime,
+      })),
+      ...moves,
+    ].sort((a, b) => a.session.sessionNumber - b.session.sessionNumber);
+    const first = instance[0];
+
+    if (first && first.session.cadenceDate) {
+      // Every other instance, in the shape of the engine's course history
+      // (the engine checks against all of them, whichever was placed first)
+      const history = [...instanceStarts.values()]
+        .filter(
+          (session) => getInstanceKey(session) !== getInstanceKey(first.session)
+        )
+        .map((session) => ({
+          dayOfWeek: DAY_NAMES[session.date.getDay()],
+          startTime: session.startTime,
+        }));
+      if (
+        breaksSameWeekday(constraints, history, DAY_NAMES[first.date.getDay()])
+      ) {
+        note("SAME_WEEKDAY");
+      }
+      if (breaksTimeGap(history, first.startTime)) note("TIME_GAP");
+    }
+
+    // Sessions must stay in order, one per week; "skip" allows blocked weeks
+    // in between and "move" a second session in the same week
+    let skipped = 0;
+    instance.slice(1).forEach(({ date }, index) => {
+      const weeks = weeksBetween(instance[index].date, date);
+      const sameWeekAllowed =
+        constraints.sequenceMode === "move" && weeks === 0;
+      if (date <= instance[index].date || (weeks < 1 && !sameWeekAllowed)) {
+        note("SEQUENCE");
+      } else if (weeks > 1) {
+        skipped += weeks - 1;
+      }
+    });
+    const allowedSkips =
+      constraints.sequenceMode === "skip" ? constraints.maxSkips : 0;
+    if (skipped > allowedSkips) note("SEQUENCE");
+
+    return { moves, violations: [...violations.values()] };
+  };
+};
+
+/**
+ * Check whether a move leaves every session where it is
+ * @param {Array} moves - { session, date, startTime } from a move checker
+ * @returns {boolean} True if nothing changes
+ */
+export const isEmptyMove = (moves) =>
+  moves.every(
+    ({ session, date, startTime }) =>
+      session.date.getTime() === date.getTime() &&
+      session.startTime === startTime
+  );
+
+/**
+ * Apply a move to the schedule
+ * Moved sessions are flagged as moved by hand, like sessions the scheduler
+ * moves around a blocked week.
+ * @param {Array} scheduledSessions - Every scheduled session
+ * @param {Array} moves - { session, date, startTime, endTime } from a move
+ * checker
+ * @returns {Array} Updated sessions (not re-sorted)
+ */
+export const applyMove = (scheduledSessions, moves) =>
+  scheduledSessions.map((session) => {
+    const move = moves.find((candidate) =>
+      isSameSession(candidate.session, session)
+    );
+    if (!move || isEmptyMove([move])) return session;
+    return {
+      ...session,
+      date: move.date,
+      startTime: move.startTime,
+      endTime: move.endTime,
+      exception: "moved",
+      exceptionNote: `Moved by hand from ${format(
+        session.date,
+        "EEE MM-dd"
+      )} ${session.startTime}`,
+    };
+  });
@@ -0,0 +1,144 @@
+/**
+ * Preferences
+ * Weighted soft rules that rank slots instead of excluding them
+ *
+ * A preference matches a slot when the slot's weekday is one of `days`, its
+ * time band (see slotStrategy.js) is one of `bands` and it starts at
+ * `startTime`; an empty field matches anything. An "avoid" preference costs
+ * its weight when it matches, a "prefer" preference when it doesn't. A
+ * preference with a `titleMatch` applies only to courses whose title contains
+ * it; without one it applies to every course.
+ *
+ * Examples:
+ *   "prefer mornings for leadership courses"
+ *     { mode: "prefer", bands: ["Morning"], titleMatch: "leadership" }
+ *   "avoid Fridays if possible"
+ *     { mode: "avoid", days: ["FRIDAY"] }
+ *   "avoid Monday 06:00"
+ *     { mode: "avoid", days: ["MONDAY"], startTime: "06:00" }
+ */
+
+import { TIME_BANDS, getTimeBand } from "./slotStrategy";
+
+export const PREFERENCE_MODES = {
+  prefer: "Prefer",
+  avoid: "Avoid",
+};
+
+export const MAX_PREFERENCE_WEIGHT = 10;
+
+/**
+ * Create a preference with a unique id
+ * @param {Object} fields - { mode, days, bands, startTime, titleMatch, weight }
+ * @returns {Object} Preference object
+ */
+export const createPreference = (fields) => ({
+  id: `preference-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  mode: "avoid",
+  startTime: "",
+  titleMatch: "",
+  weight: 1,
+  ...fields,
+  days: fields.days || [],
+  bands: fields.bands || [],
+});
+
+/**
+ * Check a preference for missing or inconsistent fields
+ * @param {Object} preference - Preference object
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validatePreference = (preference) => {
+  if (!PREFERENCE_MODES[preference.mode]) {
+    return `Unknown preference mode "${preference.mode}"`;
+  }
+  if (
+    preference.days.length === 0 &&
+    preference.bands.length === 0 &&
+    !preference.startTime
+  ) {
+    return "Choose at least one day, time of day or start time";
+  }
+  if (preference.startTime && !/^\d{2}:\d{2}$/.test(preference.startTime)) {
+    return "The start time must be HH:MM";
+  }
+  const unknownBand = preference.bands.find(
+    (band) => !TIME_BANDS.some(({ name }) => name === band)
+  );
+  if (unknownBand) {
+    return `Unknown time of day "${unknownBand}"`;
+  }
+  if (
+    !Number.isInteger(preference.weight) ||
+    preference.weight < 1 ||
+    preference.weight > MAX_PREFERENCE_WEIGHT
+  ) {
+    return `The weight must be a whole number from 1 to ${MAX_PREFERENCE_WEIGHT}`;
+  }
+  return null;
+};
+
+/**
+ * Describe a preference, e.g. "Avoid Monday 06:00 (all courses)"
+ * @param {Object} preference - Preference object
+ * @returns {string} Description
+ */
+export const describePreference = (preference) => {
+  const days = preference.days
+    .map((day) => day.charAt(0) + day.slice(1).toLowerCase())
+    .join("/");
+  const bands = preference.bands.map((band) => band.toLowerCase()).join("/");
+  const when = [days, bands, preference.startTime].filter(Boolean).join(" ");
+  const scope = preference.titleMatch
+    ? `courses matching "${preference.titleMatch}"`
+    : "all courses";
+  return `${PREFERENCE_MODES[preference.mode]} ${when} (${scope})`;
+};
+
+/**
+ * Get the preferences that apply to a course
+ * @param {Array} preferences - All preferences
+ * @param {Object} course - Course object
+ * @returns {Array} Preferences for the course
+ */
+export const getCoursePreferences = (preferences = [], course) => {
+  const title = course.title.toLowerCase();
+  return preferences.filter(
+    (preference) =>
+      !preference.titleMatch ||
+      title.includes(preference.titleMatch.trim().toLowerCase())
+  );
+};
+
+/**
+ * Check whether a preference matches a slot
+ * @param {Object} preference - Preference object
+ * @param {string} dayOfWeek - Day name
+ * @param {string} startTime - Start time (HH:MM format)
+ * @returns {boolean} True if every given field matches
+ */
+const matchesSlot = (preference, dayOfWeek, startTime) =>
+  (preference.days.length === 0 || preference.days.includes(dayOfWeek)) &&
+  (preference.bands.length === 0 ||
+    preference.bands.includes(getTimeBand(startTime))) &&
+  (!preference.startTime || preference.startTime === startTime);
+
+/**
+ * Score a slot against a course's preferences
+ * @param {Array} preferences - Preferences for the course
+ * @param {string} dayOfWeek - Day name
+ * @param {string} startTime - Start time (HH:MM format)
+ * @returns {Object} { penalty, unmet } - total weight of the preferences the
+ * slot does not meet, and those preferences
+ */
+export const scoreSlot = (preferences, dayOfWeek, startTime) => {
+  const unmet = preferences.filter(
+    (preference) =>
+      matchesSlot(preference, dayOfWeek, startTime) ===
+      (preference.mode === "avoid")
+  );
+  return {
+    penalty: unmet.reduce((total, preference) => total + preference.weight, 0),
+    unmet,
+  };
+};
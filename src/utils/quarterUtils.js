@@ -35,6 +35,16 @@ export const getQuarterDateRange = (quarter, year) => {
   return { startDate, endDate };
 };
 
+/**
+ * Get the quarter a date falls in
+ * @param {Date} date - Date to look up
+ * @returns {string} Quarter name (Q1, Q2, Q3, Q4)
+ */
+export const getQuarterForDate = (date) => {
+  const month = date.getMonth() + 1;
+  return Object.values(QUARTERS).find((q) => q.months.includes(month)).name;
+};
+
 /**
  * Get calendar year start date (January 1st)
  * @param {number} year - Calendar year
@@ -0,0 +1,49 @@
+/**
+ * Random
+ * Seeded pseudo-random numbers so searches can be repeated exactly
+ */
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - Any integer; the same seed gives the same sequence
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Pick a random integer
+ * @param {Function} random - Generator from createRandom
+ * @param {number} max - Exclusive upper bound
+ * @returns {number} Integer in [0, max)
+ */
+export const randomInt = (random, max) => Math.floor(random() * max);
+
+/**
+ * Make a new seed
+ * @returns {number} Positive 31-bit integer (short enough to write down)
+ */
+export const createSeed = () => Math.floor(Math.random() * 0x7fffffff) + 1;
+
+/**
+ * Shuffle a copy of an array (Fisher-Yates)
+ * @param {Function} random - Generator from createRandom
+ * @param {Array} items - Items to shuffle
+ * @returns {Array} Shuffled copy
+ */
+export const shuffle = (random, items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = randomInt(random, i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
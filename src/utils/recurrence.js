@@ -0,0 +1,457 @@
+/**
+ * Recurrence Rules
+ * A subset of iCalendar RRULE (RFC 5545) for recurring blackouts
+ *
+ * Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYDAY
+ * (with ordinals such as 1MO or -1FR), BYMONTHDAY, BYMONTH, BYSETPOS, UNTIL
+ * and COUNT. Examples:
+ *   - Last Friday of every month:       FREQ=MONTHLY;BYDAY=-1FR
+ *   - First Monday of each quarter:     FREQ=YEARLY;BYMONTH=1,4,7,10;BYDAY=1MO
+ *   - Every Wednesday:                  FREQ=WEEKLY;BYDAY=WE
+ */
+
+import {
+  addDays,
+  addMonths,
+  addWeeks,
+  addYears,
+  differenceInCalendarDays,
+  eachDayOfInterval,
+  endOfMonth,
+  endOfYear,
+  format,
+  startOfMonth,
+  startOfWeek,
+  startOfYear,
+} from "date-fns";
+
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+
+// RRULE weekday codes in Date.getDay() order
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+const WEEKDAY_LABELS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+const MONTH_LABELS = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+// Stop runaway rules (e.g. COUNT never reached because nothing matches)
+const MAX_PERIODS = 5000;
+
+/**
+ * Parse a date key (yyyy-MM-dd) or RRULE date (YYYYMMDD[THHMMSS[Z]]) as a local date
+ * @param {string} value - Date text
+ * @returns {Date|null} Date or null if invalid
+ */
+const parseRuleDate = (value) => {
+  const match = String(value || "").match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+  return match ? new Date(+match[1], +match[2] - 1, +match[3]) : null;
+};
+
+/**
+ * Parse a comma-separated list of integers
+ * @param {string} value - List text
+ * @returns {Array<number>} Numbers (NaN entries removed)
+ */
+const parseIntegerList = (value) =>
+  value
+    .split(",")
+    .map((item) => parseInt(item, 10))
+    .filter((item) => !isNaN(item));
+
+/**
+ * Parse an RRULE string
+ * Accepts an optional "RRULE:" prefix.
+ * @param {string} text - Rule, e.g. "FREQ=MONTHLY;BYDAY=-1FR"
+ * @returns {Object} { freq, interval, byDay, byMonth, byMonthDay, bySetPos, until, count }
+ * @throws {Error} If the rule is not valid or uses unsupported parts
+ */
+export const parseRRule = (text) => {
+  const rule = {
+    freq: null,
+    interval: 1,
+    byDay: [], // [{ weekday: 0-6, ordinal: 0 (every) | 1..5 | -1..-5 }]
+    byMonth: [], // 0-indexed months
+    byMonthDay: [], // 1..31 or -1..-31
+    bySetPos: [],
+    until: null,
+    count: null,
+  };
+
+  const body = String(text || "")
+    .trim()
+    .replace(/^RRULE:/i, "");
+  if (!body) throw new Error("Recurrence rule is empty");
+
+  body.split(";").forEach((part) => {
+    if (!part.trim()) return;
+    const [rawKey, rawValue = ""] = part.split("=");
+    const key = rawKey.trim().toUpperCase();
+    const value = rawValue.trim().toUpperCase();
+
+    switch (key) {
+      case "FREQ":
+        if (!FREQUENCIES.includes(value)) {
+          throw new Error(`Unsupported FREQ "${value}"`);
+        }
+        rule.freq = value;
+        break;
+      case "INTERVAL":
+        rule.interval = parseInt(value, 10);
+        if (!(rule.interval > 0)) throw new Error("INTERVAL must be positive");
+        break;
+      case "BYDAY":
+        rule.byDay = value.split(",").map((token) => {
+          const match = token.trim().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!match) throw new Error(`Invalid BYDAY value "${token}"`);
+          return {
+            weekday: WEEKDAY_CODES.indexOf(match[2]),
+            ordinal: match[1] ? parseInt(match[1], 10) : 0,
+          };
+        });
+        break;
+      case "BYMONTH":
+        rule.byMonth = parseIntegerList(value)
+          .filter((month) => month >= 1 && month <= 12)
+          .map((month) => month - 1);
+        break;
+      case "BYMONTHDAY":
+        rule.byMonthDay = parseIntegerList(value).filter(
+          (day) => day !== 0 && Math.abs(day) <= 31
+        );
+        break;
+      case "BYSETPOS":
+        rule.bySetPos = parseIntegerList(value).filter((pos) => pos !== 0);
+        break;
+      case "UNTIL":
+        rule.until = parseRuleDate(value);
+        if (!rule.until) throw new Error(`Invalid UNTIL date "${value}"`);
+        break;
+      case "COUNT":
+        rule.count = parseInt(value, 10);
+        if (!(rule.count > 0)) throw new Error("COUNT must be positive");
+        break;
+      case "WKST":
+        // Weeks always start on Monday here
+        break;
+      default:
+        throw new Error(`Unsupported rule part "${key}"`);
+    }
+  });
+
+  if (!rule.freq) throw new Error("Recurrence rule needs a FREQ");
+  return rule;
+};
+
+/**
+ * Check an RRULE string
+ * @param {string} text - Rule text
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateRRule = (text) => {
+  try {
+    parseRRule(text);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+/**
+ * Get the first day of the period (day, week, month, year) containing a date
+ * @param {Date} date - Date
+ * @param {string} freq - Frequency
+ * @returns {Date} Period start
+ */
+const getPeriodStart = (date, freq) => {
+  switch (freq) {
+    case "WEEKLY":
+      return startOfWeek(date, { weekStartsOn: 1 });
+    case "MONTHLY":
+      return startOfMonth(date);
+    case "YEARLY":
+      return startOfYear(date);
+    default:
+      return date;
+  }
+};
+
+/**
+ * Get every day in a period
+ * @param {Date} periodStart - Period start
+ * @param {string} freq - Frequency
+ * @returns {Array<Date>} Days in the period
+ */
+const getPeriodDays = (periodStart, freq) => {
+  switch (freq) {
+    case "WEEKLY":
+      return eachDayOfInterval({ start: periodStart, end: addDays(periodStart, 6) });
+    case "MONTHLY":
+      return eachDayOfInterval({ start: periodStart, end: endOfMonth(periodStart) });
+    case "YEARLY":
+      return eachDayOfInterval({ start: periodStart, end: endOfYear(periodStart) });
+    default:
+      return [periodStart];
+  }
+};
+
+/**
+ * Move to the next period
+ * @param {Date} periodStart - Period start
+ * @param {string} freq - Frequency
+ * @param {number} interval - Periods to skip
+ * @returns {Date} Next period start
+ */
+const nextPeriod = (periodStart, freq, interval) => {
+  switch (freq) {
+    case "WEEKLY":
+      return addWeeks(periodStart, interval);
+    case "MONTHLY":
+      return addMonths(periodStart, interval);
+    case "YEARLY":
+      return addYears(periodStart, interval);
+    default:
+      return addDays(periodStart, interval);
+  }
+};
+
+/**
+ * Check whether a day matches an ordinal weekday (e.g. -1FR) within its month or year
+ * @param {Date} day - Day
+ * @param {Object} byDay - { weekday, ordinal }
+ * @param {boolean} withinMonth - Count within the month (otherwise the year)
+ * @returns {boolean} True if the day matches
+ */
+const matchesWeekday = (day, { weekday, ordinal }, withinMonth) => {
+  if (day.getDay() !== weekday) return false;
+  if (ordinal === 0) return true;
+
+  // 1-based day number within the month/year, and days remaining after it
+  const dayNumber = withinMonth
+    ? day.getDate()
+    : differenceInCalendarDays(day, startOfYear(day)) + 1;
+  const daysAfter = withinMonth
+    ? endOfMonth(day).getDate() - day.getDate()
+    : differenceInCalendarDays(endOfYear(day), day);
+  const position =
+    ordinal > 0
+      ? Math.ceil(dayNumber / 7)
+      : -(Math.floor(daysAfter / 7) + 1);
+  return position === ordinal;
+};
+
+/**
+ * Get the days of one period that match a rule
+ * @param {Object} rule - Parsed rule
+ * @param {Date} periodStart - Period start
+ * @param {Date} dtstart - Series start (supplies defaults for missing BY* parts)
+ * @returns {Array<Date>} Matching days in order
+ */
+const getPeriodOccurrences = (rule, periodStart, dtstart) => {
+  const { freq, byDay, byMonth, byMonthDay, bySetPos } = rule;
+
+  // Without BY* parts a rule repeats the start date's weekday/day/month
+  const byDayRule =
+    freq === "WEEKLY" && byDay.length === 0
+      ? [{ weekday: dtstart.getDay(), ordinal: 0 }]
+      : byDay;
+  const byMonthDayRule =
+    (freq === "MONTHLY" || freq === "YEARLY") &&
+    byDay.length === 0 &&
+    byMonthDay.length === 0
+      ? [dtstart.getDate()]
+      : byMonthDay;
+  const byMonthRule =
+    freq === "YEARLY" &&
+    byMonth.length === 0 &&
+    byDay.length === 0 &&
+    byMonthDay.length === 0
+      ? [dtstart.getMonth()]
+      : byMonth;
+  // Ordinals count within the month unless a yearly rule has no BYMONTH
+  const withinMonth = freq !== "YEARLY" || byMonth.length > 0;
+
+  const matches = getPeriodDays(periodStart, freq).filter((day) => {
+    if (byMonthRule.length && !byMonthRule.includes(day.getMonth())) {
+      return false;
+    }
+    if (byMonthDayRule.length) {
+      const daysInMonth = endOfMonth(day).getDate();
+      const matchesDay = byMonthDayRule.some((monthDay) =>
+        monthDay > 0
+          ? day.getDate() === monthDay
+          : day.getDate() === daysInMonth + monthDay + 1
+      );
+      if (!matchesDay) return false;
+    }
+    if (
+      byDayRule.length &&
+      !byDayRule.some((entry) => matchesWeekday(day, entry, withinMonth))
+    ) {
+      return false;
+    }
+    return true;
+  });
+
+  if (!bySetPos.length) return matches;
+  return bySetPos
+    .map((pos) => matches[pos > 0 ? pos - 1 : matches.length + pos])
+    .filter(Boolean)
+    .sort((a, b) => a - b);
+};
+
+/**
+ * Expand a recurrence rule into dates
+ * @param {string} text - RRULE string
+ * @param {Date} dtstart - Series start (first possible occurrence)
+ * @param {Date} rangeStart - First date of interest
+ * @param {Date} rangeEnd - Last date of interest
+ * @returns {Array<Date>} Occurrences within the range, in order
+ */
+export const expandRRule = (text, dtstart, rangeStart, rangeEnd) => {
+  const rule = parseRRule(text);
+  const lastDate =
+    rule.until && rule.until < rangeEnd ? rule.until : rangeEnd;
+  const occurrences = [];
+  let count = 0;
+  let periodStart = getPeriodStart(dtstart, rule.freq);
+
+  for (
+    let period = 0;
+    period < MAX_PERIODS && periodStart <= lastDate;
+    period++
+  ) {
+    for (const day of getPeriodOccurrences(rule, periodStart, dtstart)) {
+      if (day < dtstart) continue;
+      if (day > lastDate) break;
+      count += 1;
+      if (rule.count && count > rule.count) return occurrences;
+      if (day >= rangeStart) occurrences.push(day);
+    }
+    periodStart = nextPeriod(periodStart, rule.freq, rule.interval);
+  }
+
+  return occurrences;
+};
+
+/**
+ * Describe an ordinal weekday, e.g. "last Friday"
+ * @param {Object} byDay - { weekday, ordinal }
+ * @returns {string} Description
+ */
+const describeWeekday = ({ weekday, ordinal }) => {
+  const ordinals = { 1: "first", 2: "second", 3: "third", 4: "fourth", 5: "fifth" };
+  if (ordinal === 0) return WEEKDAY_LABELS[weekday];
+  if (ordinal === -1) return `last ${WEEKDAY_LABELS[weekday]}`;
+  if (ordinal < 0) {
+    return `${ordinals[-ordinal] || -ordinal} from last ${WEEKDAY_LABELS[weekday]}`;
+  }
+  return `${ordinals[ordinal] || `${ordinal}th`} ${WEEKDAY_LABELS[weekday]}`;
+};
+
+/**
+ * Describe a recurrence rule in words, e.g. "Monthly on the last Friday"
+ * Falls back to the rule text when it can't be parsed.
+ * @param {string} text - RRULE string
+ * @returns {string} Description
+ */
+export const describeRRule = (text) => {
+  let rule;
+  try {
+    rule = parseRRule(text);
+  } catch {
+    return String(text || "");
+  }
+
+  const units = { DAILY: "day", WEEKLY: "week", MONTHLY: "month", YEARLY: "year" };
+  const parts = [
+    rule.interval === 1
+      ? `Every ${units[rule.freq]}`
+      : `Every ${rule.interval} ${units[rule.freq]}s`,
+  ];
+
+  if (rule.byMonth.length) {
+    parts.push(`in ${rule.byMonth.map((month) => MONTH_LABELS[month]).join(", ")}`);
+  }
+  if (rule.byDay.length) {
+    const hasOrdinals = rule.byDay.some((entry) => entry.ordinal !== 0);
+    parts.push(
+      `on ${hasOrdinals ? "the " : ""}${rule.byDay.map(describeWeekday).join(", ")}`
+    );
+  }
+  if (rule.byMonthDay.length) {
+    parts.push(
+      `on day ${rule.byMonthDay
+        .map((day) => (day === -1 ? "last" : day))
+        .join(", ")}`
+    );
+  }
+  if (rule.bySetPos.length) {
+    parts.push(`(occurrence ${rule.bySetPos.join(", ")})`);
+  }
+  if (rule.until) parts.push(`until ${format(rule.until, "MM-dd-yyyy")}`);
+  if (rule.count) parts.push(`for ${rule.count} occurrences`);
+
+  return parts.join(" ");
+};
+
+/**
+ * Suggest common rules for a start date (used by the blackout form)
+ * @param {Date} date - Start date
+ * @returns {Array} Array of { value, label } with RRULE values
+ */
+export const getRRulePresets = (date) => {
+  const weekday = date.getDay();
+  const code = WEEKDAY_CODES[weekday];
+  const nth = Math.ceil(date.getDate() / 7);
+  const isLast = date.getDate() + 7 > endOfMonth(date).getDate();
+  const ordinalLabel = describeWeekday({ weekday, ordinal: nth });
+
+  const presets = [
+    { value: "FREQ=DAILY", label: "Every day" },
+    {
+      value: `FREQ=WEEKLY;BYDAY=${code}`,
+      label: `Every week on ${WEEKDAY_LABELS[weekday]}`,
+    },
+  ];
+  if (nth <= 4) {
+    presets.push(
+      {
+        value: `FREQ=MONTHLY;BYDAY=${nth}${code}`,
+        label: `Every month on the ${ordinalLabel}`,
+      },
+      {
+        value: `FREQ=MONTHLY;INTERVAL=3;BYDAY=${nth}${code}`,
+        label: `Every quarter on the ${ordinalLabel}`,
+      }
+    );
+  }
+  if (isLast) {
+    presets.push({
+      value: `FREQ=MONTHLY;BYDAY=-1${code}`,
+      label: `Every month on the last ${WEEKDAY_LABELS[weekday]}`,
+    });
+  }
+  presets.push({ value: "FREQ=YEARLY", label: "Every year on this date" });
+  return presets;
+};
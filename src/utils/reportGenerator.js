@@ -5,15 +5,23 @@
 
 import { Document, Packer, Paragraph, TextRun, Table, TableCell, TableRow, HeadingLevel } from 'docx';
 import { format } from 'date-fns';
+import { describeBlackoutDates, describeBlackoutRule } from './blackouts';
+import { describeOptimization } from './scheduleOptimizer';
+import { describeUnscheduledReasons } from './scheduleEngine';
 
 /**
  * Generate Word document report
  * @param {Object} statistics - Scheduling statistics
  * @param {string} quarter - Quarter name
  * @param {number} year - Year
+ * @param {Object} scheduleInfo - Details of how the schedule was generated
+ * @param {Object} scheduleInfo.holidayCalendar - Holiday calendar used
+ * @param {Array} scheduleInfo.appliedBlackouts - Blackouts that removed slots
+ * @param {Object} scheduleInfo.optimization - Optimiser result vs the greedy baseline
+ * @param {Array} scheduleInfo.unscheduled - Instances that could not be placed
  * @returns {Promise<Blob>} Word document blob
  */
-export const generateReport = async (statistics, quarter, year) => {
+export const generateReport = async (statistics, quarter, year, scheduleInfo = {}) => {
   const doc = new Document({
     sections: [{
       properties: {},
@@ -93,7 +101,33 @@ export const generateReport = async (statistics, quarter, year) => {
         new Paragraph({
           children: [
             new TextRun({
-              text: 'Utilization Percentage: ',
+              text: 'Total Session Capacity (parallel places across all slots): ',
+              bold: true,
+            }),
+            new TextRun({
+              text: `${statistics.totalCapacity}`,
+            }),
+          ],
+          spacing: { after: 150 },
+        }),
+        
+        new Paragraph({
+          children: [
+            new TextRun({
+              text: 'Remaining Capacity: ',
+              bold: true,
+            }),
+            new TextRun({
+              text: `${statistics.remainingCapacity}`,
+            }),
+          ],
+          spacing: { after: 150 },
+        }),
+        
+        new Paragraph({
+          children: [
+            new TextRun({
+              text: 'Utilization Percentage (of total capacity): ',
               bold: true,
             }),
             new TextRun({
@@ -122,6 +156,112 @@ export const generateReport = async (statistics, quarter, year) => {
               italics: true,
             })]),
         
+        // Holiday Calendar Section
+        ...(scheduleInfo.holidayCalendar
+          ? [
+              new Paragraph({
+                text: 'Holiday Calendar',
+                heading: HeadingLevel.HEADING_2,
+                spacing: { before: 400, after: 200 },
+              }),
+              new Paragraph({
+                children: [
+                  new TextRun({ text: 'Calendar Used: ', bold: true }),
+                  new TextRun({ text: scheduleInfo.holidayCalendar.description }),
+                ],
+                spacing: { after: 150 },
+              }),
+              ...scheduleInfo.holidayCalendar.holidays.map(({ dateKey, name }) =>
+                new Paragraph({
+                  text: `• ${dateKey}: ${name}`,
+                  spacing: { after: 100 },
+                })
+              ),
+            ]
+          : []),
+        
+        // Blackouts Section
+        ...(scheduleInfo.appliedBlackouts
+          ? [
+              new Paragraph({
+                text: 'Blackouts Applied',
+                heading: HeadingLevel.HEADING_2,
+                spacing: { before: 400, after: 200 },
+              }),
+              ...(scheduleInfo.appliedBlackouts.length > 0
+                ? scheduleInfo.appliedBlackouts.map((blackout) =>
+                    new Paragraph({
+                      children: [
+                        new TextRun({
+                          text: `• ${blackout.label || describeBlackoutRule(blackout)}: `,
+                          bold: true,
+                        }),
+                        new TextRun({
+                          text: `${describeBlackoutDates(blackout)} - ${describeBlackoutRule(blackout)} (${blackout.dates.length} scheduling day${blackout.dates.length === 1 ? '' : 's'} affected)`,
+                        }),
+                      ],
+                      spacing: { after: 100 },
+                    })
+                  )
+                : [new Paragraph({
+                    text: 'No blackouts affected the scheduled dates',
+                    italics: true,
+                  })]),
+            ]
+          : []),
+        
+        // Optimisation Section
+        ...(scheduleInfo.optimization
+          ? [
+              new Paragraph({
+                text: 'Optimisation',
+                heading: HeadingLevel.HEADING_2,
+                spacing: { before: 400, after: 200 },
+              }),
+              new Paragraph({
+                children: [
+                  new TextRun({ text: 'Result: ', bold: true }),
+                  new TextRun({ text: describeOptimization(scheduleInfo.optimization) }),
+                ],
+                spacing: { after: 150 },
+              }),
+              ...scheduleInfo.optimization.changedCourses.map(({ course, baseline, optimized }) =>
+                new Paragraph({
+                  text: `• ${course}: ${optimized} instances (greedy: ${baseline})`,
+                  spacing: { after: 100 },
+                })
+              ),
+            ]
+          : []),
+        
+        // Unscheduled Instances Section
+        ...(scheduleInfo.unscheduled
+          ? [
+              new Paragraph({
+                text: 'Unscheduled Instances',
+                heading: HeadingLevel.HEADING_2,
+                spacing: { before: 400, after: 200 },
+              }),
+              ...(scheduleInfo.unscheduled.length > 0
+                ? scheduleInfo.unscheduled.map((entry) =>
+                    new Paragraph({
+                      children: [
+                        new TextRun({
+                          text: `• ${entry.courseName} (cadence date ${format(entry.cadenceDate, 'MM-dd-yyyy')}): `,
+                          bold: true,
+                        }),
+                        new TextRun({ text: describeUnscheduledReasons(entry) }),
+                      ],
+                      spacing: { after: 100 },
+                    })
+                  )
+                : [new Paragraph({
+                    text: 'Every cadence instance was scheduled',
+                    italics: true,
+                  })]),
+            ]
+          : []),
+        
         // Additional Information
         new Paragraph({
           text: 'Notes',
@@ -149,6 +289,11 @@ export const generateReport = async (statistics, quarter, year) => {
           spacing: { after: 100 },
         }),
         
+        new Paragraph({
+          text: '• Per-course rules from the cadence file (allowed days, start window, avoided months, same-day repeats) have been applied',
+          spacing: { after: 100 },
+        }),
+        
         new Paragraph({
           text: '• Special dates and holidays have been accounted for',
           spacing: { after: 100 },
@@ -0,0 +1,206 @@
+/**
+ * Resource Utilities
+ * Registry of named resources (virtual rooms, meeting licences, physical rooms)
+ * and allocation of a specific resource to each course instance
+ *
+ * Each resource has a type, an optional number of seats and a list of
+ * features. Courses state what they need in the cadence file, e.g.
+ * "webinar licence, 100 seats" or "training room, 12 seats, projector": the
+ * first part is the type, "N seats" the minimum capacity and anything else a
+ * feature the resource must have.
+ */
+
+import {
+  createBookingLedger,
+  isFreeForSessions,
+  pickLeastAssigned,
+  recordBooking,
+} from "./bookingLedger";
+
+// Suggested types; any other type name can be used
+export const RESOURCE_TYPES = [
+  "Virtual room",
+  "Webinar licence",
+  "Meeting licence",
+  "Training room",
+];
+
+/**
+ * Normalize a type or feature name for comparison
+ * "Webinar License" and "webinar  licence" compare equal.
+ * @param {string} text - Type or feature name
+ * @returns {string} Normalized name
+ */
+const normalizeName = (text) =>
+  String(text || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/license/g, "licence");
+
+/**
+ * Create a resource with a unique id
+ * @param {Object} fields - { name, type, seats, features }
+ * @returns {Object} Resource object
+ */
+export const createResource = (fields) => ({
+  id: `resource-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  name: "",
+  type: "",
+  ...fields,
+  seats: fields.seats > 0 ? fields.seats : null,
+  features: fields.features || [],
+});
+
+/**
+ * Check a resource for missing or inconsistent fields
+ * @param {Object} resource - Resource object
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateResource = (resource) => {
+  if (!String(resource.name || "").trim()) {
+    return "A name is required";
+  }
+  if (!String(resource.type || "").trim()) {
+    return "A type is required";
+  }
+  if (resource.seats !== null && !(resource.seats > 0)) {
+    return "Seats must be a positive number";
+  }
+  return null;
+};
+
+/**
+ * Split a features cell ("projector, recording") into feature names
+ * @param {string|Array} value - Comma or semicolon separated features
+ * @returns {Array<string>} Feature names
+ */
+export const parseFeatures = (value) => {
+  if (Array.isArray(value)) return value;
+  return String(value || "")
+    .split(/[,;\n]/)
+    .map((feature) => feature.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Parse a course's resource requirement
+ * @param {string} text - e.g. "webinar licence, 100 seats"
+ * @returns {Object|null} { type, minSeats, features } or null when blank
+ */
+export const parseResourceRequirement = (text) => {
+  const parts = String(text || "")
+    .split(/[,;]/)
+    .map((part) => part.trim())
+    .filter(Boolean);
+  if (parts.length === 0) return null;
+
+  const requirement = { type: "", minSeats: null, features: [] };
+
+  parts.forEach((part) => {
+    const seats = part.match(/^(\d+)\s*\+?\s*(seats?|people|attendees)?$/i);
+    if (seats) {
+      requirement.minSeats = parseInt(seats[1]);
+    } else if (!requirement.type) {
+      requirement.type = part;
+    } else {
+      requirement.features.push(part);
+    }
+  });
+
+  return requirement.type ? requirement : null;
+};
+
+/**
+ * Describe a requirement for display
+ * @param {Object} requirement - Parsed requirement
+ * @returns {string} e.g. "webinar licence, 100+ seats"
+ */
+export const describeResourceRequirement = (requirement) => {
+  if (!requirement) return "";
+  return [
+    requirement.type,
+    requirement.minSeats ? `${requirement.minSeats}+ seats` : null,
+    ...requirement.features,
+  ]
+    .filter(Boolean)
+    .join(", ");
+};
+
+/**
+ * Check whether a resource satisfies a requirement
+ * @param {Object} resource - Resource object
+ * @param {Object} requirement - Parsed requirement
+ * @returns {boolean} True if the resource is suitable
+ */
+export const matchesRequirement = (resource, requirement) => {
+  if (normalizeName(resource.type) !== normalizeName(requirement.type)) {
+    return false;
+  }
+  // A resource without a seat count is treated as unlimited
+  if (
+    requirement.minSeats &&
+    resource.seats &&
+    resource.seats < requirement.minSeats
+  ) {
+    return false;
+  }
+
+  const features = resource.features.map(normalizeName);
+  return requirement.features.every((feature) =>
+    features.includes(normalizeName(feature))
+  );
+};
+
+/**
+ * Build a resource pool used by the schedule engine
+ * @param {Array} resources - Resources from the registry
+ * @returns {Object} Pool with resources and booking state (a booking ledger)
+ */
+export const createResourcePool = (resources = []) => ({
+  resources,
+  ...createBookingLedger(),
+});
+
+/**
+ * Get resources in the pool that satisfy a requirement
+ * @param {Object} pool - Resource pool
+ * @param {Object} requirement - Parsed requirement
+ * @returns {Array} Matching resources
+ */
+export const getMatchingResources = (pool, requirement) =>
+  pool.resources.filter((resource) =>
+    matchesRequirement(resource, requirement)
+  );
+
+/**
+ * Find a matching resource free for every session of an instance
+ * Prefers the smallest resource that fits, then the one used least so far.
+ * @param {Object} pool - Resource pool
+ * @param {Object} requirement - Parsed requirement
+ * @param {Array} sessions - Sessions of the instance (date, startTime, endTime)
+ * @returns {Object|null} Resource or null if none is free
+ */
+export const findAvailableResource = (pool, requirement, sessions) => {
+  const candidates = getMatchingResources(pool, requirement).filter(
+    (resource) => isFreeForSessions(pool, resource.id, sessions)
+  );
+  if (candidates.length === 0) return null;
+
+  const seats = (resource) => resource.seats || Infinity;
+  const smallest = Math.min(...candidates.map(seats));
+  return pickLeastAssigned(
+    pool,
+    candidates.filter((resource) => seats(resource) === smallest)
+  );
+};
+
+/**
+ * Record a resource as used by every session of an instance
+ * @param {Object} pool - Resource pool
+ * @param {Object} resource - Resource object
+ * @param {Array} sessions - Sessions of the instance
+ */
+export const bookResource = (pool, resource, sessions) => {
+  recordBooking(pool, resource.id, sessions);
+};
@@ -0,0 +1,111 @@
+/**
+ * Schedule Alternatives
+ * Generates several candidate schedules with different seeds and summarises
+ * them so they can be compared side by side
+ *
+ * The first candidate is always the standard (unseeded) schedule. Every other
+ * candidate places the courses in a seeded random order and breaks ties
+ * between equally good slots at random, so keeping its seed is enough to
+ * reproduce it exactly.
+ */
+
+import { generateYearSchedule } from "./scheduleEngine";
+import { DAY_NAMES } from "./timeSlots";
+import { getTimeBand } from "./slotStrategy";
+import { createSeed } from "./random";
+
+export const DEFAULT_ALTERNATIVE_COUNT = 4;
+export const MAX_ALTERNATIVE_COUNT = 12;
+
+// Bands counted as early and late slot usage
+const EARLY_BAND = "Early morning";
+const LATE_BAND = "Evening";
+
+/**
+ * Summarise a schedule for comparison
+ * @param {Object} result - Engine result
+ * @returns {Object} { sessions, instances, unscheduled, byWeekday,
+ * weekdaySpread, early, late, penalty }
+ */
+export const summarizeSchedule = (result) => {
+  const sessions = result.scheduledSessions;
+
+  const byWeekday = {};
+  sessions.forEach((session) => {
+    const dayOfWeek = DAY_NAMES[session.date.getDay()];
+    byWeekday[dayOfWeek] = (byWeekday[dayOfWeek] || 0) + 1;
+  });
+  // Busiest minus quietest weekday with sessions (0 = perfectly even)
+  const weekdayCounts = Object.values(byWeekday);
+  const weekdaySpread = weekdayCounts.length
+    ? Math.max(...weekdayCounts) - Math.min(...weekdayCounts)
+    : 0;
+
+  return {
+    sessions: sessions.length,
+    instances: sessions.filter((session) => session.sessionNumber === 1)
+      .length,
+    unscheduled: result.unscheduled.length,
+    byWeekday,
+    weekdaySpread,
+    early: sessions.filter(
+      (session) => getTimeBand(session.startTime) === EARLY_BAND
+    ).length,
+    late: sessions.filter(
+      (session) => getTimeBand(session.startTime) === LATE_BAND
+    ).length,
+    penalty: sessions.reduce(
+      (total, session) => total + (session.preferencePenalty || 0),
+      0
+    ),
+  };
+};
+
+/**
+ * Generate candidate schedules for a year
+ * Yields to the browser between candidates so the page stays responsive.
+ * @param {Array} courses - Array of course objects from cadence file
+ * @param {number} year - Year
+ * @param {Object} options - Engine options (see generateSchedule); any seed
+ * in them is replaced
+ * @param {Object} settings - Alternative settings
+ * @param {number} settings.count - Number of candidates, including the
+ * standard schedule
+ * @param {Function} settings.onProgress - Called after each candidate with
+ * { generated, count }
+ * @returns {Promise<Array>} Candidates: { seed, result, summary }, seed null
+ * for the standard schedule
+ */
+export const generateAlternatives = async (
+  courses,
+  year,
+  options = {},
+  { count = DEFAULT_ALTERNATIVE_COUNT, onProgress } = {}
+) => {
+  const seeds = [null];
+  while (seeds.length < count) {
+    const seed = createSeed();
+    if (!seeds.includes(seed)) seeds.push(seed);
+  }
+
+  const alternatives = [];
+  for (const seed of seeds) {
+    // Let the page repaint between candidates
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    const result = generateYearSchedule(courses, year, { ...options, seed });
+    alternatives.push({ seed, result, summary: summarizeSchedule(result) });
+
+    if (onProgress) onProgress({ generated: alternatives.length, count });
+  }
+
+  return alternatives;
+};
+
+/**
+ * Describe which candidate a schedule is
+ * @param {number|null} seed - Candidate seed
+ * @returns {string} "Standard" or "Seed 123456"
+ */
+export const describeSeed = (seed) =>
+  seed === null || seed === undefined ? "Standard" : `Seed ${seed}`;
@@ -6,50 +6,313 @@
 import {
   addWeeks,
   format,
+  startOfWeek,
   isSameDay,
   startOfDay,
   differenceInWeeks,
   addDays,
 } from "date-fns";
 import {
+  WEEKLY_SCHEDULE,
   getAvailableTimeSlots,
+  isSchedulingDay,
   DAY_NAMES,
-  getTimeDifferenceInHours,
-  isValidForFinancialIntelligence,
+  timeToMinutes,
+  minutesToTime,
+  getSlotCapacity,
+  DEFAULT_CAPACITY_SETTINGS,
 } from "./timeSlots";
-import { getFinancialYearStart, getWeekdaysInQuarter } from "./quarterUtils";
+import {
+  QUARTERS,
+  getFinancialYearStart,
+  getAllDatesInQuarter,
+  getQuarterForDate,
+} from "./quarterUtils";
+import {
+  createInstructorPool,
+  findAvailableInstructor,
+  bookInstructor,
+  getQualifiedInstructors,
+} from "./instructorUtils";
+import {
+  createResourcePool,
+  findAvailableResource,
+  bookResource,
+} from "./resourceUtils";
+import {
+  resolveCourseConstraints,
+  isSlotAllowed,
+  isDateAllowed,
+  isAudienceTime,
+} from "./courseConstraints";
+import {
+  DEFAULT_HOLIDAY_SETTINGS,
+  getHolidayMap,
+  getRestrictionMap,
+  describeHolidayCalendar,
+} from "./holidayProvider";
+import { applyBlackouts, expandBlackouts } from "./blackouts";
+import { getTemplateTimeZone } from "./timeZones";
+import { createRandom, shuffle } from "./random";
+import { expandLockedInstances, getInstanceKey } from "./lockedInstances";
+import {
+  createCourseCodes,
+  formatCohortCode,
+  createInstanceIdentity,
+  setInstanceDates,
+} from "./courseInstances";
+import {
+  createLoadTracker,
+  recordLoad,
+  rankSlots,
+  rankStartDates,
+  getFirstWeek,
+  isPreferred,
+} from "./slotStrategy";
+import {
+  getCoursePreferences,
+  scoreSlot,
+  describePreference,
+} from "./preferences";
+
+// Longest gap (minutes) between slots that a long session may run through
+const MAX_CONTIGUOUS_GAP = 30;
+
+// Shortest time (minutes) between the start times of a course's instances
+const MIN_START_GAP = 180;
+
+// Why an instance could not be placed (counted over every date and slot tried)
+export const UNSCHEDULED_REASONS = {
+  SAME_WEEKDAY: "Same weekday as an earlier instance",
+  TIME_GAP: "Less than 3 hours from an earlier instance's start time",
+  COURSE_WINDOW: "Outside the course's allowed days or start times",
+  SLOT_TAKEN: "Slot already taken",
+  NO_CONTIGUOUS_SLOTS:
+    "Session too long for the slots before a break or the end of the day",
+  DAY_CLOSED: "Holiday or blackout",
+  AVOIDED_MONTH: "In a month the course avoids",
+  AUDIENCE_HOURS: "Outside the audience regions' working hours",
+  LATER_WEEK_BLOCKED: "A later week of the instance was blocked",
+  OUT_OF_DATES: "Ran out of dates before the last session",
+  NO_START_DATE: "No start date left in the quarter after the cadence gap",
+  NO_INSTRUCTOR: "No qualified instructor free",
+  NO_QUALIFIED_INSTRUCTOR: "No instructor in the roster teaches the course",
+  NO_RESOURCE: "No suitable resource free",
+};
 
 /**
  * Generate schedule for a quarter
  * @param {Array} courses - Array of course objects from cadence file
  * @param {string} quarter - Quarter name (Q1, Q2, Q3, Q4)
  * @param {number} year - Year
- * @returns {Object} Scheduled sessions and calendar data
+ * @param {Object} options - Optional inputs
+ * @param {Array} options.instructors - Instructors parsed from the roster file
+ * @param {boolean} options.spanQuarters - Let instances continue into the
+ * following quarter when the full year is scheduled (default true)
+ * @param {string} options.quarterAssignment - Quarter a spanning session is
+ * reported under: "start" (instance start) or "session" (session date)
+ * @param {Object} options.slotTemplate - Weekly slot template (defaults to
+ * WEEKLY_SCHEDULE); its timeZone is the zone all session times are in
+ * @param {Object} options.holidaySettings - Holiday calendars and disabled days
+ * @param {Array} options.blackouts - Organisation blackouts (see blackouts.js)
+ * @param {Object} options.sequencePolicy - Default { sequenceMode, maxSkips } for
+ * courses without their own policy (see courseConstraints.js)
+ * @param {Object} options.capacitySettings - Parallel sessions per slot (see getSlotCapacity)
+ * @param {Array} options.resources - Resource registry (see resourceUtils.js)
+ * @param {string} options.slotStrategy - Which slots and start dates to try
+ * first: "firstFit" (default) or "balanced" (see slotStrategy.js)
+ * @param {Array} options.preferences - Weighted soft preferences (see
+ * preferences.js); each session carries the penalty of the ones it misses
+ * @param {number|null} options.seed - Vary course order and tie-breaking with
+ * this seed (the same seed always gives the same schedule); null keeps file
+ * order and template order
+ * @param {Array} options.courseOrder - The courses in the order to place them
+ * (replaces file order and the seed's order); course and cohort codes still
+ * follow file order
+ * @param {Array} options.lockedInstances - Instances that must not move (see
+ * lockedInstances.js); they are kept as they are and everything else is
+ * placed around them
+ * @returns {Object} Scheduled sessions and calendar data, plus `unscheduled`:
+ * the cadence instances that could not be placed and why
  */
-export const generateSchedule = (courses, quarter, year) => {
-  // The 'year' parameter represents the financial year start year
-  // For FY 2025-26: year = 2025, so April 1, 2025 is the start
-  const financialYearStart = getFinancialYearStart(year);
-  const quarterDates = getWeekdaysInQuarter(quarter, year);
+export const generateSchedule = (courses, quarter, year, options = {}) => {
+  return scheduleQuarters(courses, [quarter], year, options);
+};
 
-  // Initialize availability grid
-  const availabilityGrid = initializeAvailabilityGrid(quarterDates);
+/**
+ * Generate schedule for a full year
+ * One course history and availability grid is kept for all four quarters,
+ * so cadence spacing and rotation rules carry over from one quarter to the next.
+ * @param {Array} courses - Array of course objects from cadence file
+ * @param {number} year - Year
+ * @param {Object} options - Optional inputs (see generateSchedule)
+ * @returns {Object} Scheduled sessions tagged with their quarter, calendar data
+ * and statistics for the year and for each quarter
+ */
+export const generateYearSchedule = (courses, year, options = {}) => {
+  return scheduleQuarters(courses, Object.keys(QUARTERS), year, options);
+};
 
-  // Track course history for constraint checking
-  const courseHistory = new Map();
+/**
+ * Schedule one or more quarters of a year with shared scheduling state
+ * @param {Array} courses - Array of course objects from cadence file
+ * @param {Array<string>} quarters - Quarter names in chronological order
+ * @param {number} year - Year
+ * @param {Object} options - Optional inputs (see generateSchedule)
+ * @returns {Object} Scheduled sessions, calendar data and statistics
+ */
+const scheduleQuarters = (courses, quarters, year, options) => {
+  const {
+    spanQuarters = true,
+    quarterAssignment = "start",
+    slotTemplate = WEEKLY_SCHEDULE,
+    holidaySettings = DEFAULT_HOLIDAY_SETTINGS,
+    blackouts = [],
+    sequencePolicy = null,
+    capacitySettings = DEFAULT_CAPACITY_SETTINGS,
+    slotStrategy = "firstFit",
+    preferences = [],
+    seed = null,
+    courseOrder = null,
+    lockedInstances = [],
+  } = options;
+
+  // The 'year' parameter represents the calendar year being scheduled
+  const financialYearStart = getFinancialYearStart(year);
+  const datesByQuarter = quarters.map((quarter) => ({
+    quarter,
+    // Every date whose weekday has slots in the template
+    dates: getAllDatesInQuarter(quarter, year).filter((date) =>
+      isSchedulingDay(date, slotTemplate)
+    ),
+  }));
+  const allDates = datesByQuarter.flatMap(({ dates }) => dates);
+  const holidays = getHolidayMap([year], holidaySettings);
+
+  // Dates each quarter's instances may place sessions on: the quarter itself,
+  // plus any directly following quarters when instances may span boundaries
+  const quarterOrder = Object.keys(QUARTERS);
+  datesByQuarter.forEach((entry, index) => {
+    entry.sessionDates = [...entry.dates];
+    if (!spanQuarters) return;
+
+    for (let next = index + 1; next < datesByQuarter.length; next++) {
+      const isConsecutive =
+        quarterOrder.indexOf(datesByQuarter[next].quarter) ===
+        quarterOrder.indexOf(datesByQuarter[next - 1].quarter) + 1;
+      if (!isConsecutive) break;
+      entry.sessionDates.push(...datesByQuarter[next].dates);
+    }
+  });
 
-  // Schedule all courses
-  const scheduledSessions = [];
+  // Availability grid for every date being scheduled
+  const availabilityGrid = initializeAvailabilityGrid(allDates, {
+    template: slotTemplate,
+    holidays,
+    restrictions: getRestrictionMap([year], holidaySettings),
+    capacity: capacitySettings,
+    // Recurring blackouts are expanded for the dates being scheduled
+    blackouts: allDates.length
+      ? expandBlackouts(blackouts, allDates[0], allDates[allDates.length - 1])
+      : [],
+  });
 
-  courses.forEach((course) => {
-    const sessions = scheduleCourse(
-      course,
-      financialYearStart,
-      quarterDates,
-      availabilityGrid,
-      courseHistory
-    );
-    scheduledSessions.push(...sessions);
+  const state = {
+    availabilityGrid,
+    // Track course history for constraint checking
+    courseHistory: new Map(),
+    // Track instructor assignments so nobody is double-booked
+    instructorPool: createInstructorPool(options.instructors),
+    // Track resource allocations so no resource is double-booked
+    resourcePool: createResourcePool(options.resources),
+    // Rules for every course that the cadence file can override, plus the
+    // zone slot times are in (for audience regions)
+    defaultConstraints: {
+      ...(sequencePolicy || {}),
+      timeZone: getTemplateTimeZone(slotTemplate),
+    },
+    // Instances not (yet) placed, by course and cadence date; a later
+    // quarter may still place them
+    unscheduled: new Map(),
+    // Which slots and start dates to try first, and how full each weekday
+    // and time band is so far
+    slotStrategy,
+    load: createLoadTracker(availabilityGrid),
+    // Soft preferences that rank slots (a slot is never excluded by them)
+    preferences,
+    // Seeded generator breaking ties between equally good slots and dates
+    random: seed === null ? null : createRandom(seed),
+    // Codes for cohort codes, in file order so a seed never changes them
+    courseCodes: createCourseCodes(courses.map((course) => course.title)),
+    year,
+    // Weekdays with slots, where cadence dates may fall
+    slotTemplate,
+  };
+
+  // Locked instances within the dates being scheduled are booked first,
+  // scored against the current preferences (locks do not keep a score)
+  const lockedSessions = setInstanceDates(
+    allDates.length
+      ? expandLockedInstances(lockedInstances)
+          .filter(
+            (session) =>
+              session.date >= allDates[0] &&
+              session.date <= allDates[allDates.length - 1]
+          )
+          .map((session) => ({
+            ...session,
+            // Instances locked before cohort codes existed
+            cohortCode:
+              session.cohortCode ||
+              getCohortCode(
+                courses.find((course) => course.title === session.courseName),
+                session.cadenceDate,
+                financialYearStart,
+                allDates,
+                state
+              ),
+            ...scorePreferences(
+              getCoursePreferences(preferences, { title: session.courseName }),
+              session
+            ),
+          }))
+      : []
+  );
+  seedLockedSessions(lockedSessions, state);
+
+  // A seeded schedule also places the courses in a different order
+  const orderedCourses =
+    courseOrder || (state.random ? shuffle(state.random, courses) : courses);
+
+  // Schedule all courses, one quarter at a time
+  const scheduledSessions = lockedSessions.map((session) => ({
+    ...session,
+    quarter: getQuarterForDate(
+      quarterAssignment === "session"
+        ? session.date
+        : getInstanceStart(lockedSessions, session)
+    ),
+  }));
+
+  datesByQuarter.forEach(({ quarter, dates, sessionDates }) => {
+    orderedCourses.forEach((course) => {
+      const sessions = scheduleCourse(
+        course,
+        financialYearStart,
+        dates,
+        sessionDates,
+        state
+      );
+      scheduledSessions.push(
+        ...sessions.map((session) => ({
+          ...session,
+          quarter:
+            quarterAssignment === "session"
+              ? getQuarterForDate(session.date)
+              : quarter,
+        }))
+      );
+    });
   });
 
   // Sort sessions by date and time
@@ -61,34 +324,225 @@ export const generateSchedule = (courses, quarter, year) => {
   });
 
   // Generate calendar grid data
-  const calendarData = generateCalendarGrid(scheduledSessions, quarterDates);
+  const calendarData = generateCalendarGrid(scheduledSessions, allDates);
+
+  // Statistics per quarter, from the part of the grid each quarter covers
+  const quarterStatistics = {};
+  datesByQuarter.forEach(({ quarter, dates }) => {
+    const dateKeys = new Set(dates.map((date) => format(date, "yyyy-MM-dd")));
+    const quarterGrid = new Map(
+      [...state.availabilityGrid].filter(([dateKey]) => dateKeys.has(dateKey))
+    );
+    quarterStatistics[quarter] = calculateStatistics(
+      quarterGrid,
+      scheduledSessions.filter((session) => session.quarter === quarter)
+    );
+  });
+
+  // Record which holidays were applied to the scheduled dates
+  const firstDateKey = allDates.length ? format(allDates[0], "yyyy-MM-dd") : "";
+  const lastDateKey = allDates.length
+    ? format(allDates[allDates.length - 1], "yyyy-MM-dd")
+    : "";
+  const holidayCalendar = {
+    description: describeHolidayCalendar(holidaySettings),
+    holidays: [...holidays]
+      .filter(
+        ([dateKey]) => dateKey >= firstDateKey && dateKey <= lastDateKey
+      )
+      .map(([dateKey, name]) => ({ dateKey, name })),
+  };
+
+  // Record which blackouts removed slots, and on which dates
+  const appliedBlackouts = new Map();
+  state.availabilityGrid.forEach((dayData, dateKey) => {
+    dayData.blackouts.forEach(({ id }) => {
+      if (!appliedBlackouts.has(id)) {
+        const blackout = blackouts.find((entry) => entry.id === id);
+        appliedBlackouts.set(id, { ...blackout, dates: [] });
+      }
+      appliedBlackouts.get(id).dates.push(dateKey);
+    });
+  });
 
   return {
     scheduledSessions,
     calendarData,
-    statistics: calculateStatistics(availabilityGrid, scheduledSessions),
+    statistics: calculateStatistics(state.availabilityGrid, scheduledSessions),
+    quarterStatistics,
+    holidayCalendar,
+    appliedBlackouts: [...appliedBlackouts.values()],
+    timeZone: state.defaultConstraints.timeZone,
+    seed,
+    unscheduled: [...state.unscheduled.values()]
+      .map(({ courseName, cadenceDate, instanceId, cohortCode, reasons }) => ({
+        courseName,
+        cadenceDate,
+        instanceId,
+        cohortCode,
+        quarter: getQuarterForDate(cadenceDate),
+        reasons: [...reasons]
+          .sort((a, b) => b[1] - a[1])
+          .map(([code, count]) => ({
+            code,
+            label: UNSCHEDULED_REASONS[code],
+            count,
+          })),
+      }))
+      .sort(
+        (a, b) =>
+          a.cadenceDate - b.cadenceDate ||
+          a.courseName.localeCompare(b.courseName)
+      ),
+  };
+};
+
+/**
+ * Describe why an instance was not scheduled
+ * @param {Object} entry - Entry from the `unscheduled` list
+ * @returns {string} e.g. "Slot already taken (120), Holiday or blackout (14)"
+ */
+export const describeUnscheduledReasons = (entry) =>
+  entry.reasons.map(({ label, count }) => `${label} (${count})`).join(", ");
+
+/**
+ * Count a reason an instance could not be placed
+ * @param {Map|undefined} reasons - Reason code -> count (nothing is counted
+ * when not given)
+ * @param {string} code - Key of UNSCHEDULED_REASONS
+ */
+const noteReason = (reasons, code) => {
+  if (reasons) reasons.set(code, (reasons.get(code) || 0) + 1);
+};
+
+/**
+ * Build the availability grid of a year with some sessions already booked
+ * @param {number} year - Year
+ * @param {Object} options - Calendar inputs (slotTemplate, holidaySettings,
+ * blackouts, capacitySettings; see generateSchedule)
+ * @param {Array} sessions - Sessions taking places in the grid
+ * @returns {Map} Availability grid (see initializeAvailabilityGrid)
+ */
+export const buildAvailabilityGrid = (year, options = {}, sessions = []) => {
+  const {
+    slotTemplate = WEEKLY_SCHEDULE,
+    holidaySettings = DEFAULT_HOLIDAY_SETTINGS,
+    blackouts = [],
+    capacitySettings = DEFAULT_CAPACITY_SETTINGS,
+  } = options;
+
+  const dates = Object.keys(QUARTERS).flatMap((quarter) =>
+    getAllDatesInQuarter(quarter, year).filter((date) =>
+      isSchedulingDay(date, slotTemplate)
+    )
+  );
+  const grid = initializeAvailabilityGrid(dates, {
+    template: slotTemplate,
+    holidays: getHolidayMap([year], holidaySettings),
+    restrictions: getRestrictionMap([year], holidaySettings),
+    capacity: capacitySettings,
+    blackouts: dates.length
+      ? expandBlackouts(blackouts, dates[0], dates[dates.length - 1])
+      : [],
+  });
+  sessions.forEach((session) => takeSessionSlots(grid, session));
+  return grid;
+};
+
+/**
+ * Recalculate a year schedule's derived data after sessions were changed by
+ * hand (e.g. moved in the calendar)
+ * @param {Array} scheduledSessions - Every session of the schedule
+ * @param {number} year - Year
+ * @param {Object} options - Options the schedule was generated with (see
+ * generateSchedule)
+ * @returns {Object} { scheduledSessions, calendarData, statistics,
+ * quarterStatistics } - sessions re-sorted and tagged with their quarter and
+ * instance dates
+ */
+export const recalculateSchedule = (scheduledSessions, year, options = {}) => {
+  const { quarterAssignment = "start" } = options;
+
+  // An instance is reported under the quarter its first session is in
+  const instanceStarts = new Map();
+  scheduledSessions
+    .filter((session) => session.cadenceDate)
+    .forEach((session) => {
+      const key = getInstanceKey(session);
+      const start = instanceStarts.get(key);
+      if (!start || session.date < start) instanceStarts.set(key, session.date);
+    });
+
+  const sessions = setInstanceDates(scheduledSessions)
+    .map((session) => ({
+      ...session,
+      quarter: getQuarterForDate(
+        quarterAssignment === "session" || !session.cadenceDate
+          ? session.date
+          : instanceStarts.get(getInstanceKey(session))
+      ),
+    }))
+    .sort((a, b) => a.date - b.date || a.startTime.localeCompare(b.startTime));
+
+  const grid = buildAvailabilityGrid(year, options, sessions);
+  const dates = [...grid.values()].map((dayData) => dayData.date);
+
+  const quarterStatistics = {};
+  Object.keys(QUARTERS).forEach((quarter) => {
+    const dateKeys = new Set(
+      getAllDatesInQuarter(quarter, year).map((date) =>
+        format(date, "yyyy-MM-dd")
+      )
+    );
+    quarterStatistics[quarter] = calculateStatistics(
+      new Map([...grid].filter(([dateKey]) => dateKeys.has(dateKey))),
+      sessions.filter((session) => session.quarter === quarter)
+    );
+  });
+
+  return {
+    scheduledSessions: sessions,
+    calendarData: generateCalendarGrid(sessions, dates),
+    statistics: calculateStatistics(grid, sessions),
+    quarterStatistics,
   };
 };
 
 /**
  * Initialize availability grid for all dates and time slots
  * @param {Array<Date>} dates - Array of dates in the quarter
- * @returns {Map} Availability grid
+ * @param {Object} calendarOptions - Slot template, holidays (see getAvailableTimeSlots),
+ * blackouts and capacity settings (see getSlotCapacity)
+ * @returns {Map} Availability grid; each slot tracks its capacity and remaining places
  */
-const initializeAvailabilityGrid = (dates) => {
+const initializeAvailabilityGrid = (dates, calendarOptions) => {
   const grid = new Map();
 
   dates.forEach((date) => {
     const dateKey = format(date, "yyyy-MM-dd");
-    const slots = getAvailableTimeSlots(date);
+    const { slots, applied } = applyBlackouts(
+      date,
+      getAvailableTimeSlots(date, calendarOptions),
+      calendarOptions.blackouts
+    );
 
     grid.set(dateKey, {
       date,
-      slots: slots.map((slot) => ({
-        ...slot,
-        available: true,
-        session: null,
-      })),
+      blackouts: applied,
+      slots: slots.map((slot) => {
+        const capacity = getSlotCapacity(
+          DAY_NAMES[date.getDay()],
+          slot.start,
+          calendarOptions.capacity
+        );
+        return {
+          ...slot,
+          capacity,
+          remaining: capacity,
+          available: capacity > 0,
+          sessions: [], // One booking per session (see createBooking)
+        };
+      }),
     });
   });
 
@@ -99,37 +553,63 @@ const initializeAvailabilityGrid = (dates) => {
  * Schedule a single course across the quarter
  * @param {Object} course - Course object
  * @param {Date} financialYearStart - Start of financial year (April 1)
- * @param {Array<Date>} quarterDates - Dates in the quarter
- * @param {Map} availabilityGrid - Availability grid
- * @param {Map} courseHistory - Course scheduling history
+ * @param {Array<Date>} quarterDates - Dates in the quarter (instance start dates)
+ * @param {Array<Date>} sessionDates - Dates the instance's sessions may fall on
+ * @param {Object} state - Shared scheduling state (grid, history, instructors,
+ * resources)
  * @returns {Array} Scheduled sessions for this course
  */
 const scheduleCourse = (
   course,
   financialYearStart,
   quarterDates,
-  availabilityGrid,
-  courseHistory
+  sessionDates,
+  state
 ) => {
+  const { courseHistory } = state;
   const sessions = [];
-  const isFinancialIntelligence = course.title
-    .toLowerCase()
-    .includes("financial intelligence");
+  // Weekday, time window, month and same-day rules for this course
+  const constraints = resolveCourseConstraints(
+    course,
+    state.defaultConstraints
+  );
 
   // Calculate when course instances can start based on cadence from April 1
   const cadenceStartDates = calculateCadenceStartDates(
     course,
     financialYearStart,
-    quarterDates
+    quarterDates,
+    state.slotTemplate
   );
 
   // For each cadence period, schedule ONE instance of the course
-  cadenceStartDates.forEach((cadenceDate) => {
+  cadenceStartDates.forEach((cadenceDate, cadenceIndex) => {
+    // Cohorts are numbered by cadence, so an instance keeps its code even
+    // when an earlier one cannot be placed
+    const instance = createInstanceIdentity(
+      course.title,
+      cadenceDate,
+      formatCohortCode(
+        state.courseCodes.get(course.title),
+        state.year,
+        cadenceIndex + 1
+      )
+    );
+
+    // Skip cadence periods already served in an earlier quarter
+    const served = (courseHistory.get(course.title) || []).some(
+      (instance) => instance.cadenceDate.getTime() === cadenceDate.getTime()
+    );
+    if (served) return;
+
     // Calculate the earliest date this instance can start
     // If there's a previous instance, it must wait for cadence weeks AFTER that instance ends
     let earliestStartDate = cadenceDate;
 
-    const history = courseHistory.get(course.title) || [];
+    // History is in cadence order; locked instances may serve later cadences
+    const history = (courseHistory.get(course.title) || []).filter(
+      (instance) => instance.cadenceDate < cadenceDate
+    );
     if (history.length > 0) {
       const lastInstance = history[history.length - 1];
       // Calculate when the last instance ended (startDate + (sessions - 1) weeks)
@@ -145,32 +625,80 @@ const scheduleCourse = (
     }
 
     // Get all weekdays in the quarter starting from the earliest allowed date
-    const availableDates = quarterDates.filter(
+    const candidateDates = quarterDates.filter(
       (date) => date >= earliestStartDate
     );
+    const ranking = {
+      strategy: state.slotStrategy,
+      tracker: state.load,
+      getPenalty: (date) => getLowestPenalty(state, course, date),
+      random: state.random,
+    };
+    const availableDates = rankStartDates(candidateDates, ranking);
+
+    // Why each start date and slot was rejected, kept across quarters
+    const key = `${course.title}|${cadenceDate.getTime()}`;
+    if (!state.unscheduled.has(key)) {
+      state.unscheduled.set(key, {
+        courseName: course.title,
+        cadenceDate,
+        ...instance,
+        reasons: new Map(),
+      });
+    }
+    const { reasons } = state.unscheduled.get(key);
+    if (availableDates.length === 0) noteReason(reasons, "NO_START_DATE");
+
+    // With a roster uploaded, a course nobody in it teaches cannot be placed
+    if (
+      state.instructorPool.instructors.length > 0 &&
+      getQualifiedInstructors(state.instructorPool, course).length === 0
+    ) {
+      noteReason(reasons, "NO_QUALIFIED_INSTRUCTOR");
+      return;
+    }
+
+    // A preferred window is tried on every date of the first week before
+    // any other slot; misses there are not reasons the instance failed
+    const attempts = [
+      ...(constraints.preferredWindow
+        ? rankStartDates(getFirstWeek(candidateDates), ranking).map(
+            (startDate) => ({ startDate, preferredOnly: true })
+          )
+        : []),
+      ...availableDates.map((startDate) => ({
+        startDate,
+        preferredOnly: false,
+      })),
+    ];
 
     // Try to schedule ONE instance starting from this cadence date
-    for (const startDate of availableDates) {
+    for (const { startDate, preferredOnly } of attempts) {
       const scheduled = scheduleCourseSessions(
         course,
+        instance,
         startDate,
-        quarterDates,
-        availabilityGrid,
-        courseHistory,
-        isFinancialIntelligence
+        sessionDates,
+        state,
+        constraints,
+        preferredOnly ? new Map() : reasons,
+        preferredOnly
       );
 
       if (scheduled.length > 0) {
-        sessions.push(...scheduled);
+        sessions.push(
+          ...scheduled.map((session) => ({ ...session, cadenceDate }))
+        );
 
         // Update course history
-        const history = courseHistory.get(course.title) || [];
-        history.push({
+        addToHistory(courseHistory, course.title, {
+          cadenceDate,
           startDate,
           dayOfWeek: DAY_NAMES[startDate.getDay()],
           startTime: scheduled[0].startTime,
         });
-        courseHistory.set(course.title, history);
+        state.unscheduled.delete(key);
+        recordLoad(state.load, scheduled);
 
         // Successfully scheduled ONE instance for this cadence period, move to next cadence
         break;
@@ -181,17 +709,127 @@ const scheduleCourse = (
   return sessions;
 };
 
+/**
+ * Record a placed instance in a course's history, keeping cadence order
+ * @param {Map} courseHistory - Course title -> instances
+ * @param {string} title - Course title
+ * @param {Object} instance - { cadenceDate, startDate, dayOfWeek, startTime }
+ */
+const addToHistory = (courseHistory, title, instance) => {
+  const history = [...(courseHistory.get(title) || []), instance];
+  history.sort((a, b) => a.cadenceDate - b.cadenceDate);
+  courseHistory.set(title, history);
+};
+
+/**
+ * Get the start date of the instance a session belongs to
+ * @param {Array} sessions - Sessions including the whole instance
+ * @param {Object} session - Session of the instance
+ * @returns {Date} Date of the instance's first session
+ */
+const getInstanceStart = (sessions, session) => {
+  const key = getInstanceKey(session);
+  return sessions
+    .filter((candidate) => getInstanceKey(candidate) === key)
+    .reduce(
+      (earliest, candidate) =>
+        candidate.date < earliest ? candidate.date : earliest,
+      session.date
+    );
+};
+
+/**
+ * Take a place in every grid slot an already placed session overlaps
+ * @param {Map} availabilityGrid - Availability grid
+ * @param {Object} session - Session (date, startTime, endTime)
+ */
+const takeSessionSlots = (availabilityGrid, session) => {
+  const dayData = availabilityGrid.get(format(session.date, "yyyy-MM-dd"));
+  if (!dayData) return;
+
+  const start = timeToMinutes(session.startTime);
+  const end = timeToMinutes(session.endTime);
+  dayData.slots
+    .filter(
+      (slot) =>
+        timeToMinutes(slot.start) < end && timeToMinutes(slot.end) > start
+    )
+    .forEach((slot) => {
+      slot.sessions.push(createBooking(session));
+      slot.remaining = Math.max(slot.remaining - 1, 0);
+      slot.available = slot.remaining > 0;
+    });
+};
+
+/**
+ * Book locked instances into the scheduling state before anything is placed
+ * Their slots, course history, instructors and resources count as taken. A
+ * locked session keeps its place even if the slot has since been removed
+ * (holiday, blackout or template change).
+ * @param {Array} lockedSessions - Sessions from expandLockedInstances
+ * @param {Object} state - Shared scheduling state
+ */
+const seedLockedSessions = (lockedSessions, state) => {
+  const { availabilityGrid, courseHistory, instructorPool, resourcePool } =
+    state;
+
+  const instances = new Map();
+  lockedSessions.forEach((session) => {
+    const key = getInstanceKey(session);
+    if (!instances.has(key)) instances.set(key, []);
+    instances.get(key).push(session);
+    takeSessionSlots(availabilityGrid, session);
+  });
+
+  instances.forEach((sessions) => {
+    const first = sessions.reduce((earliest, session) =>
+      session.date < earliest.date ? session : earliest
+    );
+    addToHistory(courseHistory, first.courseName, {
+      cadenceDate: first.cadenceDate,
+      startDate: first.date,
+      dayOfWeek: DAY_NAMES[first.date.getDay()],
+      startTime: first.startTime,
+    });
+
+    // The pool books by instructor id; the id is a roster row, so it only
+    // counts while that row is still the same person. Instances locked
+    // before ids were kept are matched by email.
+    const instructor =
+      instructorPool.instructors.find(
+        (candidate) =>
+          first.instructorId &&
+          candidate.id === first.instructorId &&
+          candidate.email === first.instructorEmail &&
+          candidate.firstName === first.instructorFirstName &&
+          candidate.lastName === first.instructorLastName
+      ) ||
+      instructorPool.instructors.find(
+        (candidate) =>
+          first.instructorEmail && candidate.email === first.instructorEmail
+      );
+    if (instructor) bookInstructor(instructorPool, instructor, sessions);
+
+    const resource = resourcePool.resources.find(
+      (candidate) => first.resourceId && candidate.id === first.resourceId
+    );
+    if (resource) bookResource(resourcePool, resource, sessions);
+  });
+};
+
 /**
  * Calculate cadence-based start dates (when new course instances can begin)
  * @param {Object} course - Course object
  * @param {Date} financialYearStart - Start of financial year (April 1)
  * @param {Array<Date>} quarterDates - Dates in the quarter
+ * @param {Object} template - Weekly slot template
  * @returns {Array<Date>} Cadence start dates
  */
 const calculateCadenceStartDates = (
   course,
   financialYearStart,
-  quarterDates
+  quarterDates,
+  template
 ) => {
   const cadenceDates = [];
 
@@ -201,13 +839,24 @@ const calculateCadenceStartDates = (
   financialYearEnd.setMonth(2); // March (0-indexed)
   financialYearEnd.setDate(31);
 
-  // Find the first weekday on or after April 1st
+  // Anchor the cadence on the last delivered session when the cadence file
+  // gives one: the next instance is due one cadence after it. A course whose
+  // next instance is already overdue can start at the beginning of the year.
   let currentDate = new Date(financialYearStart);
-  while (currentDate.getDay() === 0 || currentDate.getDay() === 6) {
+  if (course.lastSessionDate) {
+    const nextDueDate = addWeeks(course.lastSessionDate, course.cadence);
+    if (nextDueDate > currentDate) {
+      currentDate = nextDueDate;
+    }
+  }
+
+  // Find the first day with slots in the template on or after the anchor
+  // date (a week without any is left as it is)
+  for (let day = 0; day < 7 && !isSchedulingDay(currentDate, template); day++) {
     currentDate = addDays(currentDate, 1);
   }
 
-  // Generate cadence dates from the first weekday of financial year
+  // Generate cadence dates from the anchor date
   // These represent when NEW INSTANCES of the course can start
   while (currentDate <= financialYearEnd) {
     // Only include dates that fall within or before the quarter
@@ -222,94 +871,249 @@ const calculateCadenceStartDates = (
   return cadenceDates;
 };
 
+/**
+ * Work out the cohort code of an instance from its cadence date
+ * @param {Object} course - Course object (undefined if no longer in the file)
+ * @param {Date} cadenceDate - Cadence date the instance serves
+ * @param {Date} financialYearStart - Start of financial year
+ * @param {Array<Date>} dates - Dates being scheduled
+ * @param {Object} state - Shared scheduling state (course codes, year)
+ * @returns {string} Cohort code, or "" if the date is not one of the
+ * course's cadence dates
+ */
+const getCohortCode = (
+  course,
+  cadenceDate,
+  financialYearStart,
+  dates,
+  state
+) => {
+  if (!course) return "";
+  const index = calculateCadenceStartDates(
+    course,
+    financialYearStart,
+    dates,
+    state.slotTemplate
+  ).findIndex((date) => date.getTime() === cadenceDate.getTime());
+  return index === -1
+    ? ""
+    : formatCohortCode(
+        state.courseCodes.get(course.title),
+        state.year,
+        index + 1
+      );
+};
+
 /**
  * Schedule all sessions for a course instance
+ * Tries each suitable slot on the start date until one fits every session
  * @param {Object} course - Course object
+ * @param {Object} instance - { instanceId, cohortCode } of the instance (see
+ * courseInstances.js), given to every session
  * @param {Date} startDate - Proposed start date
- * @param {Array<Date>} quarterDates - Dates in the quarter
- * @param {Map} availabilityGrid - Availability grid
- * @param {Map} courseHistory - Course scheduling history
- * @param {boolean} isFinancialIntelligence - Special handling flag
- * @returns {Array} Scheduled sessions or empty array if couldn't schedule
+ * @param {Array<Date>} sessionDates - Dates the sessions may fall on
+ * @param {Object} state - Shared scheduling state (grid, history, instructors,
+ * resources)
+ * @param {Object} constraints - Resolved course constraints
+ * @param {Map} reasons - Counts why slots were rejected (see noteReason)
+ * @param {boolean} preferredOnly - Only try slots in the preferred window
+ * @returns {Array} Scheduled sessions (with their instance's identity and
+ * start and end dates) or empty array if couldn't schedule
  */
 const scheduleCourseSessions = (
   course,
+  instance,
   startDate,
-  quarterDates,
-  availabilityGrid,
-  courseHistory,
-  isFinancialIntelligence
+  sessionDates,
+  state,
+  constraints,
+  reasons,
+  preferredOnly = false
 ) => {
+  const { availabilityGrid, courseHistory, instructorPool, resourcePool } =
+    state;
   const history = courseHistory.get(course.title) || [];
+  const preferences = getCoursePreferences(state.preferences, course);
 
-  // Find a suitable time slot
-  const suitableSlot = findSuitableSlot(
-    startDate,
-    course,
-    availabilityGrid,
-    history,
-    isFinancialIntelligence
+  // Once a roster is uploaded every instance needs an instructor from it
+  const requiresInstructor = instructorPool.instructors.length > 0;
+
+  // Find suitable time slots, in the order the slot strategy tries them
+  const suitableSlots = rankSlots(
+    findSuitableSlots(
+      startDate,
+      course,
+      availabilityGrid,
+      history,
+      constraints,
+      reasons
+    ),
+    {
+      strategy: state.slotStrategy,
+      tracker: state.load,
+      preferredWindow: constraints.preferredWindow,
+      getPenalty: (slot) =>
+        scoreSlot(preferences, slot.dayOfWeek, slot.startTime).penalty,
+      random: state.random,
+    }
+  ).filter(
+    (slot) =>
+      !preferredOnly || isPreferred(constraints.preferredWindow, slot.startTime)
   );
 
-  if (!suitableSlot) {
-    return [];
+  // A resource is only required once a registry has been set up
+  const requirement =
+    resourcePool.resources.length > 0 ? constraints.resourceRequirement : null;
+
+  for (const suitableSlot of suitableSlots) {
+    const sessions = reserveInstanceSessions(
+      course,
+      instance,
+      startDate,
+      suitableSlot,
+      sessionDates,
+      availabilityGrid,
+      constraints,
+      reasons
+    );
+
+    if (sessions.length === 0) continue;
+
+    const instructor = requiresInstructor
+      ? findAvailableInstructor(instructorPool, course, sessions)
+      : null;
+    const resource = requirement
+      ? findAvailableResource(resourcePool, requirement, sessions)
+      : null;
+
+    if (requiresInstructor && !instructor) noteReason(reasons, "NO_INSTRUCTOR");
+    if (requirement && !resource) noteReason(reasons, "NO_RESOURCE");
+    if ((requiresInstructor && !instructor) || (requirement && !resource)) {
+      // Nobody qualified or no suitable resource is free for the whole
+      // instance, try another slot
+      rollbackSessions(sessions, availabilityGrid);
+      continue;
+    }
+
+    // Keep the same instructor and resource for every session of the instance
+    if (instructor) bookInstructor(instructorPool, instructor, sessions);
+    if (resource) bookResource(resourcePool, resource, sessions);
+    return setInstanceDates(
+      sessions.map((session) => ({
+        ...session,
+        ...scorePreferences(preferences, session),
+        ...(instructor && {
+          instructorId: instructor.id,
+          instructorFirstName: instructor.firstName,
+          instructorLastName: instructor.lastName,
+          instructorEmail: instructor.email,
+        }),
+        ...(resource && {
+          resourceId: resource.id,
+          resourceName: resource.name,
+        }),
+      }))
+    );
   }
 
-  // Try to schedule all consecutive sessions
+  return [];
+};
+
+/**
+ * Reserve consecutive weekly sessions for an instance in a given slot
+ * When a week is blocked the course's sequence policy decides what happens:
+ * "strict" gives up, "skip" moves the rest of the instance a week later (up
+ * to maxSkips times) and "move" books another slot in the same week. Sessions
+ * affected by a skip or move carry `exception` and `exceptionNote`.
+ * @param {Object} course - Course object
+ * @param {Object} instance - { instanceId, cohortCode } of the instance
+ * @param {Date} startDate - Proposed start date
+ * @param {Object} suitableSlot - Slot returned by findSuitableSlots
+ * @param {Array<Date>} sessionDates - Dates the sessions may fall on
+ * @param {Map} availabilityGrid - Availability grid
+ * @param {Object} constraints - Resolved course constraints
+ * @param {Map} reasons - Counts why the instance was given up (see noteReason)
+ * @returns {Array} Reserved sessions or empty array if any week is unavailable
+ */
+const reserveInstanceSessions = (
+  course,
+  instance,
+  startDate,
+  suitableSlot,
+  sessionDates,
+  availabilityGrid,
+  constraints,
+  reasons
+) => {
   const sessions = [];
   let currentSessionDate = new Date(startDate);
+  let skippedWeeks = [];
 
-  for (let sessionNum = 1; sessionNum <= course.sessions; sessionNum++) {
+  for (let sessionNum = 1; sessionNum <= course.sessions; ) {
     // Find the same day of week and time slot
     const sessionDate = findNextAvailableDate(
       currentSessionDate,
       suitableSlot.dayOfWeek,
-      quarterDates
+      sessionDates
     );
 
     if (!sessionDate) {
-      // Couldn't schedule all sessions, rollback
+      // Ran out of dates, rollback
+      noteReason(reasons, "OUT_OF_DATES");
       rollbackSessions(sessions, availabilityGrid);
       return [];
     }
 
-    const dateKey = format(sessionDate, "yyyy-MM-dd");
-    const dayData = availabilityGrid.get(dateKey);
+    const slots = findAllowedSessionSlots(
+      availabilityGrid.get(format(sessionDate, "yyyy-MM-dd")),
+      sessionDate,
+      suitableSlot.startTime,
+      course,
+      constraints
+    );
 
-    if (!dayData) {
-      rollbackSessions(sessions, availabilityGrid);
-      return [];
-    }
+    let session = null;
 
-    const slotIndex = dayData.slots.findIndex(
-      (s) => s.start === suitableSlot.startTime && s.available
-    );
+    if (slots) {
+      session = reserveSlots(slots, sessionDate, course, instance, sessionNum);
+      if (skippedWeeks.length > 0) {
+        session.exception = "skipped";
+        session.exceptionNote = `Follows skipped week${
+          skippedWeeks.length > 1 ? "s" : ""
+        } of ${skippedWeeks.join(", ")}`;
+      }
+    } else if (
+      constraints.sequenceMode === "skip" &&
+      skippedWeeks.length < constraints.maxSkips
+    ) {
+      // Leave this week out and carry on the following week
+      skippedWeeks.push(format(sessionDate, "MM-dd"));
+      currentSessionDate = addWeeks(sessionDate, 1);
+      continue;
+    } else if (constraints.sequenceMode === "move") {
+      session = reserveSlotInSameWeek(
+        sessionDate,
+        course,
+        instance,
+        sessionNum,
+        sessionDates,
+        availabilityGrid,
+        constraints
+      );
+    }
 
-    if (slotIndex === -1) {
-      // Slot not available, rollback
+    if (!session) {
+      // Slot not available and the policy allows no exception, rollback
+      noteReason(reasons, "LATER_WEEK_BLOCKED");
       rollbackSessions(sessions, availabilityGrid);
       return [];
     }
 
-    // Mark slot as used
-    dayData.slots[slotIndex].available = false;
-    dayData.slots[slotIndex].session = {
-      course: course.title,
-      sessionNumber: sessionNum,
-    };
+    sessions.push(session);
+    skippedWeeks = [];
+    sessionNum++;
 
-    // Add to sessions
-    sessions.push({
-      date: sessionDate,
-      courseName: course.title,
-      sessionNumber: sessionNum,
-      startTime: suitableSlot.startTime,
-      endTime: suitableSlot.endTime,
-      instructorFirstName: "",
-      instructorLastName: "",
-    });
-
-    // Move to next week
+    // Move to next week (a moved session keeps the instance's weekday)
     currentSessionDate = addWeeks(sessionDate, 1);
   }
 
@@ -317,88 +1121,360 @@ const scheduleCourseSessions = (
 };
 
 /**
- * Find a suitable time slot for a course
+ * Find the grid slots a session starting at a given time would occupy
+ * A session longer than its slot runs on through the following slots, as long
+ * as they are free and no gap between them is longer than MAX_CONTIGUOUS_GAP
+ * (a longer gap, such as the skipped 08:00 hour, is a break it cannot cross).
+ * @param {Object} dayData - Availability grid entry for the date
+ * @param {string} startTime - Start time (HH:MM format)
+ * @param {number|null} duration - Session length in minutes (null = one slot)
+ * @param {Map} reasons - Counts why the slot was rejected (optional)
+ * @returns {Array|null} Grid slots to occupy, or null if the session doesn't fit
+ */
+const findSessionSlots = (dayData, startTime, duration, reasons) => {
+  const startIndex = dayData.slots.findIndex((s) => s.start === startTime);
+  const firstSlot = dayData.slots[startIndex];
+  if (!firstSlot || !firstSlot.available) {
+    noteReason(reasons, "SLOT_TAKEN");
+    return null;
+  }
+  if (!duration) return [firstSlot];
+
+  const sessionEnd = timeToMinutes(startTime) + duration;
+  const slots = [firstSlot];
+  let blockEnd = timeToMinutes(firstSlot.end);
+
+  for (
+    let index = startIndex + 1;
+    blockEnd < sessionEnd && index < dayData.slots.length;
+    index++
+  ) {
+    const slot = dayData.slots[index];
+    if (timeToMinutes(slot.start) - blockEnd > MAX_CONTIGUOUS_GAP) break;
+    if (timeToMinutes(slot.start) < sessionEnd) {
+      if (!slot.available) {
+        noteReason(reasons, "SLOT_TAKEN");
+        return null;
+      }
+      slots.push(slot);
+    }
+    blockEnd = timeToMinutes(slot.end);
+  }
+
+  if (blockEnd < sessionEnd) {
+    noteReason(reasons, "NO_CONTIGUOUS_SLOTS");
+    return null;
+  }
+  return slots;
+};
+
+/**
+ * Check whether an instance on a weekday repeats an earlier instance's
+ * weekday (allowed only when the course allows same-day repeats)
+ * @param {Object} constraints - Resolved course constraints
+ * @param {Array} history - Earlier instances ({ dayOfWeek, startTime })
+ * @param {string} dayOfWeek - Day name
+ * @returns {boolean} True if the rule is broken
+ */
+export const breaksSameWeekday = (constraints, history, dayOfWeek) =>
+  !constraints.allowSameDay &&
+  history.some((previousInstance) => previousInstance.dayOfWeek === dayOfWeek);
+
+/**
+ * Check whether a start time is within 3 hours of an earlier instance's
+ * @param {Array} history - Earlier instances ({ dayOfWeek, startTime })
+ * @param {string} startTime - Start time (HH:MM format)
+ * @returns {boolean} True if the rule is broken
+ */
+export const breaksTimeGap = (history, startTime) =>
+  history.some(
+    (previousInstance) =>
+      Math.abs(
+        timeToMinutes(startTime) - timeToMinutes(previousInstance.startTime)
+      ) < MIN_START_GAP
+  );
+
+/**
+ * Find the grid slots for a session if the course may run then
+ * Adds the course's date and audience-region rules to findSessionSlots.
+ * @param {Object|undefined} dayData - Availability grid entry for the date
+ * @param {Date} date - Session date
+ * @param {string} startTime - Start time (HH:MM format)
+ * @param {Object} course - Course object
+ * @param {Object} constraints - Resolved course constraints
+ * @param {Map} reasons - Counts why the slot was rejected (optional)
+ * @returns {Array|null} Grid slots to occupy, or null if not allowed or full
+ */
+export const findAllowedSessionSlots = (
+  dayData,
+  date,
+  startTime,
+  course,
+  constraints,
+  reasons
+) => {
+  if (!dayData || !isDateAllowed(constraints, date)) return null;
+
+  const slots = findSessionSlots(dayData, startTime, course.duration, reasons);
+  if (!slots) return null;
+
+  const endTime = getSessionEndTime(course, slots[0]);
+  if (!isAudienceTime(constraints, date, startTime, endTime)) {
+    noteReason(reasons, "AUDIENCE_HOURS");
+    return null;
+  }
+  return slots;
+};
+
+/**
+ * Get a session's end time
+ * @param {Object} course - Course object
+ * @param {Object} firstSlot - Slot the session starts in
+ * @returns {string} End time (HH:MM format)
+ */
+const getSessionEndTime = (course, firstSlot) =>
+  course.duration
+    ? minutesToTime(timeToMinutes(firstSlot.start) + course.duration)
+    : firstSlot.end;
+
+/**
+ * Take one place in each grid slot and build the session
+ * @param {Array} slots - Availability grid slots (from findSessionSlots)
+ * @param {Date} date - Session date
+ * @param {Object} course - Course object
+ * @param {Object} instance - { instanceId, cohortCode } of the instance
+ * @param {number} sessionNumber - Session number within the instance
+ * @returns {Object} Session object
+ */
+const reserveSlots = (slots, date, course, instance, sessionNumber) => {
+  const session = {
+    date,
+    courseName: course.title,
+    sessionNumber,
+    ...instance,
+    startTime: slots[0].start,
+    endTime: getSessionEndTime(course, slots[0]),
+    instructorId: "",
+    instructorFirstName: "",
+    instructorLastName: "",
+    instructorEmail: "",
+    resourceId: "",
+    resourceName: "",
+    preferencePenalty: 0,
+    preferenceNote: "",
+  };
+
+  slots.forEach((slot) => {
+    slot.sessions.push(createBooking(session));
+    slot.remaining -= 1;
+    slot.available = slot.remaining > 0;
+  });
+
+  return session;
+};
+
+/**
+ * Describe a session's place in a grid slot
+ * The instance, date and start time tell apart sessions of the same course
+ * sharing a slot (capacity above 1), so a rollback only frees its own place.
+ * @param {Object} session - Session object
+ * @returns {Object} { course, sessionNumber, instanceId, dateKey, startTime }
+ */
+const createBooking = (session) => ({
+  course: session.courseName,
+  sessionNumber: session.sessionNumber,
+  instanceId: session.instanceId,
+  dateKey: format(session.date, "yyyy-MM-dd"),
+  startTime: session.startTime,
+});
+
+/**
+ * Score a session against a course's preferences
+ * @param {Array} preferences - Preferences for the course
+ * @param {Object} session - Session object
+ * @returns {Object} { preferencePenalty, preferenceNote } - total weight of
+ * the preferences the session misses, and which ones
+ */
+const scorePreferences = (preferences, session) => {
+  const { penalty, unmet } = scoreSlot(
+    preferences,
+    DAY_NAMES[session.date.getDay()],
+    session.startTime
+  );
+  return {
+    preferencePenalty: penalty,
+    preferenceNote: unmet.map(describePreference).join("; "),
+  };
+};
+
+/**
+ * Get the lowest preference penalty of any slot on a date
+ * Used to try start dates whose best slot misses the fewest preferences first.
+ * @param {Object} state - Shared scheduling state
+ * @param {Object} course - Course object
+ * @param {Date} date - Candidate start date
+ * @returns {number} Lowest penalty (0 when there are no preferences)
+ */
+const getLowestPenalty = (state, course, date) => {
+  const preferences = getCoursePreferences(state.preferences, course);
+  const dayData = state.availabilityGrid.get(format(date, "yyyy-MM-dd"));
+  if (preferences.length === 0 || !dayData || dayData.slots.length === 0) {
+    return 0;
+  }
+  const dayOfWeek = DAY_NAMES[date.getDay()];
+  return Math.min(
+    ...dayData.slots.map(
+      (slot) => scoreSlot(preferences, dayOfWeek, slot.start).penalty
+    )
+  );
+};
+
+/**
+ * Book a blocked session into another slot in the same week (Monday-Sunday)
+ * Prefers the blocked day itself, then the closest other days.
+ * @param {Date} blockedDate - Date whose slot was unavailable
+ * @param {Object} course - Course object
+ * @param {Object} instance - { instanceId, cohortCode } of the instance
+ * @param {number} sessionNumber - Session number within the instance
+ * @param {Array<Date>} sessionDates - Dates the sessions may fall on
+ * @param {Map} availabilityGrid - Availability grid
+ * @param {Object} constraints - Resolved course constraints
+ * @returns {Object|null} Session flagged as moved, or null if the week is full
+ */
+const reserveSlotInSameWeek = (
+  blockedDate,
+  course,
+  instance,
+  sessionNumber,
+  sessionDates,
+  availabilityGrid,
+  constraints
+) => {
+  const weekStart = startOfWeek(blockedDate, { weekStartsOn: 1 }).getTime();
+  const candidates = sessionDates
+    .filter(
+      (date) =>
+        startOfWeek(date, { weekStartsOn: 1 }).getTime() === weekStart &&
+        isDateAllowed(constraints, date)
+    )
+    .sort(
+      (a, b) =>
+        Math.abs(a - blockedDate) - Math.abs(b - blockedDate) || a - b
+    );
+
+  for (const date of candidates) {
+    const dayData = availabilityGrid.get(format(date, "yyyy-MM-dd"));
+    if (!dayData) continue;
+
+    const dayOfWeek = DAY_NAMES[date.getDay()];
+    const slots = dayData.slots
+      .filter((s) => isSlotAllowed(constraints, dayOfWeek, s.start))
+      .map((s) =>
+        findAllowedSessionSlots(dayData, date, s.start, course, constraints)
+      )
+      .find(Boolean);
+    if (!slots) continue;
+
+    const session = reserveSlots(slots, date, course, instance, sessionNumber);
+    session.exception = "moved";
+    session.exceptionNote = `Moved from ${format(blockedDate, "EEE MM-dd")}`;
+    return session;
+  }
+
+  return null;
+};
+
+/**
+ * Find suitable time slots for a course, in preference order
  * @param {Date} date - Proposed date
  * @param {Object} course - Course object
  * @param {Map} availabilityGrid - Availability grid
  * @param {Array} history - Previous instances of this course
- * @param {boolean} isFinancialIntelligence - Special handling flag
- * @returns {Object|null} Suitable slot or null
+ * @param {Object} constraints - Resolved course constraints
+ * @param {Map} reasons - Counts why dates and slots were rejected
+ * @returns {Array} Suitable slots (empty if none)
  */
-const findSuitableSlot = (
+const findSuitableSlots = (
   date,
   course,
   availabilityGrid,
   history,
-  isFinancialIntelligence
+  constraints,
+  reasons
 ) => {
   const dateKey = format(date, "yyyy-MM-dd");
   const dayData = availabilityGrid.get(dateKey);
 
-  if (!dayData) return null;
+  if (!dayData) return [];
+  if (dayData.slots.length === 0) {
+    noteReason(reasons, "DAY_CLOSED");
+    return [];
+  }
+  if (!isDateAllowed(constraints, date)) {
+    noteReason(reasons, "AVOIDED_MONTH");
+    return [];
+  }
 
   const dayOfWeek = DAY_NAMES[date.getDay()];
 
-  for (const slot of dayData.slots) {
-    if (!slot.available) continue;
+  // Rules checked against ALL previous instances (not just the last one):
+  // never the same day (unless the course allows same-day repeats)...
+  if (breaksSameWeekday(constraints, history, dayOfWeek)) {
+    noteReason(reasons, "SAME_WEEKDAY");
+    return [];
+  }
 
-    // Financial Intelligence special rule
-    if (
-      isFinancialIntelligence &&
-      !isValidForFinancialIntelligence(dayOfWeek, slot.start)
-    ) {
+  const suitableSlots = [];
+
+  for (const slot of dayData.slots) {
+    // Course-specific weekday and start-time rules
+    if (!isSlotAllowed(constraints, dayOfWeek, slot.start)) {
+      noteReason(reasons, "COURSE_WINDOW");
       continue;
     }
 
-    // Check constraints against ALL previous instances (not just the last one)
-    let violatesConstraints = false;
-
-    for (const previousInstance of history) {
-      // Cannot be same day (except Financial Intelligence)
-      if (
-        !isFinancialIntelligence &&
-        dayOfWeek === previousInstance.dayOfWeek
-      ) {
-        violatesConstraints = true;
-        break;
-      }
-
-      // Must be at least 3 hours different
-      const timeDiff = getTimeDifferenceInHours(
-        slot.start,
-        previousInstance.startTime
-      );
-      if (timeDiff < 3) {
-        violatesConstraints = true;
-        break;
-      }
+    // ...and at least 3 hours from every earlier start time
+    if (breaksTimeGap(history, slot.start)) {
+      noteReason(reasons, "TIME_GAP");
+      continue;
     }
 
-    if (violatesConstraints) {
+    // The slot and, for long sessions, the ones after it must be free (and
+    // within the hours of the course's audience regions)
+    if (
+      !findAllowedSessionSlots(
+        dayData,
+        date,
+        slot.start,
+        course,
+        constraints,
+        reasons
+      )
+    ) {
       continue;
     }
 
-    return {
+    suitableSlots.push({
       dayOfWeek,
       startTime: slot.start,
-      endTime: slot.end,
-    };
+      endTime: getSessionEndTime(course, slot),
+    });
   }
 
-  return null;
+  return suitableSlots;
 };
 
 /**
  * Find next available date for a specific day of week
  * @param {Date} fromDate - Starting date
  * @param {string} targetDayOfWeek - Target day name
- * @param {Array<Date>} quarterDates - Dates in the quarter
+ * @param {Array<Date>} sessionDates - Dates the sessions may fall on
  * @returns {Date|null} Next available date or null
  */
-const findNextAvailableDate = (fromDate, targetDayOfWeek, quarterDates) => {
+const findNextAvailableDate = (fromDate, targetDayOfWeek, sessionDates) => {
   const targetDayIndex = DAY_NAMES.indexOf(targetDayOfWeek);
 
-  for (const date of quarterDates) {
+  for (const date of sessionDates) {
     if (date >= fromDate && date.getDay() === targetDayIndex) {
       return date;
     }
@@ -418,13 +1494,27 @@ const rollbackSessions = (sessions, availabilityGrid) => {
     const dayData = availabilityGrid.get(dateKey);
 
     if (dayData) {
-      const slotIndex = dayData.slots.findIndex(
-        (s) => s.start === session.startTime
-      );
-      if (slotIndex !== -1) {
-        dayData.slots[slotIndex].available = true;
-        dayData.slots[slotIndex].session = null;
-      }
+      // Every slot the session overlaps (long sessions span several)
+      const own = createBooking(session);
+      const start = timeToMinutes(session.startTime);
+      const end = timeToMinutes(session.endTime);
+      dayData.slots
+        .filter(
+          (s) =>
+            s.start === session.startTime ||
+            (timeToMinutes(s.start) < end && timeToMinutes(s.end) > start)
+        )
+        .forEach((s) => {
+          const index = s.sessions.findIndex((booking) =>
+            Object.entries(own).every(
+              ([field, value]) => booking[field] === value
+            )
+          );
+          if (index === -1) return;
+          s.sessions.splice(index, 1);
+          s.remaining += 1;
+          s.available = true;
+        });
     }
   });
 };
@@ -454,6 +1544,7 @@ const generateCalendarGrid = (sessions, quarterDates) => {
     grid[dateKey][timeSlot].push({
       course: session.courseName,
       sessionNumber: session.sessionNumber,
+      cohortCode: session.cohortCode || "",
     });
 
     allTimeSlots.add(timeSlot);
@@ -475,28 +1566,39 @@ const generateCalendarGrid = (sessions, quarterDates) => {
 const calculateStatistics = (availabilityGrid, sessions) => {
   let totalSlots = 0;
   let availableSlots = 0;
+  let totalCapacity = 0;
+  let remainingCapacity = 0;
   const fullyBookedDates = [];
 
-  availabilityGrid.forEach((dayData, dateKey) => {
+  availabilityGrid.forEach((dayData) => {
     const dayTotalSlots = dayData.slots.length;
     const dayAvailableSlots = dayData.slots.filter((s) => s.available).length;
 
     totalSlots += dayTotalSlots;
     availableSlots += dayAvailableSlots;
+    dayData.slots.forEach((s) => {
+      totalCapacity += s.capacity;
+      remainingCapacity += s.remaining;
+    });
 
     if (dayTotalSlots > 0 && dayAvailableSlots === 0) {
       fullyBookedDates.push(dayData.date);
     }
   });
 
+  // Places used out of all places, so parallel capacity counts in full
+  const usedCapacity = totalCapacity - remainingCapacity;
+
   return {
     totalAvailableSlots: totalSlots,
     slotsAfterScheduling: availableSlots,
+    totalCapacity,
+    remainingCapacity,
     totalScheduledSessions: sessions.length,
     fullyBookedDates,
     utilizationPercentage:
-      totalSlots > 0
-        ? (((totalSlots - availableSlots) / totalSlots) * 100).toFixed(2)
+      totalCapacity > 0
+        ? ((usedCapacity / totalCapacity) * 100).toFixed(2)
         : 0,
   };
 };
@@ -0,0 +1,254 @@
+/**
+ * Schedule Optimizer
+ * Searches for a schedule that places more course instances than greedy first-fit
+ *
+ * The engine places courses one at a time in file order and gives each the
+ * first slot that fits, so courses late in the file lose out. The optimizer
+ * keeps the engine, and with it every hard rule, but searches over the order
+ * in which courses are placed. It starts from the greedy result and a
+ * most-constrained-first order. Then, for a fixed number of attempts, it
+ * moves courses that lost instances earlier or swaps two courses, and keeps
+ * any order that places at least as many instances (local search).
+ *
+ * The search is seeded and capped by attempts rather than time, so the same
+ * inputs, seed and attempt count give the same schedule on any machine.
+ */
+
+import { generateYearSchedule } from "./scheduleEngine";
+import { resolveCourseConstraints } from "./courseConstraints";
+import { createRandom, randomInt } from "./random";
+
+// How the Generate button builds a schedule ("alternatives" uses
+// scheduleAlternatives.js)
+export const SCHEDULING_MODES = {
+  greedy: "Greedy (file order, first free slot)",
+  optimized: "Optimised (search over course orders)",
+  alternatives: "Alternatives (compare several candidates)",
+};
+
+export const DEFAULT_MAX_ATTEMPTS = 50;
+
+/**
+ * Count the instances in a schedule, per course
+ * @param {Array} sessions - Scheduled sessions
+ * @returns {Map} Course title -> number of instances
+ */
+const countInstancesByCourse = (sessions) => {
+  const counts = new Map();
+  sessions
+    .filter((session) => session.sessionNumber === 1)
+    .forEach((session) => {
+      counts.set(
+        session.courseName,
+        (counts.get(session.courseName) || 0) + 1
+      );
+    });
+  return counts;
+};
+
+/**
+ * Score a schedule: instances first, then sessions, then the lowest total
+ * preference penalty
+ * @param {Object} result - Engine result
+ * @returns {Object} { instances, sessions, penalty }
+ */
+const scoreSchedule = (result) => ({
+  instances: result.scheduledSessions.filter(
+    (session) => session.sessionNumber === 1
+  ).length,
+  sessions: result.scheduledSessions.length,
+  penalty: result.scheduledSessions.reduce(
+    (total, session) => total + (session.preferencePenalty || 0),
+    0
+  ),
+});
+
+/**
+ * Compare two scores
+ * @param {Object} a - Score
+ * @param {Object} b - Score
+ * @returns {number} Positive if a is better, 0 if equal, negative if worse
+ */
+const compareScores = (a, b) =>
+  a.instances - b.instances || a.sessions - b.sessions || b.penalty - a.penalty;
+
+/**
+ * Order courses so the hardest to place go first
+ * Fewer allowed days, a narrower start window and more sessions make a
+ * course harder to place; ties keep file order.
+ * @param {Array} courses - Courses in file order
+ * @param {Object} defaults - Default constraints (e.g. the sequence policy)
+ * @returns {Array} Reordered courses
+ */
+const getConstrainedFirstOrder = (courses, defaults) => {
+  const tightness = (course) => {
+    const constraints = resolveCourseConstraints(course, defaults);
+    return (
+      (constraints.allowedDays ? 7 - constraints.allowedDays.length : 0) +
+      (constraints.earliestStart || constraints.latestStart ? 3 : 0) +
+      constraints.audienceRegions.length * 2 +
+      (constraints.resourceRequirement ? 2 : 0) +
+      course.sessions / 4
+    );
+  };
+  return courses
+    .map((course, index) => ({ course, index, score: tightness(course) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ course }) => course);
+};
+
+/**
+ * Make a neighbouring course order
+ * Mostly moves a course that places fewer instances than it has in some
+ * earlier attempt to an earlier position; otherwise swaps two courses.
+ * @param {Array} order - Current course order
+ * @param {Map} counts - Instances per course in the current schedule
+ * @param {Map} maxCounts - Most instances per course seen in any attempt
+ * @param {Function} random - Seeded generator
+ * @returns {Array} New course order
+ */
+const getNeighbourOrder = (order, counts, maxCounts, random) => {
+  const next = [...order];
+  const losers = next
+    .map((course, index) => ({ course, index }))
+    .filter(
+      ({ course, index }) =>
+        index > 0 &&
+        (counts.get(course.title) || 0) < (maxCounts.get(course.title) || 0)
+    );
+
+  if (losers.length > 0 && random() < 0.7) {
+    const { index } = losers[randomInt(random, losers.length)];
+    const [course] = next.splice(index, 1);
+    next.splice(randomInt(random, index), 0, course);
+  } else {
+    const a = randomInt(random, next.length);
+    const b = randomInt(random, next.length);
+    [next[a], next[b]] = [next[b], next[a]];
+  }
+
+  return next;
+};
+
+/**
+ * Generate a year schedule, searching for one that places more instances
+ * Runs the greedy engine first, so the result is never worse than greedy.
+ * Yields to the browser between attempts so the page stays responsive.
+ * @param {Array} courses - Array of course objects from cadence file
+ * @param {number} year - Year
+ * @param {Object} options - Engine options (see generateSchedule); the
+ * engine's own seed is not used, as the search chooses the course order
+ * @param {Object} search - Search settings
+ * @param {number} search.maxAttempts - Schedules to try, the greedy one
+ * included
+ * @param {number} search.seed - Seed for the search
+ * @param {Function} search.onProgress - Called after each attempt with
+ * { attempts, elapsedMs, bestInstances, baselineInstances }
+ * @returns {Promise<Object>} Engine result plus `optimization`, comparing the
+ * result with the greedy baseline
+ */
+export const optimizeYearSchedule = async (
+  courses,
+  year,
+  options = {},
+  { maxAttempts = DEFAULT_MAX_ATTEMPTS, seed = 1, onProgress } = {}
+) => {
+  const startedAt = Date.now();
+  const random = createRandom(seed);
+  const engineOptions = { ...options, seed: null };
+
+  const baseline = generateYearSchedule(courses, year, engineOptions);
+  const baselineScore = scoreSchedule(baseline);
+  const baselineCounts = countInstancesByCourse(baseline.scheduledSessions);
+
+  let best = {
+    order: courses,
+    result: baseline,
+    score: baselineScore,
+    counts: baselineCounts,
+  };
+  const maxCounts = new Map(baselineCounts);
+  let attempts = 1;
+
+  // Try the most-constrained-first order before the random moves
+  let candidateOrder = getConstrainedFirstOrder(
+    courses,
+    options.sequencePolicy || {}
+  );
+
+  while (courses.length > 1 && attempts < maxAttempts) {
+    // Let the page repaint between attempts
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    // Codes come from the file order, so every attempt gives the same codes
+    const result = generateYearSchedule(courses, year, {
+      ...engineOptions,
+      courseOrder: candidateOrder,
+    });
+    const score = scoreSchedule(result);
+    const counts = countInstancesByCourse(result.scheduledSessions);
+    counts.forEach((count, title) => {
+      maxCounts.set(title, Math.max(count, maxCounts.get(title) || 0));
+    });
+    attempts++;
+
+    // Accept equal scores too, so the search can move across plateaus
+    if (compareScores(score, best.score) >= 0) {
+      best = { order: candidateOrder, result, score, counts };
+    }
+
+    if (onProgress) {
+      onProgress({
+        attempts,
+        elapsedMs: Date.now() - startedAt,
+        bestInstances: best.score.instances,
+        baselineInstances: baselineScore.instances,
+      });
+    }
+
+    candidateOrder = getNeighbourOrder(
+      best.order,
+      best.counts,
+      maxCounts,
+      random
+    );
+  }
+
+  const changedCourses = courses
+    .map((course) => ({
+      course: course.title,
+      baseline: baselineCounts.get(course.title) || 0,
+      optimized: best.counts.get(course.title) || 0,
+    }))
+    .filter(({ baseline, optimized }) => baseline !== optimized);
+
+  return {
+    ...best.result,
+    optimization: {
+      mode: "optimized",
+      seed,
+      maxAttempts,
+      elapsedMs: Date.now() - startedAt,
+      attempts,
+      baseline: baselineScore,
+      result: best.score,
+      changedCourses,
+      courseOrder: best.order.map((course) => course.title),
+    },
+  };
+};
+
+/**
+ * Summarise how an optimised schedule compares with the greedy baseline
+ * @param {Object} optimization - `optimization` from optimizeYearSchedule
+ * @returns {string} e.g. "172 instances placed vs 160 greedy (+12) after 25
+ * attempts (seed 1) in 8.2s"
+ */
+export const describeOptimization = (optimization) => {
+  const gain = optimization.result.instances - optimization.baseline.instances;
+  return `${optimization.result.instances} instances placed vs ${
+    optimization.baseline.instances
+  } greedy (${gain >= 0 ? "+" : ""}${gain}) after ${
+    optimization.attempts
+  } attempts (seed ${optimization.seed}) in ${(optimization.elapsedMs / 1000).toFixed(1)}s`;
+};
@@ -0,0 +1,81 @@
+/**
+ * Settings Storage
+ * Persists user settings (slot template, etc.) in the browser's localStorage
+ */
+
+const STORAGE_PREFIX = "lel-scheduler:";
+
+/**
+ * Load a saved setting
+ * @param {string} key - Setting name
+ * @param {*} fallback - Value returned when nothing is saved or it can't be read
+ * @returns {*} Saved value or fallback
+ */
+export const loadSetting = (key, fallback) => {
+  try {
+    const saved = window.localStorage.getItem(`${STORAGE_PREFIX}${key}`);
+    return saved === null ? fallback : JSON.parse(saved);
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Save a setting
+ * @param {string} key - Setting name
+ * @param {*} value - JSON-serializable value
+ */
+export const saveSetting = (key, value) => {
+  try {
+    window.localStorage.setItem(
+      `${STORAGE_PREFIX}${key}`,
+      JSON.stringify(value)
+    );
+  } catch {
+    // Storage full or disabled (private mode): keep the in-memory value only
+  }
+};
+
+/**
+ * Read a JSON file selected by the user
+ * @param {File} file - JSON file
+ * @returns {Promise<*>} Parsed JSON
+ */
+export const readJsonFile = async (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+
+    reader.onload = (e) => {
+      try {
+        resolve(JSON.parse(e.target.result));
+      } catch (error) {
+        reject(new Error(`Failed to parse JSON file: ${error.message}`));
+      }
+    };
+
+    reader.onerror = () => {
+      reject(new Error("Failed to read file"));
+    };
+
+    reader.readAsText(file);
+  });
+};
+
+/**
+ * Download data as a JSON file
+ * @param {*} data - JSON-serializable data
+ * @param {string} filename - Filename for download
+ */
+export const downloadJson = (data, filename) => {
+  const blob = new Blob([JSON.stringify(data, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,112 @@
+/**
+ * Slot Status
+ * Works out what each template slot of a day is: free, full, or blocked by a
+ * holiday, a restricted-after time (e.g. Christmas Eve after 13:00), a
+ * blackout or zero capacity
+ *
+ * Uses the same calendar inputs as the schedule engine, so the week and day
+ * views show exactly the slots the scheduler could use.
+ */
+
+import { format } from "date-fns";
+import {
+  WEEKLY_SCHEDULE,
+  DAY_NAMES,
+  DEFAULT_CAPACITY_SETTINGS,
+  getSlotCapacity,
+  timeToMinutes,
+} from "./timeSlots";
+import { applyBlackouts, describeBlackoutRule } from "./blackouts";
+
+export const SLOT_STATUSES = {
+  free: "Free",
+  full: "Full",
+  holiday: "Holiday",
+  restricted: "Restricted",
+  blackout: "Blackout",
+  closed: "No capacity",
+};
+
+// Statuses where the scheduler cannot use the slot at all
+export const BLOCKED_STATUSES = ["holiday", "restricted", "blackout", "closed"];
+
+/**
+ * Get the status of every template slot on a date
+ * @param {Date} date - Date
+ * @param {Object} calendarOptions - Calendar inputs
+ * @param {Object} calendarOptions.template - Weekly slot template
+ * @param {Map} calendarOptions.holidays - Holiday names by date key
+ * (yyyy-MM-dd, see getHolidayMap)
+ * @param {Map} calendarOptions.restrictions - Time from which no session may
+ * start, by date key (see getRestrictionMap)
+ * @param {Array} calendarOptions.blackouts - Blackouts, recurring ones
+ * expanded (see expandBlackouts)
+ * @param {Object} calendarOptions.capacity - Capacity settings
+ * @param {Array} sessions - Sessions on the date (startTime, endTime)
+ * @returns {Array} { start, end, status, reason, capacity, booked } in
+ * template order; status is a key of SLOT_STATUSES
+ */
+export const getDaySlotStatus = (
+  date,
+  {
+    template = WEEKLY_SCHEDULE,
+    holidays = new Map(),
+    restrictions = new Map(),
+    blackouts = [],
+    capacity = DEFAULT_CAPACITY_SETTINGS,
+  } = {},
+  sessions = []
+) => {
+  const dateKey = format(date, "yyyy-MM-dd");
+  const dayName = DAY_NAMES[date.getDay()];
+  const afterTime = restrictions.get(dateKey);
+
+  return (template[dayName] || []).map((slot) => {
+    const start = timeToMinutes(slot.start);
+    const end = timeToMinutes(slot.end);
+    const slotCapacity = getSlotCapacity(dayName, slot.start, capacity);
+    const booked = sessions.filter(
+      (session) =>
+        timeToMinutes(session.startTime) < end &&
+        timeToMinutes(session.endTime) > start
+    ).length;
+    const status = (code, reason = SLOT_STATUSES[code]) => ({
+      start: slot.start,
+      end: slot.end,
+      status: code,
+      reason,
+      capacity: slotCapacity,
+      booked,
+    });
+
+    if (holidays.has(dateKey)) return status("holiday", holidays.get(dateKey));
+
+    // Same rule as getAvailableTimeSlots: slots starting at or after the time
+    if (afterTime && slot.start >= afterTime) {
+      return status("restricted", `No sessions from ${afterTime}`);
+    }
+
+    const blocking = blackouts.filter(
+      (blackout) => applyBlackouts(date, [slot], [blackout]).slots.length === 0
+    );
+    if (blocking.length > 0) {
+      return status(
+        "blackout",
+        blocking
+          .map(
+            (blackout) =>
+              `${blackout.label || "Blackout"}: ${describeBlackoutRule(
+                blackout
+              )}`
+          )
+          .join("; ")
+      );
+    }
+
+    if (slotCapacity <= 0) return status("closed");
+    if (booked >= slotCapacity) {
+      return status("full", `${booked} of ${slotCapacity} places taken`);
+    }
+    return status("free", `${slotCapacity - booked} of ${slotCapacity} free`);
+  });
+};
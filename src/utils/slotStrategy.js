@@ -0,0 +1,222 @@
+/**
+ * Slot Strategy
+ * Decides which of the suitable slots and start dates an instance tries first
+ *
+ * "firstFit" keeps the order of the slot template (earliest slot first), so
+ * early slots fill up first. "balanced" tracks how full each weekday and time
+ * band (and each start time within a band) is, relative to its capacity,
+ * and prefers the emptiest ones. With either strategy a course's preferred
+ * window ("prefer: 13:00-16:00") is tried before its other slots, and slots
+ * with a lower preference penalty (see preferences.js) before the rest.
+ *
+ * Ties keep template and date order, unless a seeded generator is given, in
+ * which case they are broken at random (for alternative schedules).
+ */
+
+import { DAY_NAMES, timeToMinutes } from "./timeSlots";
+
+export const SLOT_STRATEGIES = {
+  firstFit: "First fit (earliest free slot)",
+  balanced: "Balanced across weekdays and times of day",
+};
+
+// Parts of the day the balanced strategy spreads sessions over
+export const TIME_BANDS = [
+  { name: "Early morning", start: "00:00", end: "09:00" },
+  { name: "Morning", start: "09:00", end: "12:00" },
+  { name: "Midday", start: "12:00", end: "15:00" },
+  { name: "Afternoon", start: "15:00", end: "18:00" },
+  { name: "Evening", start: "18:00", end: "24:00" },
+];
+
+/**
+ * Get the time band a start time falls in
+ * @param {string} time - Time (HH:MM format)
+ * @returns {string} Band name
+ */
+export const getTimeBand = (time) => {
+  const minutes = timeToMinutes(time);
+  return TIME_BANDS.find(
+    (band) =>
+      minutes >= timeToMinutes(band.start) && minutes < timeToMinutes(band.end)
+  ).name;
+};
+
+/**
+ * Add to the weekday, band and start time counts of a tracker part
+ * @param {Object} counts - tracker.capacity or tracker.load
+ * @param {string} dayOfWeek - Day name
+ * @param {string} startTime - Start time (HH:MM format)
+ * @param {number} amount - Amount to add
+ */
+const addCount = (counts, dayOfWeek, startTime, amount) => {
+  const band = getTimeBand(startTime);
+  counts.byWeekday.set(
+    dayOfWeek,
+    (counts.byWeekday.get(dayOfWeek) || 0) + amount
+  );
+  counts.byBand.set(band, (counts.byBand.get(band) || 0) + amount);
+  counts.byStart.set(startTime, (counts.byStart.get(startTime) || 0) + amount);
+};
+
+/**
+ * Create a load tracker from the availability grid's capacity
+ * @param {Map} availabilityGrid - Availability grid
+ * @returns {Object} { capacity, load } each with byWeekday, byBand and
+ * byStart Maps
+ */
+export const createLoadTracker = (availabilityGrid) => {
+  const tracker = {
+    capacity: { byWeekday: new Map(), byBand: new Map(), byStart: new Map() },
+    load: { byWeekday: new Map(), byBand: new Map(), byStart: new Map() },
+  };
+
+  availabilityGrid.forEach((dayData) => {
+    const dayOfWeek = DAY_NAMES[dayData.date.getDay()];
+    dayData.slots.forEach((slot) => {
+      addCount(tracker.capacity, dayOfWeek, slot.start, slot.capacity);
+    });
+  });
+
+  return tracker;
+};
+
+/**
+ * Count scheduled sessions towards their weekday and time band
+ * @param {Object} tracker - Load tracker
+ * @param {Array} sessions - Sessions of a placed instance
+ */
+export const recordLoad = (tracker, sessions) => {
+  sessions.forEach((session) => {
+    addCount(
+      tracker.load,
+      DAY_NAMES[session.date.getDay()],
+      session.startTime,
+      1
+    );
+  });
+};
+
+/**
+ * Get how full a weekday or band is
+ * @param {Object} tracker - Load tracker
+ * @param {string} kind - "byWeekday", "byBand" or "byStart"
+ * @param {string} key - Day name, band name or start time
+ * @returns {number} Sessions per place (Infinity when it has no capacity)
+ */
+const getLoadRatio = (tracker, kind, key) => {
+  const capacity = tracker.capacity[kind].get(key) || 0;
+  return capacity > 0
+    ? (tracker.load[kind].get(key) || 0) / capacity
+    : Infinity;
+};
+
+/**
+ * Check whether a start time is inside a course's preferred window
+ * @param {Object|null} window - { start, end } or null
+ * @param {string} startTime - Start time (HH:MM format)
+ * @returns {boolean} True if preferred (false when there is no window)
+ */
+export const isPreferred = (window, startTime) =>
+  Boolean(window) &&
+  timeToMinutes(startTime) >= timeToMinutes(window.start) &&
+  timeToMinutes(startTime) <= timeToMinutes(window.end);
+
+/**
+ * Order a date's suitable slots by strategy
+ * @param {Array} slots - Suitable slots in template order
+ * @param {Object} options - Ranking options
+ * @param {string} options.strategy - Key of SLOT_STRATEGIES
+ * @param {Object} options.tracker - Load tracker (balanced strategy)
+ * @param {Object|null} options.preferredWindow - Course's preferred window
+ * @param {Function} options.getPenalty - Preference penalty of a slot
+ * @param {Function|null} options.random - Seeded generator to break ties
+ * @returns {Array} Slots in the order to try them
+ */
+export const rankSlots = (
+  slots,
+  { strategy, tracker, preferredWindow, getPenalty = () => 0, random = null }
+) =>
+  slots
+    .map((slot, index) => {
+      const balanced = strategy === "balanced";
+      return {
+        slot,
+        index,
+        preferred: isPreferred(preferredWindow, slot.startTime) ? 0 : 1,
+        penalty: getPenalty(slot),
+        bandLoad: balanced
+          ? getLoadRatio(tracker, "byBand", getTimeBand(slot.startTime))
+          : 0,
+        startLoad: balanced
+          ? getLoadRatio(tracker, "byStart", slot.startTime)
+          : 0,
+        tieBreak: random ? random() : 0,
+      };
+    })
+    .sort(
+      (a, b) =>
+        a.preferred - b.preferred ||
+        a.penalty - b.penalty ||
+        a.bandLoad - b.bandLoad ||
+        a.startLoad - b.startLoad ||
+        a.tieBreak - b.tieBreak ||
+        a.index - b.index
+    )
+    .map(({ slot }) => slot);
+
+/**
+ * Get the dates within a week of the first one
+ * @param {Array<Date>} dates - Dates in date order
+ * @returns {Array<Date>} The first week's dates
+ */
+export const getFirstWeek = (dates) => {
+  if (dates.length === 0) return [];
+  const weekEnd = dates[0].getTime() + 7 * 24 * 60 * 60 * 1000;
+  return dates.filter((date) => date.getTime() < weekEnd);
+};
+
+/**
+ * Order an instance's candidate start dates by strategy
+ * The first week's dates are tried lowest preference penalty first and, with
+ * the balanced strategy, emptiest weekday first, so an instance starts at
+ * most a few days after its earliest date.
+ * @param {Array<Date>} dates - Candidate start dates in date order
+ * @param {Object} options - Ranking options
+ * @param {string} options.strategy - Key of SLOT_STRATEGIES
+ * @param {Object} options.tracker - Load tracker (balanced strategy)
+ * @param {Function} options.getPenalty - Lowest preference penalty of a date
+ * @param {Function|null} options.random - Seeded generator to break ties
+ * @returns {Array<Date>} Dates in the order to try them
+ */
+export const rankStartDates = (
+  dates,
+  { strategy, tracker, getPenalty = () => 0, random = null }
+) => {
+  const firstWeek = getFirstWeek(dates);
+  const rest = dates.slice(firstWeek.length);
+
+  const ratio = (date) =>
+    strategy === "balanced"
+      ? getLoadRatio(tracker, "byWeekday", DAY_NAMES[date.getDay()])
+      : 0;
+  return [
+    ...firstWeek
+      .map((date, index) => ({
+        date,
+        index,
+        penalty: getPenalty(date),
+        load: ratio(date),
+        tieBreak: random ? random() : 0,
+      }))
+      .sort(
+        (a, b) =>
+          a.penalty - b.penalty ||
+          a.load - b.load ||
+          a.tieBreak - b.tieBreak ||
+          a.index - b.index
+      )
+      .map(({ date }) => date),
+    ...rest,
+  ];
+};
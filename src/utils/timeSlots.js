@@ -5,8 +5,15 @@
 
 import { format } from 'date-fns';
 
-// Time slot definitions for each day of the week
+// Home time zone of the default template (US Eastern)
+export const DEFAULT_TIME_ZONE = "America/New_York";
+
+// Default time slot definitions for each day of the week
+// (used until a template is saved in Settings)
 export const WEEKLY_SCHEDULE = {
+  // Zone the slot times are in, so schedules do not depend on the browser
+  timeZone: DEFAULT_TIME_ZONE,
+
   MONDAY: [
     { start: "06:00", end: "06:30" },
     { start: "07:00", end: "07:30" },
@@ -80,6 +87,10 @@ export const WEEKLY_SCHEDULE = {
     { start: "12:00", end: "12:30" },
     { start: "13:00", end: "13:30" },
   ], // 7 slots (ends at 1:30pm)
+
+  SATURDAY: [],
+
+  SUNDAY: [],
 };
 
 // Day name mapping
@@ -93,6 +104,31 @@ export const DAY_NAMES = [
   "SATURDAY",
 ];
 
+// Short and long weekday spellings accepted in spreadsheet cells
+const DAY_ALIASES = {
+  SUN: "SUNDAY",
+  MON: "MONDAY",
+  TUE: "TUESDAY",
+  TUES: "TUESDAY",
+  WED: "WEDNESDAY",
+  THU: "THURSDAY",
+  THUR: "THURSDAY",
+  THURS: "THURSDAY",
+  FRI: "FRIDAY",
+  SAT: "SATURDAY",
+};
+
+/**
+ * Normalize a weekday token ("Mon", "monday", "TUES") to a DAY_NAMES entry
+ * @param {string} token - Weekday text
+ * @returns {string|null} Day name or null if not recognised
+ */
+export const normalizeDayName = (token) => {
+  const upper = String(token).trim().toUpperCase();
+  if (DAY_NAMES.includes(upper)) return upper;
+  return DAY_ALIASES[upper] || null;
+};
+
 /**
  * Calculate Thanksgiving date for a given year (4th Thursday of November)
  * @param {number} year - Year to calculate for
@@ -113,66 +149,114 @@ const getThanksgivingDate = (year) => {
   return date;
 };
 
+// Parallel sessions per slot (used until capacity is set in Settings)
+export const DEFAULT_CAPACITY_SETTINGS = {
+  default: 1, // every slot
+  byWeekday: {}, // { TUESDAY: 2 }
+  bySlot: {}, // { "TUESDAY 10:00": 3 }
+};
+
 /**
- * Get special dates for a given year (holidays and restricted dates)
+ * Get how many sessions can run in parallel in a slot
+ * A slot-specific value wins over the weekday value, which wins over the default.
+ * @param {string} dayName - Day name (e.g. "TUESDAY")
+ * @param {string} start - Slot start time (HH:MM format)
+ * @param {Object} settings - Capacity settings
+ * @returns {number} Capacity (0 = no sessions)
+ */
+export const getSlotCapacity = (
+  dayName,
+  start,
+  settings = DEFAULT_CAPACITY_SETTINGS
+) => {
+  const slotCapacity = settings.bySlot?.[`${dayName} ${start}`];
+  if (slotCapacity !== undefined) return slotCapacity;
+
+  const weekdayCapacity = settings.byWeekday?.[dayName];
+  if (weekdayCapacity !== undefined) return weekdayCapacity;
+
+  return settings.default ?? 1;
+};
+
+/**
+ * Get special dates for a given year (built-in holidays)
+ * Restricted dates (no sessions from a time on) are holiday settings, see
+ * getRestrictionMap in holidayProvider.js.
  * @param {number} year - Year to get special dates for
  * @returns {Object} Special dates configuration
  */
-const getSpecialDatesForYear = (year) => {
+export const getSpecialDatesForYear = (year) => {
   return {
-    // No sessions all day
+    // No sessions all day (built-in holidays, used when no holiday calendar is configured)
     noSessionDates: [
-      new Date(year, 0, 1),   // New Year's Day
-      new Date(year, 6, 4),   // Fourth of July
-      getThanksgivingDate(year), // Thanksgiving
-      new Date(year, 11, 25), // Christmas
+      { date: new Date(year, 0, 1), name: "New Year's Day" },
+      { date: new Date(year, 6, 4), name: "Fourth of July" },
+      { date: getThanksgivingDate(year), name: "Thanksgiving" },
+      { date: new Date(year, 11, 25), name: "Christmas" },
     ],
-    
-    // No sessions after specific times
-    restrictedDates: [
-      { date: new Date(year, 3, 17), afterTime: '08:30' },  // April 17 after 8:30am
-      { date: new Date(year, 4, 22), afterTime: '08:30' },  // May 22 after 8:30am
-      { date: new Date(year, 5, 19), afterTime: '08:30' },  // June 19 after 8:30am
-      { date: new Date(year, 11, 24), afterTime: '13:00' }, // Christmas Eve after 1pm
-      { date: new Date(year, 11, 31), afterTime: '13:00' }, // New Year's Eve after 1pm
-    ]
   };
 };
 
+/**
+ * Check whether a weekly template has any slots on a date's weekday
+ * @param {Date} date - The date to check
+ * @param {Object} template - Weekly slot template
+ * @returns {boolean} True if sessions can be held that weekday
+ */
+export const isSchedulingDay = (date, template = WEEKLY_SCHEDULE) =>
+  (template[DAY_NAMES[date.getDay()]] || []).length > 0;
+
 /**
  * Get available time slots for a specific date
  * @param {Date} date - The date to check
+ * @param {Object} options - Calendar options
+ * @param {Object} options.template - Weekly slot template (defaults to WEEKLY_SCHEDULE)
+ * @param {Map} options.holidays - Holidays by date key (yyyy-MM-dd); replaces
+ * the built-in holiday list when given
+ * @param {Map} options.restrictions - Time from which no session may start,
+ * by date key (see getRestrictionMap)
  * @returns {Array} Array of available time slots
  */
-export const getAvailableTimeSlots = (date) => {
+export const getAvailableTimeSlots = (
+  date,
+  {
+    template = WEEKLY_SCHEDULE,
+    holidays = null,
+    restrictions = new Map(),
+  } = {}
+) => {
   const dayName = DAY_NAMES[date.getDay()];
+  const baseSlots = template[dayName] || [];
 
-  // Weekend - no slots
-  if (dayName === "SUNDAY" || dayName === "SATURDAY") {
+  // No slots defined for this weekday
+  if (baseSlots.length === 0) {
     return [];
   }
 
-  const baseSlots = WEEKLY_SCHEDULE[dayName] || [];
   const year = date.getFullYear();
   const specialDates = getSpecialDatesForYear(year);
   const dateStr = format(date, 'yyyy-MM-dd');
 
   // Check if it's a no-session date
-  for (const noSessionDate of specialDates.noSessionDates) {
-    if (format(noSessionDate, 'yyyy-MM-dd') === dateStr) {
+  if (holidays) {
+    if (holidays.has(dateStr)) {
       return [];
     }
+  } else {
+    for (const noSessionDate of specialDates.noSessionDates) {
+      if (format(noSessionDate.date, 'yyyy-MM-dd') === dateStr) {
+        return [];
+      }
+    }
   }
 
   // Check for restricted dates
-  for (const restricted of specialDates.restrictedDates) {
-    if (format(restricted.date, 'yyyy-MM-dd') === dateStr) {
-      return baseSlots.filter(slot => {
-        const slotTime = slot.start.replace(':', '');
-        const afterTime = restricted.afterTime.replace(':', '');
-        return slotTime < afterTime;
-      });
-    }
+  const afterTime = restrictions.get(dateStr);
+  if (afterTime) {
+    return baseSlots.filter(slot => {
+      const slotTime = slot.start.replace(':', '');
+      return slotTime < afterTime.replace(':', '');
+    });
   }
 
   return baseSlots;
@@ -180,13 +264,14 @@ export const getAvailableTimeSlots = (date) => {
 
 /**
  * Get all unique time slots across all days
+ * @param {Object} template - Weekly slot template (defaults to WEEKLY_SCHEDULE)
  * @returns {Array} Array of all possible time slots
  */
-export const getAllTimeSlots = () => {
+export const getAllTimeSlots = (template = WEEKLY_SCHEDULE) => {
   const allSlots = new Set();
 
-  Object.values(WEEKLY_SCHEDULE).forEach((daySlots) => {
-    daySlots.forEach((slot) => {
+  DAY_NAMES.forEach((dayName) => {
+    (template[dayName] || []).forEach((slot) => {
       allSlots.add(`${slot.start} - ${slot.end}`);
     });
   });
@@ -194,6 +279,40 @@ export const getAllTimeSlots = () => {
   return Array.from(allSlots).sort();
 };
 
+/**
+ * Convert a time string to minutes since midnight
+ * @param {string} time - Time (HH:MM format)
+ * @returns {number} Minutes since midnight
+ */
+export const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+/**
+ * Convert minutes since midnight to a time string
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} Time (HH:MM format)
+ */
+export const minutesToTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+};
+
+/**
+ * Normalize a spreadsheet time value ("9:30", "09:30" or an Excel day fraction)
+ * @param {string|number} value - Time value
+ * @returns {string|null} Time (HH:MM format) or null
+ */
+export const normalizeTime = (value) => {
+  if (typeof value === "number") {
+    return minutesToTime(Math.round(value * 24 * 60));
+  }
+
+  const match = String(value ?? "").match(/(\d{1,2}):(\d{2})/);
+  return match ? `${match[1].padStart(2, "0")}:${match[2]}` : null;
+};
+
 /**
  * Calculate time difference in hours between two time strings
  * @param {string} time1 - First time (HH:MM format)
@@ -211,16 +330,63 @@ export const getTimeDifferenceInHours = (time1, time2) => {
 };
 
 /**
- * Check if a time slot is valid for Financial Intelligence course
- * @param {string} dayName - Day of the week
- * @param {string} startTime - Start time (HH:MM format)
- * @returns {boolean} True if valid for Financial Intelligence
+ * Validate and normalize a weekly slot template (e.g. one imported from JSON)
+ * Slots are sorted by start time; missing weekdays get no slots. An optional
+ * `timeZone` (IANA name) is the zone the slot times are in.
+ * @param {Object} template - Template keyed by day name
+ * @returns {Object} Normalized template
+ * @throws {Error} If a slot is malformed or slots overlap
  */
-export const isValidForFinancialIntelligence = (dayName, startTime) => {
-  if (dayName !== "TUESDAY" && dayName !== "WEDNESDAY") {
-    return false;
+export const validateSlotTemplate = (template) => {
+  if (!template || typeof template !== "object" || Array.isArray(template)) {
+    throw new Error("Template must be an object keyed by weekday");
+  }
+
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const normalized = {};
+
+  DAY_NAMES.forEach((dayName) => {
+    const slots = template[dayName] || [];
+    if (!Array.isArray(slots)) {
+      throw new Error(`${dayName} must be a list of slots`);
+    }
+
+    const sorted = slots
+      .map((slot) => {
+        if (!timePattern.test(slot?.start) || !timePattern.test(slot?.end)) {
+          throw new Error(
+            `${dayName}: slot times must be in HH:MM format (got ${JSON.stringify(slot)})`
+          );
+        }
+        if (timeToMinutes(slot.end) <= timeToMinutes(slot.start)) {
+          throw new Error(
+            `${dayName}: slot ${slot.start} - ${slot.end} ends before it starts`
+          );
+        }
+        return { start: slot.start, end: slot.end };
+      })
+      .sort((a, b) => a.start.localeCompare(b.start));
+
+    sorted.forEach((slot, index) => {
+      const next = sorted[index + 1];
+      if (next && timeToMinutes(next.start) < timeToMinutes(slot.end)) {
+        throw new Error(
+          `${dayName}: slot ${slot.start} - ${slot.end} overlaps ${next.start} - ${next.end}`
+        );
+      }
+    });
+
+    normalized[dayName] = sorted;
+  });
+
+  if (template.timeZone) {
+    try {
+      Intl.DateTimeFormat("en-US", { timeZone: template.timeZone });
+    } catch {
+      throw new Error(`Unknown time zone "${template.timeZone}"`);
+    }
+    normalized.timeZone = template.timeZone;
   }
 
-  const [hour] = startTime.split(":").map(Number);
-  return hour >= 10 && hour < 13;
+  return normalized;
 };
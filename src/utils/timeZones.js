@@ -0,0 +1,312 @@
+/**
+ * Time Zones
+ * Converts slot times between the slot template's home time zone and any
+ * other zone, and checks sessions against audience regions' working hours
+ *
+ * Slot times are "HH:MM" wall-clock times in the template's home zone and
+ * session dates are calendar days. Conversions go through the real instant
+ * (via Intl), so daylight saving changes in either zone are honoured.
+ */
+
+import { minutesToTime, timeToMinutes } from "./timeSlots";
+
+// Zones offered first in pickers (any IANA zone can be used)
+export const COMMON_TIME_ZONES = [
+  { value: "America/New_York", label: "US Eastern" },
+  { value: "America/Chicago", label: "US Central" },
+  { value: "America/Denver", label: "US Mountain" },
+  { value: "America/Los_Angeles", label: "US Pacific" },
+  { value: "Europe/London", label: "UK" },
+  { value: "Europe/Berlin", label: "Central Europe" },
+  { value: "Asia/Kolkata", label: "India" },
+  { value: "Asia/Singapore", label: "Singapore" },
+  { value: "Australia/Sydney", label: "Australia Eastern" },
+];
+
+// Hours in which a session is reasonable for an audience (local time)
+export const AUDIENCE_REGIONS = {
+  "US Eastern": {
+    timeZone: "America/New_York",
+    earliest: "08:00",
+    latest: "18:00",
+  },
+  "US Central": {
+    timeZone: "America/Chicago",
+    earliest: "08:00",
+    latest: "18:00",
+  },
+  "US Pacific": {
+    timeZone: "America/Los_Angeles",
+    earliest: "08:00",
+    latest: "18:00",
+  },
+  UK: {
+    timeZone: "Europe/London",
+    earliest: "08:00",
+    latest: "18:00",
+  },
+  "Central Europe": {
+    timeZone: "Europe/Berlin",
+    earliest: "08:00",
+    latest: "18:00",
+  },
+  India: {
+    timeZone: "Asia/Kolkata",
+    earliest: "09:00",
+    latest: "20:00",
+  },
+  Singapore: {
+    timeZone: "Asia/Singapore",
+    earliest: "08:00",
+    latest: "19:00",
+  },
+};
+
+/**
+ * Get the browser's time zone
+ * @returns {string} IANA zone name
+ */
+export const getLocalTimeZone = () =>
+  Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Check whether a zone name is known to the browser
+ * @param {string} timeZone - IANA zone name
+ * @returns {boolean} True if valid
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Get the home time zone of a slot template
+ * Every template is saved with a zone; only templates saved before time zones
+ * existed fall back to the browser's zone.
+ * @param {Object} template - Weekly slot template
+ * @returns {string} IANA zone name
+ */
+export const getTemplateTimeZone = (template) =>
+  template?.timeZone || getLocalTimeZone();
+
+/**
+ * Get every zone the browser knows, common ones first
+ * @returns {Array} Select options ({ value, label })
+ */
+export const getTimeZoneOptions = () => {
+  const common = COMMON_TIME_ZONES.map(({ value, label }) => ({
+    value,
+    label: `${label} (${value})`,
+  }));
+  const known = new Set(COMMON_TIME_ZONES.map(({ value }) => value));
+  const others =
+    typeof Intl.supportedValuesOf === "function"
+      ? Intl.supportedValuesOf("timeZone").filter((zone) => !known.has(zone))
+      : [];
+  return [...common, ...others.map((zone) => ({ value: zone, label: zone }))];
+};
+
+/**
+ * Describe a zone for display ("US Eastern" or the IANA name)
+ * @param {string} timeZone - IANA zone name
+ * @returns {string} Label
+ */
+export const describeTimeZone = (timeZone) =>
+  COMMON_TIME_ZONES.find(({ value }) => value === timeZone)?.label || timeZone;
+
+// Formatters are slow to create, so keep one per zone
+const formatters = new Map();
+// The scheduler converts the same slots over and over
+const conversions = new Map();
+
+/**
+ * Read the wall-clock fields of an instant in a zone
+ * @param {number} instant - Milliseconds since the epoch
+ * @param {string} timeZone - IANA zone name
+ * @returns {Object} { year, month, day, hour, minute } (month 1-12)
+ */
+const getZonedFields = (instant, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+      })
+    );
+  }
+  const parts = formatters.get(timeZone).formatToParts(instant);
+  const field = (type) =>
+    parseInt(parts.find((part) => part.type === type).value);
+
+  return {
+    year: field("year"),
+    month: field("month"),
+    day: field("day"),
+    hour: field("hour"),
+    minute: field("minute"),
+  };
+};
+
+/**
+ * Get a zone's offset from UTC at an instant
+ * @param {number} instant - Milliseconds since the epoch
+ * @param {string} timeZone - IANA zone name
+ * @returns {number} Offset in milliseconds (e.g. -5h for US Eastern in winter)
+ */
+const getZoneOffset = (instant, timeZone) => {
+  const fields = getZonedFields(instant, timeZone);
+  const wallClock = Date.UTC(
+    fields.year,
+    fields.month - 1,
+    fields.day,
+    fields.hour,
+    fields.minute
+  );
+  // Seconds are not part of the fields, so compare whole minutes
+  return wallClock - Math.floor(instant / 60000) * 60000;
+};
+
+/**
+ * Get the instant at which a zone's clock shows a date and time
+ * @param {Date} date - Calendar day
+ * @param {string} time - Time (HH:MM format)
+ * @param {string} timeZone - IANA zone name
+ * @returns {number} Milliseconds since the epoch
+ */
+export const zonedTimeToInstant = (date, time, timeZone) => {
+  const wallClock = Date.UTC(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate(),
+    0,
+    timeToMinutes(time)
+  );
+  // The offset at the guess is right except close to a DST change, where
+  // the offset at the corrected instant is the one that applies
+  const guess = wallClock - getZoneOffset(wallClock, timeZone);
+  return wallClock - getZoneOffset(guess, timeZone);
+};
+
+/**
+ * Convert a date and time from one zone's clock to another's
+ * @param {Date} date - Calendar day in the source zone
+ * @param {string} time - Time (HH:MM format) in the source zone
+ * @param {string} fromZone - Source IANA zone name
+ * @param {string} toZone - Target IANA zone name
+ * @returns {Object} { date, time } as shown in the target zone
+ */
+export const convertZonedTime = (date, time, fromZone, toZone) => {
+  if (fromZone === toZone) return { date, time };
+
+  const key = `${date.getTime()} ${time} ${fromZone} ${toZone}`;
+  if (!conversions.has(key)) {
+    const fields = getZonedFields(
+      zonedTimeToInstant(date, time, fromZone),
+      toZone
+    );
+    conversions.set(key, {
+      date: new Date(fields.year, fields.month - 1, fields.day),
+      time: minutesToTime(fields.hour * 60 + fields.minute),
+    });
+  }
+  // Copy the date so callers can't change the cached one
+  const { date: convertedDate, time: convertedTime } = conversions.get(key);
+  return { date: new Date(convertedDate), time: convertedTime };
+};
+
+/**
+ * Show a session's date and times in another zone
+ * The start and end instants are converted separately; when the end falls on
+ * a later day in the other zone (the session crosses its midnight) the
+ * session also gets `endDate`.
+ * @param {Object} session - Scheduled session (times in the home zone)
+ * @param {string} fromZone - Home IANA zone name
+ * @param {string} toZone - Zone to show the session in
+ * @returns {Object} Session with date, startTime and endTime converted
+ */
+export const convertSession = (session, fromZone, toZone) => {
+  if (fromZone === toZone) return session;
+
+  const start = convertZonedTime(
+    session.date,
+    session.startTime,
+    fromZone,
+    toZone
+  );
+  const end = convertZonedTime(session.date, session.endTime, fromZone, toZone);
+  return {
+    ...session,
+    date: start.date,
+    startTime: start.time,
+    endTime: end.time,
+    ...(end.date.getTime() !== start.date.getTime() && { endDate: end.date }),
+  };
+};
+
+/**
+ * Format a session's times, marking an end on a later day
+ * @param {Object} session - Session (startTime, endTime, optional endDate
+ * from convertSession)
+ * @returns {string} e.g. "10:00 - 11:30" or "23:30 - 01:00 (+1 day)"
+ */
+export const formatSessionTime = (session) => {
+  const days = session.endDate
+    ? Math.round((session.endDate - session.date) / 86400000)
+    : 0;
+  return `${session.startTime} - ${session.endTime}${
+    days > 0 ? ` (+${days} day${days === 1 ? "" : "s"})` : ""
+  }`;
+};
+
+/**
+ * Split an audience cell ("US Eastern, India") into known region names
+ * @param {string} text - Comma, semicolon or slash separated regions
+ * @returns {Array<string>} Region names (unknown ones are dropped)
+ */
+export const parseAudienceRegions = (text) => {
+  const names = Object.keys(AUDIENCE_REGIONS);
+  const regions = String(text || "")
+    .split(/[,;/&]/)
+    .map((token) => token.trim().toLowerCase())
+    .map((token) => names.find((name) => name.toLowerCase() === token))
+    .filter(Boolean);
+  return [...new Set(regions)];
+};
+
+/**
+ * Check whether a session falls within an audience region's hours
+ * @param {string} region - Region name (see AUDIENCE_REGIONS)
+ * @param {Date} date - Session date in the home zone
+ * @param {string} startTime - Start time (HH:MM format) in the home zone
+ * @param {string} endTime - End time (HH:MM format) in the home zone
+ * @param {string} homeZone - Home IANA zone name
+ * @returns {boolean} True if the whole session is within the region's hours
+ */
+export const isWithinRegionHours = (
+  region,
+  date,
+  startTime,
+  endTime,
+  homeZone
+) => {
+  const { timeZone, earliest, latest } = AUDIENCE_REGIONS[region];
+  const start = convertZonedTime(date, startTime, homeZone, timeZone);
+  const end = convertZonedTime(date, endTime, homeZone, timeZone);
+
+  return (
+    start.date.getTime() === end.date.getTime() &&
+    timeToMinutes(start.time) >= timeToMinutes(earliest) &&
+    timeToMinutes(end.time) <= timeToMinutes(latest)
+  );
+};